@@ -0,0 +1,129 @@
+/**
+ * DriveX Cast Server - Client type generator
+ *
+ * Writes client/protocol.d.ts from lib/protocol.js: every event payload a
+ * client sends or receives, who may send or receive it, and the error codes.
+ * client/index.d.ts builds the typed role clients on top of it.
+ *
+ *   npm run build:types               rewrite client/protocol.d.ts
+ *   npm run build:types -- --check    exit 1 if it is out of date with lib/protocol.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const protocol = require('../lib/protocol');
+
+const OUTPUT = path.join(__dirname, 'protocol.d.ts');
+
+// fields object -> type name, so every use of a shape refers to one declaration
+const shapeNames = new Map(Object.entries(protocol.OUTBOUND_SHAPES).map(([name, shape]) => [shape.fields, name]));
+
+const union = (values) => values.map(value => JSON.stringify(value)).join(' | ');
+const property = (key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key));
+
+const tsType = (rule, indent) => {
+  let type;
+  if (rule.enum) type = union(rule.enum);
+  else if (rule.type === 'string') type = 'string';
+  else if (rule.type === 'number' || rule.type === 'integer') type = 'number';
+  else if (rule.type === 'boolean') type = 'boolean';
+  else if (rule.type === 'array') type = rule.items ? `Array<${tsType(rule.items, indent)}>` : 'unknown[]';
+  else if (rule.type === 'object' && shapeNames.has(rule.fields)) type = shapeNames.get(rule.fields);
+  else if (rule.type === 'object') type = rule.fields ? tsObject(rule.fields, indent) : 'Record<string, unknown>';
+  else type = 'unknown';
+  return rule.nullable ? `${type} | null` : type;
+};
+
+// Optional unless `required`; nested objects other than OUTBOUND_SHAPES are written out in place
+const tsObject = (fields, indent = '') => {
+  const entries = Object.entries(fields);
+  if (entries.length === 0) return 'Record<string, never>';
+  const inner = `${indent}  `;
+  const lines = entries.map(([key, rule]) => `${inner}${property(key)}${rule.required ? '' : '?'}: ${tsType(rule, inner)};`);
+  return `{\n${lines.join('\n')}\n${indent}}`;
+};
+
+// Outbound events without a payload are emitted with no argument at all
+const payloadType = (schema, indent, { outbound = false } = {}) => (
+  outbound && Object.keys(schema).length === 0 ? 'void' : tsObject(schema, indent)
+);
+
+const eventMap = (name, events, type) => [
+  `export interface ${name} {`,
+  ...Object.entries(events).map(([event, spec]) => `  ${property(event)}: ${type(spec)};`),
+  '}'
+].join('\n');
+
+const render = () => {
+  const {
+    CAST_ROLES,
+    CONTROL_ROLES,
+    AUDIENCE_ROLES,
+    CLIENT_TYPES,
+    ERROR_CODES,
+    CAST_EVENTS,
+    JOIN_EVENTS,
+    NOTIFICATION_EVENTS,
+    CAST_SERVER_EVENTS,
+    NOTIFICATION_SERVER_EVENTS,
+    NOTIFICATION_PAYLOAD,
+    OUTBOUND_SHAPES,
+    JOIN_RESULT
+  } = protocol;
+  const volatile = Object.keys(CAST_EVENTS).filter(event => CAST_EVENTS[event].volatile);
+
+  return [
+    '// Generated by client/build-types.js from lib/protocol.js. Do not edit;',
+    '// change lib/protocol.js and run `npm run build:types`.',
+    '',
+    `export type CastRole = ${union(CAST_ROLES)};`,
+    `export type ControlRole = ${union(CONTROL_ROLES)};`,
+    `export type AudienceRole = ${union(AUDIENCE_ROLES)};`,
+    `export type ClientType = ${union(CLIENT_TYPES)};`,
+    `export type ErrorCode = ${union(Object.values(ERROR_CODES))};`,
+    '',
+    ...Object.entries(OUTBOUND_SHAPES).flatMap(([name, shape]) => [`export type ${name} = ${tsObject(shape.fields)};`, '']),
+    `export type JoinResult = ${tsObject(JOIN_RESULT)};`,
+    '',
+    '/** Payloads of the cast events clients send */',
+    eventMap('CastEvents', CAST_EVENTS, spec => payloadType(spec.schema, '  ')),
+    '',
+    '/** Roles allowed to send each cast event */',
+    eventMap('CastEventRoles', CAST_EVENTS, spec => union(spec.roles)),
+    '',
+    `export type VolatileCastEvent = ${volatile.length ? union(volatile) : 'never'};`,
+    '',
+    '/** The event each role joins a session with */',
+    eventMap('JoinEvents', JOIN_EVENTS, event => JSON.stringify(event)),
+    '',
+    '/** Payloads of the cast events the server sends */',
+    eventMap('CastServerEvents', CAST_SERVER_EVENTS, spec => payloadType(spec.schema, '  ', { outbound: true })),
+    '',
+    '/** Roles that receive each server event */',
+    eventMap('CastServerEventRoles', CAST_SERVER_EVENTS, spec => union(spec.roles)),
+    '',
+    '/** Payloads of the /notifications events clients send */',
+    eventMap('NotificationEvents', NOTIFICATION_EVENTS, spec => payloadType(spec.schema, '  ')),
+    '',
+    '/** Payloads of the /notifications events the server sends, besides notifications themselves */',
+    eventMap('NotificationServerEvents', NOTIFICATION_SERVER_EVENTS, spec => payloadType(spec.schema, '  ', { outbound: true })),
+    '',
+    '/** Fields added to every notification pushed to /notifications (the rest is up to the backend) */',
+    `export type NotificationPayload = ${tsObject(NOTIFICATION_PAYLOAD)} & Record<string, unknown>;`,
+    ''
+  ].join('\n');
+};
+
+const output = render();
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (current !== output) {
+    console.error('❌ client/protocol.d.ts is out of date; run npm run build:types');
+    process.exit(1);
+  }
+  console.log('✅ client/protocol.d.ts is up to date');
+} else {
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`✅ Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
@@ -0,0 +1,208 @@
+// Types for client/index.js. Event payloads come from ./protocol (generated
+// from lib/protocol.js by client/build-types.js); this file adds the clients.
+
+import type { Socket } from 'socket.io-client';
+import type {
+  CastRole,
+  ClientType,
+  ErrorCode,
+  JoinResult,
+  CastEvents,
+  CastEventRoles,
+  VolatileCastEvent,
+  JoinEvents,
+  CastServerEvents,
+  CastServerEventRoles,
+  NotificationEvents,
+  NotificationServerEvents,
+  NotificationPayload
+} from './protocol';
+
+export * from './protocol';
+
+export declare class CastError extends Error {
+  constructor(code: ErrorCode, message?: string);
+  name: 'CastError';
+  code: ErrorCode;
+}
+
+export declare const ERROR_CODES: { readonly [Code in ErrorCode]: Code };
+
+// 'queue-add' -> 'queueAdd', 'notifications:mark-read' -> 'markRead'
+type MethodName<Event extends string> =
+  Event extends `notifications:${infer Rest}` ? MethodName<Rest>
+    : Event extends `${infer Head}-${infer Tail}` ? `${Head}${Capitalize<MethodName<Tail>>}`
+      : Event;
+
+// Optional argument when nothing in it is required
+type Args<Payload> = {} extends Payload ? [payload?: Payload] : [payload: Payload];
+
+// The client fills in the session id
+type WithoutSession<Payload> = Omit<Payload, 'sessionId'> & { sessionId?: string };
+
+// ═══════════════════════════════════════════════════════════════
+// CAST CLIENTS
+// ═══════════════════════════════════════════════════════════════
+
+export type CastEventFor<Role extends CastRole> = {
+  [Event in keyof CastEvents]: Role extends CastEventRoles[Event] ? Event : never
+}[keyof CastEvents];
+
+export type CastServerEventFor<Role extends CastRole> = {
+  [Event in keyof CastServerEvents]: Role extends CastServerEventRoles[Event] ? Event : never
+}[keyof CastServerEvents];
+
+export type ViewerJoinResult = (JoinResult & { admitted: true }) | { admitted: false; serverTime: number };
+
+// Ack results the clients rely on; every other event resolves with what its handler returned
+interface CastResults {
+  'join-projector': JoinResult & { displayId: string };
+  'register-host': JoinResult;
+  'join-controller': JoinResult;
+  'join-main': JoinResult;
+  'join-room': JoinResult;
+  'viewer-joined': ViewerJoinResult;
+}
+
+export type CastResult<Event extends keyof CastEvents> =
+  Event extends VolatileCastEvent ? undefined
+    : Event extends keyof CastResults ? CastResults[Event]
+      : Record<string, unknown>;
+
+export interface CastClientEvents<Role extends CastRole> {
+  /** Joined again by itself after a reconnect */
+  'rejoined': CastResult<JoinEvents[Role]>;
+  /** The automatic rejoin failed, e.g. SESSION_NOT_FOUND once the session ended */
+  'rejoin-error': CastError | Error;
+}
+
+type Listener<Payload> = (...args: Payload extends void ? [] : [payload: Payload]) => void;
+
+type CastListenerMap<Role extends CastRole> =
+  { [Event in CastServerEventFor<Role>]: CastServerEvents[Event] } & CastClientEvents<Role>;
+
+export interface ClientOptions {
+  /** Server origin, e.g. 'https://cast.example.com' */
+  url: string;
+  /** How long to wait for an ack before rejecting (default 10000) */
+  ackTimeoutMs?: number;
+  /** socket.io-client's io(), when require('socket.io-client') isn't available */
+  io?: (url: string, options?: object) => Socket;
+  /** Passed on to io() */
+  socketOptions?: object;
+}
+
+export type TokenSource = string | (() => string | Promise<string>);
+
+export interface CastClientOptions extends ClientOptions {
+  sessionId: string;
+  /** Token from POST /cast/token; a function is called on every connect */
+  sessionToken: TokenSource;
+}
+
+export type CastMethods<Role extends CastRole> = {
+  [Event in CastEventFor<Role> as MethodName<Event>]:
+    (...args: Args<WithoutSession<CastEvents[Event]>>) => Promise<CastResult<Event>>
+};
+
+export type CastClient<Role extends CastRole> = CastMethods<Role> & {
+  readonly role: Role;
+  readonly sessionId: string;
+  readonly socket: Socket;
+  readonly connected: boolean;
+  /** Connects if needed and joins; rejoins by itself after every reconnect until close() */
+  join(...args: Args<Omit<WithoutSession<CastEvents[JoinEvents[Role]]>, 'resumeToken'>>): Promise<CastResult<JoinEvents[Role]>>;
+  send<Event extends CastEventFor<Role>>(event: Event, ...args: Args<WithoutSession<CastEvents[Event]>>): Promise<CastResult<Event>>;
+  /** Returns a function that removes the listener */
+  on<Event extends keyof CastListenerMap<Role>>(event: Event, listener: Listener<CastListenerMap<Role>[Event]>): () => void;
+  on(event: 'connect' | 'disconnect' | 'connect_error', listener: (...args: any[]) => void): () => void;
+  off<Event extends keyof CastListenerMap<Role>>(event: Event, listener: Listener<CastListenerMap<Role>[Event]>): void;
+  off(event: 'connect' | 'disconnect' | 'connect_error', listener: (...args: any[]) => void): void;
+  /** Disconnects; no automatic rejoin afterwards */
+  close(): void;
+};
+
+export type Projector = CastClient<'projector'>;
+export type Host = CastClient<'host'>;
+export type Controller = CastClient<'controller'>;
+export type Viewer = CastClient<'viewer'>;
+
+export declare function createCastClient<Role extends CastRole>(role: Role, options: CastClientOptions): CastClient<Role>;
+export declare function createProjector(options: CastClientOptions): Projector;
+export declare function createHost(options: CastClientOptions): Host;
+export declare function createController(options: CastClientOptions): Controller;
+export declare function createViewer(options: CastClientOptions): Viewer;
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATION CLIENT
+// ═══════════════════════════════════════════════════════════════
+
+export interface Subscriptions {
+  channels: string[];
+  topics: string[];
+}
+
+export interface NotificationPreferences {
+  mutedEvents: string[];
+  mutedChannels: string[];
+  quietHours: { start: string; end: string; timeZone?: string } | null;
+  clientTypes: ClientType[] | null;
+  updatedAt: number | null;
+}
+
+export interface InboxEntry {
+  id: string;
+  event: string;
+  data: NotificationPayload;
+  createdAt: number;
+  deliveredAt: number | null;
+  ackedAt: number | null;
+  readAt: number | null;
+  /** Why it was not pushed live ('muted-event', 'muted-channel', 'quiet-hours') */
+  suppressed: string | null;
+}
+
+interface NotificationResults {
+  'notifications:list': { notifications: InboxEntry[]; unread: number };
+  'notifications:ack': { acked: string[] };
+  'notifications:mark-read': { read: string[]; unread: number };
+  'notifications:subscribe': { subscribed: Subscriptions; denied: Subscriptions };
+  'notifications:unsubscribe': { subscribed: Subscriptions };
+  'notifications:preferences': { preferences: NotificationPreferences | null; clientType: ClientType };
+  'notifications:preferences-update': { preferences: NotificationPreferences };
+}
+
+export interface NotificationClientEvents {
+  /** Subscriptions restored after a reconnect */
+  'resubscribed': NotificationResults['notifications:subscribe'];
+  'resubscribe-error': CastError | Error;
+}
+
+type NotificationListenerMap = NotificationServerEvents & NotificationClientEvents;
+
+export interface NotificationClientOptions extends ClientOptions {
+  /** The user's JWT; a function is called on every connect */
+  token: TokenSource;
+  /** Lets users keep pushes off some of their devices (default 'other') */
+  clientType?: ClientType;
+}
+
+export type NotificationMethods = {
+  [Event in keyof NotificationEvents as MethodName<Event>]:
+    (...args: Args<NotificationEvents[Event]>) => Promise<NotificationResults[Event]>
+};
+
+export type NotificationClient = NotificationMethods & {
+  readonly socket: Socket;
+  readonly connected: boolean;
+  /** What the server last confirmed; subscribed again after a reconnect */
+  readonly subscriptions: Subscriptions;
+  send<Event extends keyof NotificationEvents>(event: Event, ...args: Args<NotificationEvents[Event]>): Promise<NotificationResults[Event]>;
+  /** Notifications arrive under the event name the backend used; repeats are dropped */
+  on<Event extends keyof NotificationListenerMap>(event: Event, listener: Listener<NotificationListenerMap[Event]>): () => void;
+  on(event: string, listener: (payload: NotificationPayload) => void): () => void;
+  off(event: string, listener: (...args: any[]) => void): void;
+  close(): void;
+};
+
+export declare function createNotificationClient(options: NotificationClientOptions): NotificationClient;
@@ -0,0 +1,372 @@
+/**
+ * DriveX Cast Server - JavaScript client
+ *
+ * Wraps socket.io-client for each cast role and for the /notifications
+ * namespace. Event names, roles and payload checks come from lib/protocol.js,
+ * the file the server validates against; the TypeScript types (index.d.ts,
+ * protocol.d.ts) are generated from it too (npm run build:types).
+ *
+ *   const { createController } = require('drivex-cast-server/client');
+ *   const controller = createController({ url, sessionId, sessionToken });
+ *   await controller.join();
+ *   await controller.castUpdate({ url: 'https://files.example.com/a.mp4' });
+ *   controller.on('viewer-count', ({ count }) => render(count));
+ *
+ * Every event a role may send is a method named after it ('queue-add' ->
+ * queueAdd). The session id is filled in, the payload is checked before it is
+ * sent, and the promise resolves with the ack result or rejects with a
+ * CastError (code from ERROR_CODES). Volatile events resolve right away.
+ *
+ * After a lost connection the client joins again by itself; projectors and
+ * hosts send their resume token, so they get their slot back within the
+ * server's grace period. server-draining makes it reconnect (to another node)
+ * after the delay the server picked, and refused handshakes are retried.
+ *
+ *   createProjector / createHost / createController / createViewer(options)
+ *     url            server origin, e.g. 'https://cast.example.com'
+ *     sessionId
+ *     sessionToken   token from POST /cast/token, or a function returning one
+ *                    (sync or async; called on every connect)
+ *   createNotificationClient(options)
+ *     url, token     user JWT, or a function returning one
+ *     clientType     one of CLIENT_TYPES
+ *   Shared options
+ *     ackTimeoutMs   how long to wait for an ack (default 10000)
+ *     io             socket.io-client's io(), if require('socket.io-client') won't do
+ *     socketOptions  passed on to io()
+ */
+
+const {
+  CAST_ROLES,
+  CAST_EVENTS,
+  JOIN_EVENTS,
+  NOTIFICATION_EVENTS,
+  CLIENT_TYPES,
+  ERROR_CODES,
+  CastError,
+  validatePayload
+} = require('../lib/protocol');
+
+const DEFAULT_ACK_TIMEOUT_MS = 10000;
+// Refused handshakes are retried after this, doubling up to RETRY_DELAY_MAX_MS
+const RETRY_DELAY_MS = 1000;
+const RETRY_DELAY_MAX_MS = 30000;
+// Notification ids remembered to drop repeats (queued ones can arrive twice on connect)
+const SEEN_NOTIFICATIONS_LIMIT = 500;
+
+// 'queue-add' -> 'queueAdd', 'notifications:mark-read' -> 'markRead'
+const methodName = (event) => event
+  .replace(/^notifications:/, '')
+  .replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+
+const loadIo = (io) => io || require('socket.io-client').io;
+
+// socket.io's auth callback, asking for a fresh token on every connect
+const authWith = (key, token, extra = {}) => (callback) => {
+  Promise.resolve()
+    .then(() => (typeof token === 'function' ? token() : token))
+    .then(value => callback({ ...extra, [key]: value }), () => callback(extra));
+};
+
+// Resolves with the ack result; { ok: false } becomes a CastError
+const request = async (socket, event, payload, ackTimeoutMs) => {
+  const { ok, error, message, ...result } = await socket.timeout(ackTimeoutMs).emitWithAck(event, payload);
+  if (!ok) throw new CastError(error, message);
+  return result;
+};
+
+// Handlers per event. The first handler of a socket event hooks it up once,
+// so `accept` runs once per packet however many handlers there are.
+const createListeners = (socket, { local, accept = () => true }) => {
+  const handlers = new Map();
+
+  const emit = (event, payload) => {
+    [...(handlers.get(event) || [])].forEach(handler => handler(payload));
+  };
+
+  const on = (event, handler) => {
+    if (!handlers.has(event)) {
+      handlers.set(event, new Set());
+      if (!local.includes(event)) {
+        socket.on(event, (payload) => {
+          if (accept(payload)) emit(event, payload);
+        });
+      }
+    }
+    handlers.get(event).add(handler);
+    return () => off(event, handler);
+  };
+
+  const off = (event, handler) => {
+    handlers.get(event)?.delete(handler);
+  };
+
+  return { on, off, emit };
+};
+
+// socket.io reconnects lost connections by itself, but not refused handshakes
+// (draining node, rate limit, expired token) and not server-draining. Retries
+// with a static token stop at UNAUTHENTICATED, since the same token would fail again.
+const keepConnected = (socket, { refreshesToken, onGiveUp = () => {} }) => {
+  let closed = false;
+  let timer = null;
+  let delay = RETRY_DELAY_MS;
+
+  const retry = (waitMs) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (!closed && !socket.connected) socket.connect();
+    }, waitMs);
+  };
+
+  socket.on('connect', () => {
+    delay = RETRY_DELAY_MS;
+  });
+
+  socket.on('connect_error', (err) => {
+    if (closed || socket.active) return;
+    if (err.data?.code === ERROR_CODES.UNAUTHENTICATED && !refreshesToken) {
+      onGiveUp(new CastError(ERROR_CODES.UNAUTHENTICATED, err.message));
+      return;
+    }
+    retry(delay);
+    delay = Math.min(delay * 2, RETRY_DELAY_MAX_MS);
+  });
+
+  socket.on('server-draining', ({ reconnectInMs = 0 } = {}) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (closed) return;
+      socket.disconnect();
+      socket.connect();
+    }, reconnectInMs);
+  });
+
+  return {
+    connect: () => {
+      closed = false;
+      if (!socket.connected && !socket.active) socket.connect();
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(timer);
+      socket.disconnect();
+    }
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════
+// CAST CLIENTS
+// ═══════════════════════════════════════════════════════════════
+
+// Client events next to the server's: after an automatic rejoin, with its
+// result or the CastError it failed with
+const CAST_CLIENT_EVENTS = ['rejoined', 'rejoin-error'];
+
+const createCastClient = (role, {
+  url,
+  sessionId,
+  sessionToken,
+  ackTimeoutMs = DEFAULT_ACK_TIMEOUT_MS,
+  io,
+  socketOptions
+} = {}) => {
+  if (!CAST_ROLES.includes(role)) throw new TypeError(`Unknown cast role ${role}`);
+  if (!sessionToken) throw new TypeError('sessionToken is required');
+
+  const socket = loadIo(io)(url, {
+    ...socketOptions,
+    autoConnect: false,
+    auth: authWith('sessionToken', sessionToken)
+  });
+  const listeners = createListeners(socket, { local: CAST_CLIENT_EVENTS });
+
+  let joinPayload = null;   // what join() was called with; sent again after every reconnect
+  let resume = {};          // { resumeToken, displayId } from session-resume-token
+  let waiting = [];         // join() calls waiting for the connection
+
+  const rejectWaiting = (err) => {
+    waiting.forEach(({ reject }) => reject(err));
+    waiting = [];
+  };
+  const connection = keepConnected(socket, {
+    refreshesToken: typeof sessionToken === 'function',
+    onGiveUp: rejectWaiting
+  });
+
+  const send = async (event, payload = {}) => {
+    const spec = CAST_EVENTS[event];
+    if (!spec?.roles.includes(role)) {
+      throw new CastError(ERROR_CODES.FORBIDDEN_ROLE, `Role ${role} may not send ${event}`);
+    }
+    const scoped = spec.sessionScoped === false ? payload : { [spec.sessionField || 'sessionId']: sessionId, ...payload };
+    const data = validatePayload(event, scoped);
+    if (spec.volatile) {
+      socket.volatile.emit(event, data);
+      return undefined;
+    }
+    return request(socket, event, data, ackTimeoutMs);
+  };
+
+  const sendJoin = () => send(JOIN_EVENTS[role], { ...joinPayload, ...resume });
+
+  socket.on('session-resume-token', ({ resumeToken, displayId }) => {
+    resume = displayId ? { resumeToken, displayId } : { resumeToken };
+  });
+
+  socket.on('connect', async () => {
+    if (!joinPayload) return;
+    const callers = waiting;
+    waiting = [];
+    try {
+      const result = await sendJoin();
+      if (callers.length) callers.forEach(({ resolve }) => resolve(result));
+      else listeners.emit('rejoined', result);
+    } catch (err) {
+      if (callers.length) callers.forEach(({ reject }) => reject(err));
+      else listeners.emit('rejoin-error', err);
+    }
+  });
+
+  const client = {
+    role,
+    sessionId,
+    socket,
+
+    get connected() {
+      return socket.connected;
+    },
+
+    // Connects if needed and joins the session with the role's join event.
+    // Viewers pass viewer-joined's fields ({ viewerId, viewerName, passcode, ... }).
+    join(payload = {}) {
+      joinPayload = payload;
+      if (socket.connected) return sendJoin();
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        connection.connect();
+      });
+    },
+
+    send,
+    on: listeners.on,
+    off: listeners.off,
+
+    // No automatic rejoin afterwards; join() connects again
+    close() {
+      joinPayload = null;
+      rejectWaiting(new Error('Client closed'));
+      connection.close();
+    }
+  };
+
+  for (const [event, spec] of Object.entries(CAST_EVENTS)) {
+    if (spec.roles.includes(role)) client[methodName(event)] = (payload) => send(event, payload);
+  }
+  return client;
+};
+
+const createProjector = (options) => createCastClient('projector', options);
+const createHost = (options) => createCastClient('host', options);
+const createController = (options) => createCastClient('controller', options);
+const createViewer = (options) => createCastClient('viewer', options);
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATION CLIENT
+// ═══════════════════════════════════════════════════════════════
+
+const NOTIFICATION_CLIENT_EVENTS = ['resubscribed', 'resubscribe-error'];
+
+const createNotificationClient = ({
+  url,
+  token,
+  clientType,
+  ackTimeoutMs = DEFAULT_ACK_TIMEOUT_MS,
+  io,
+  socketOptions
+} = {}) => {
+  if (!token) throw new TypeError('token is required');
+  if (clientType !== undefined && !CLIENT_TYPES.includes(clientType)) {
+    throw new TypeError(`clientType must be one of ${CLIENT_TYPES.join(', ')}`);
+  }
+
+  const socket = loadIo(io)(`${url.replace(/\/+$/, '')}/notifications`, {
+    ...socketOptions,
+    autoConnect: false,
+    auth: authWith('token', token, clientType ? { clientType } : {})
+  });
+  const connection = keepConnected(socket, { refreshesToken: typeof token === 'function' });
+
+  // Drop a notification seen before, oldest ids forgotten first
+  const seen = new Set();
+  const isNew = (payload) => {
+    const id = payload?.notificationId;
+    if (!id) return true;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    if (seen.size > SEEN_NOTIFICATIONS_LIMIT) seen.delete(seen.values().next().value);
+    return true;
+  };
+  const listeners = createListeners(socket, { local: NOTIFICATION_CLIENT_EVENTS, accept: isNew });
+
+  // What the server last confirmed, subscribed again after a reconnect
+  let subscribed = { channels: [], topics: [] };
+  let connectedBefore = false;
+
+  const send = async (event, payload = {}) => {
+    if (!NOTIFICATION_EVENTS[event]) {
+      throw new CastError(ERROR_CODES.INVALID_PAYLOAD, `Unknown event ${event}`);
+    }
+    const result = await request(socket, event, validatePayload(event, payload, NOTIFICATION_EVENTS), ackTimeoutMs);
+    if (result.subscribed) subscribed = result.subscribed;
+    return result;
+  };
+
+  socket.on('connect', async () => {
+    const reconnected = connectedBefore;
+    connectedBefore = true;
+    if (!reconnected || subscribed.channels.length + subscribed.topics.length === 0) return;
+    try {
+      listeners.emit('resubscribed', await send('notifications:subscribe', subscribed));
+    } catch (err) {
+      listeners.emit('resubscribe-error', err);
+    }
+  });
+
+  const client = {
+    socket,
+
+    get connected() {
+      return socket.connected;
+    },
+
+    get subscriptions() {
+      return subscribed;
+    },
+
+    send,
+    on: listeners.on,
+    off: listeners.off,
+
+    close() {
+      connection.close();
+    }
+  };
+
+  for (const event of Object.keys(NOTIFICATION_EVENTS)) {
+    client[methodName(event)] = (payload) => send(event, payload);
+  }
+  connection.connect();
+  return client;
+};
+
+module.exports = {
+  createCastClient,
+  createProjector,
+  createHost,
+  createController,
+  createViewer,
+  createNotificationClient,
+  CastError,
+  ERROR_CODES
+};
@@ -0,0 +1,868 @@
+// Generated by client/build-types.js from lib/protocol.js. Do not edit;
+// change lib/protocol.js and run `npm run build:types`.
+
+export type CastRole = "projector" | "host" | "controller" | "main" | "viewer";
+export type ControlRole = "host" | "controller" | "main";
+export type AudienceRole = "host" | "controller" | "main" | "viewer";
+export type ClientType = "desktop" | "mobile" | "web" | "tv" | "other";
+export type ErrorCode = "INVALID_PAYLOAD" | "UNAUTHENTICATED" | "SESSION_MISMATCH" | "FORBIDDEN_ROLE" | "SESSION_NOT_FOUND" | "ITEM_NOT_FOUND" | "DISPLAY_NOT_FOUND" | "DISPLAY_IN_USE" | "NOT_ADMITTED" | "INVALID_PASSCODE" | "SESSION_FULL" | "MUTED" | "RATE_LIMITED" | "SUBSCRIPTION_LIMIT" | "SHUTTING_DOWN" | "INTERNAL_ERROR";
+
+export type FileInfo = {
+  url: string;
+  fileName?: string;
+  mimeType?: string;
+  itemId?: string;
+  index?: number;
+  total?: number;
+  duration?: number;
+};
+
+export type Playback = {
+  playing: boolean;
+  position: number;
+  rate: number;
+  muted: boolean;
+  at: number;
+  serverTime: number;
+};
+
+export type ViewerInfo = {
+  socketId: string;
+  viewerId: string;
+  displayName: string;
+  location?: Record<string, unknown> | null;
+  joinedAt?: number;
+  userAgent?: string;
+  viewerName?: string;
+};
+
+export type Viewport = {
+  zoom: number;
+  panX: number;
+  panY: number;
+  rotation: 0 | 90 | 180 | 270;
+};
+
+export type Stroke = {
+  strokeId: string;
+  points: Array<number>;
+  color: string;
+  width: number;
+  tool: "pen" | "highlighter";
+  socketId: string;
+  at: number;
+};
+
+export type DisplayStatus = {
+  displayId: string;
+  name?: string;
+  groups?: Array<string>;
+  connected: boolean;
+  awaySince: number | null;
+  mirrored: boolean;
+  currentFile: FileInfo | null;
+};
+
+export type SessionSnapshot = {
+  sessionId: string;
+  currentFile: FileInfo | null;
+  fileList: Array<FileInfo>;
+  queue: {
+    files: Array<FileInfo>;
+    currentItemId: string | null;
+    currentIndex: number;
+    shuffle: boolean;
+    repeat: "off" | "all" | "one";
+    order: Array<string>;
+  };
+  slideshow: {
+    enabled: boolean;
+    paused: boolean;
+    interval: number;
+    waitForVideos: boolean;
+    nextAdvanceAt: number | null;
+  };
+  admission: {
+    mode: "open" | "approval";
+    maxViewers: number;
+    hasPasscode: boolean;
+    pendingCount: number;
+  };
+  chat: {
+    messages: Array<Record<string, unknown>>;
+    mutedViewers: Array<string>;
+    raisedHands: Array<Record<string, unknown>>;
+  };
+  markup: {
+    strokes: Array<Stroke>;
+    viewport: Viewport | null;
+  };
+  recording: Record<string, unknown> | null;
+  replay: Record<string, unknown> | null;
+  playback: Playback | null;
+  viewerCount: number;
+  viewers: Array<ViewerInfo>;
+  hasProjector: boolean;
+  displays: Array<DisplayStatus>;
+  hasHost: boolean;
+  away: Array<string>;
+};
+
+export type JoinResult = {
+  serverTime: number;
+  state: SessionSnapshot | null;
+};
+
+/** Payloads of the cast events clients send */
+export interface CastEvents {
+  "join-projector": {
+    sessionId: string;
+    resumeToken?: string;
+    displayId?: string;
+    displayName?: string;
+    groups?: Array<string>;
+  };
+  "register-host": {
+    sessionId: string;
+    resumeToken?: string;
+  };
+  "join-controller": {
+    sessionId: string;
+  };
+  "join-main": {
+    sessionId: string;
+  };
+  "join-room": {
+    room: string;
+    role: "projector" | "host" | "controller" | "main" | "viewer";
+  };
+  "ping-projector": {
+    sessionId: string;
+  };
+  "get-viewer-count": {
+    sessionId: string;
+  };
+  "get-playback": {
+    sessionId: string;
+  };
+  "pairing-code-request": {
+    sessionId: string;
+  };
+  "viewer-joined": {
+    sessionId: string;
+    viewerId: string;
+    timestamp?: number;
+    userAgent?: string;
+    viewerName?: string;
+    location?: Record<string, unknown>;
+    passcode?: string;
+  };
+  "viewer-accepted": {
+    sessionId: string;
+    viewerId: string;
+    socketId?: string;
+    timestamp?: number;
+  };
+  "viewer-rejected": {
+    sessionId: string;
+    viewerId: string;
+    socketId?: string;
+    reason?: string;
+  };
+  "admission-settings": {
+    sessionId: string;
+    mode?: "open" | "approval";
+    maxViewers?: number;
+    passcode?: string;
+  };
+  "viewer-navigate": {
+    sessionId: string;
+    viewerId?: string;
+    index: number;
+    fileName?: string;
+  };
+  "viewer-left": {
+    sessionId: string;
+    viewerId?: string;
+  };
+  "cast-update": {
+    sessionId: string;
+    url: string;
+    fileName?: string;
+    mimeType?: string;
+    index?: number;
+    total?: number;
+    displays?: Array<string>;
+    group?: string;
+  };
+  "display-settings": {
+    sessionId: string;
+    displayId: string;
+    displayName?: string;
+    groups?: Array<string>;
+  };
+  "cast-file-list": {
+    sessionId: string;
+    files: Array<{
+      url?: string;
+      fileName?: string;
+      mimeType?: string;
+      duration?: number;
+    }>;
+  };
+  "cast-stop": {
+    sessionId: string;
+  };
+  "video-play": {
+    sessionId: string;
+    position?: number;
+  };
+  "video-pause": {
+    sessionId: string;
+  };
+  "video-mute": {
+    sessionId: string;
+    muted: boolean;
+  };
+  "video-seek": {
+    sessionId: string;
+    time: number;
+  };
+  "video-rate": {
+    sessionId: string;
+    rate: number;
+  };
+  "slideshow-toggle": {
+    sessionId: string;
+    enabled?: boolean;
+    interval?: number;
+    waitForVideos?: boolean;
+  };
+  "slideshow-control": {
+    sessionId: string;
+    enabled?: boolean;
+    interval?: number;
+    waitForVideos?: boolean;
+  };
+  "slideshow-interval": {
+    sessionId: string;
+    interval: number;
+  };
+  "slideshow-pause": {
+    sessionId: string;
+  };
+  "slideshow-resume": {
+    sessionId: string;
+  };
+  "video-ended": {
+    sessionId: string;
+    itemId?: string;
+  };
+  "reaction-send": {
+    sessionId: string;
+    emoji: string;
+  };
+  "chat-send": {
+    sessionId: string;
+    text: string;
+  };
+  "hand-raise": {
+    sessionId: string;
+    raised: boolean;
+  };
+  "hand-lower": {
+    sessionId: string;
+    socketId?: string;
+  };
+  "chat-mute": {
+    sessionId: string;
+    viewerId: string;
+    muted: boolean;
+  };
+  "chat-clear": {
+    sessionId: string;
+  };
+  "pointer-move": {
+    sessionId: string;
+    x: number;
+    y: number;
+    visible?: boolean;
+  };
+  "annotation-stroke": {
+    sessionId: string;
+    url?: string;
+    points: Array<number>;
+    color?: string;
+    width?: number;
+    tool?: "pen" | "highlighter";
+  };
+  "annotation-undo": {
+    sessionId: string;
+    url?: string;
+    strokeId?: string;
+  };
+  "annotation-clear": {
+    sessionId: string;
+    url?: string;
+  };
+  "viewport-change": {
+    sessionId: string;
+    url?: string;
+    zoom?: number;
+    panX?: number;
+    panY?: number;
+    rotation?: 0 | 90 | 180 | 270;
+  };
+  "recording-start": {
+    sessionId: string;
+  };
+  "recording-stop": {
+    sessionId: string;
+  };
+  "replay-stop": {
+    sessionId: string;
+  };
+  "queue-add": {
+    sessionId: string;
+    files: Array<{
+      url?: string;
+      fileName?: string;
+      mimeType?: string;
+      duration?: number;
+    }>;
+    position?: number;
+  };
+  "queue-remove": {
+    sessionId: string;
+    itemId: string;
+  };
+  "queue-move": {
+    sessionId: string;
+    itemId: string;
+    toIndex: number;
+  };
+  "queue-next": {
+    sessionId: string;
+  };
+  "queue-previous": {
+    sessionId: string;
+  };
+  "queue-jump": {
+    sessionId: string;
+    index: number;
+  };
+  "queue-shuffle": {
+    sessionId: string;
+    enabled: boolean;
+  };
+  "queue-repeat": {
+    sessionId: string;
+    mode: "off" | "all" | "one";
+  };
+  "queue-get": {
+    sessionId: string;
+  };
+  "time-sync": {
+    clientTime?: number;
+  };
+}
+
+/** Roles allowed to send each cast event */
+export interface CastEventRoles {
+  "join-projector": "projector";
+  "register-host": "host";
+  "join-controller": "controller";
+  "join-main": "main";
+  "join-room": "projector" | "host" | "controller" | "main" | "viewer";
+  "ping-projector": "projector" | "host" | "controller" | "main" | "viewer";
+  "get-viewer-count": "projector" | "host" | "controller" | "main" | "viewer";
+  "get-playback": "projector" | "host" | "controller" | "main" | "viewer";
+  "pairing-code-request": "projector";
+  "viewer-joined": "viewer";
+  "viewer-accepted": "host" | "controller" | "main";
+  "viewer-rejected": "host" | "controller" | "main";
+  "admission-settings": "host" | "controller" | "main";
+  "viewer-navigate": "viewer";
+  "viewer-left": "viewer";
+  "cast-update": "host" | "controller" | "main";
+  "display-settings": "host" | "controller" | "main";
+  "cast-file-list": "host" | "controller" | "main";
+  "cast-stop": "host" | "controller" | "main";
+  "video-play": "host" | "controller" | "main";
+  "video-pause": "host" | "controller" | "main";
+  "video-mute": "host" | "controller" | "main";
+  "video-seek": "host" | "controller" | "main";
+  "video-rate": "host" | "controller" | "main";
+  "slideshow-toggle": "host" | "controller" | "main";
+  "slideshow-control": "host" | "controller" | "main";
+  "slideshow-interval": "host" | "controller" | "main";
+  "slideshow-pause": "host" | "controller" | "main";
+  "slideshow-resume": "host" | "controller" | "main";
+  "video-ended": "projector";
+  "reaction-send": "host" | "controller" | "main" | "viewer";
+  "chat-send": "host" | "controller" | "main" | "viewer";
+  "hand-raise": "viewer";
+  "hand-lower": "host" | "controller" | "main";
+  "chat-mute": "host" | "controller" | "main";
+  "chat-clear": "host" | "controller" | "main";
+  "pointer-move": "host" | "controller" | "main";
+  "annotation-stroke": "host" | "controller" | "main";
+  "annotation-undo": "host" | "controller" | "main";
+  "annotation-clear": "host" | "controller" | "main";
+  "viewport-change": "host" | "controller" | "main";
+  "recording-start": "host" | "controller" | "main";
+  "recording-stop": "host" | "controller" | "main";
+  "replay-stop": "host" | "controller" | "main";
+  "queue-add": "host" | "controller" | "main";
+  "queue-remove": "host" | "controller" | "main";
+  "queue-move": "host" | "controller" | "main";
+  "queue-next": "host" | "controller" | "main";
+  "queue-previous": "host" | "controller" | "main";
+  "queue-jump": "host" | "controller" | "main";
+  "queue-shuffle": "host" | "controller" | "main";
+  "queue-repeat": "host" | "controller" | "main";
+  "queue-get": "projector" | "host" | "controller" | "main" | "viewer";
+  "time-sync": "projector" | "host" | "controller" | "main" | "viewer";
+}
+
+export type VolatileCastEvent = "pointer-move";
+
+/** The event each role joins a session with */
+export interface JoinEvents {
+  projector: "join-projector";
+  host: "register-host";
+  controller: "join-controller";
+  main: "join-main";
+  viewer: "viewer-joined";
+}
+
+/** Payloads of the cast events the server sends */
+export interface CastServerEvents {
+  "session-resume-token": {
+    sessionId: string;
+    role: "projector" | "host";
+    displayId?: string;
+    resumeToken: string;
+  };
+  "session-state": {
+    sessionId: string;
+    currentFile: FileInfo | null;
+    fileList: Array<FileInfo>;
+    queue: {
+      files: Array<FileInfo>;
+      currentItemId: string | null;
+      currentIndex: number;
+      shuffle: boolean;
+      repeat: "off" | "all" | "one";
+      order: Array<string>;
+    };
+    slideshow: {
+      enabled: boolean;
+      paused: boolean;
+      interval: number;
+      waitForVideos: boolean;
+      nextAdvanceAt: number | null;
+    };
+    admission: {
+      mode: "open" | "approval";
+      maxViewers: number;
+      hasPasscode: boolean;
+      pendingCount: number;
+    };
+    chat: {
+      messages: Array<Record<string, unknown>>;
+      mutedViewers: Array<string>;
+      raisedHands: Array<Record<string, unknown>>;
+    };
+    markup: {
+      strokes: Array<Stroke>;
+      viewport: Viewport | null;
+    };
+    recording: Record<string, unknown> | null;
+    replay: Record<string, unknown> | null;
+    playback: Playback | null;
+    viewerCount: number;
+    viewers: Array<ViewerInfo>;
+    hasProjector: boolean;
+    displays: Array<DisplayStatus>;
+    hasHost: boolean;
+    away: Array<string>;
+  };
+  "projector-ready": {
+    sessionId: string;
+    displayId?: string;
+    timestamp?: number;
+  };
+  "projector-away": {
+    sessionId: string;
+    displayId?: string;
+    graceMs: number;
+  };
+  "projector-back": {
+    sessionId: string;
+    displayId?: string;
+  };
+  "projector-disconnected": void;
+  "display-disconnected": {
+    sessionId: string;
+    displayId: string;
+  };
+  "displays-updated": {
+    sessionId: string;
+    displays: Array<DisplayStatus>;
+  };
+  "host-away": {
+    sessionId: string;
+    graceMs: number;
+  };
+  "host-back": {
+    sessionId: string;
+  };
+  "controller-joined": {
+    socketId: string;
+  };
+  "main-joined": {
+    socketId: string;
+  };
+  "pairing-code": {
+    sessionId: string;
+    code: string;
+    expiresAt: number;
+  };
+  "pairing-redeemed": {
+    sessionId: string;
+  };
+  "device-removed": {
+    deviceId: string;
+  };
+  "viewer-count": {
+    sessionId: string;
+    count: number;
+    viewers: Array<ViewerInfo>;
+  };
+  "viewer-joined": {
+    sessionId: string;
+    viewerId: string;
+    timestamp?: number;
+    userAgent?: string;
+    viewerName?: string;
+    location?: Record<string, unknown> | null;
+  };
+  "viewer-left": {
+    viewerId?: string;
+  };
+  "viewer-navigate": {
+    sessionId: string;
+    viewerId?: string;
+    index: number;
+    fileName?: string;
+  };
+  "viewer-accepted": {
+    sessionId: string;
+    viewerId: string;
+    timestamp?: number;
+  };
+  "viewer-waiting": {
+    sessionId: string;
+    socketId: string;
+    viewerId: string;
+    displayName: string;
+    location?: Record<string, unknown> | null;
+    joinedAt?: number;
+    userAgent?: string;
+    viewerName?: string;
+  };
+  "admission-queue": {
+    sessionId: string;
+    pending: Array<ViewerInfo>;
+  };
+  "admission-updated": {
+    sessionId: string;
+    mode: "open" | "approval";
+    maxViewers: number;
+    hasPasscode: boolean;
+    pendingCount: number;
+  };
+  "admission-approved": {
+    sessionId: string;
+    serverTime: number;
+    state: SessionSnapshot | null;
+  };
+  "admission-rejected": {
+    sessionId: string;
+    reason: string;
+  };
+  "cast-update": {
+    sessionId: string;
+    url: string;
+    fileName?: string;
+    mimeType?: string;
+    itemId?: string;
+    index?: number;
+    total?: number;
+    duration?: number;
+    displays?: Array<string>;
+    group?: string;
+  };
+  "cast-file-list": {
+    sessionId: string;
+    files: Array<FileInfo>;
+  };
+  "cast-stop": void;
+  "queue-updated": {
+    sessionId: string;
+    files: Array<FileInfo>;
+    currentItemId: string | null;
+    currentIndex: number;
+    shuffle: boolean;
+    repeat: "off" | "all" | "one";
+    order: Array<string>;
+  };
+  "video-play": {
+    playback?: Playback;
+  };
+  "video-pause": {
+    playback?: Playback;
+  };
+  "video-mute": {
+    muted: boolean;
+    playback?: Playback;
+  };
+  "video-seek": {
+    time: number;
+    playback?: Playback;
+  };
+  "video-rate": {
+    rate: number;
+    playback?: Playback;
+  };
+  "playback-state": {
+    sessionId: string;
+    playback?: Playback | null;
+  };
+  "time-sync": {
+    clientTime: number | null;
+    serverTime: number;
+  };
+  "slideshow-state": {
+    sessionId: string;
+    enabled: boolean;
+    paused: boolean;
+    interval: number;
+    waitForVideos: boolean;
+    nextAdvanceAt: number | null;
+  };
+  "slideshow-control": {
+    enabled?: boolean;
+    interval?: number;
+    serverDriven?: boolean;
+  };
+  "slideshow-interval": {
+    interval: number;
+  };
+  reaction: {
+    sessionId: string;
+    emoji: string;
+    socketId: string;
+    role: "host" | "controller" | "main" | "viewer";
+    viewerId?: string;
+    displayName: string;
+    at: number;
+  };
+  "chat-message": {
+    sessionId: string;
+    id: string;
+    socketId: string;
+    role: "host" | "controller" | "main" | "viewer";
+    viewerId?: string;
+    displayName: string;
+    text: string;
+    at: number;
+  };
+  "chat-cleared": {
+    sessionId: string;
+  };
+  "viewer-muted": {
+    sessionId: string;
+    viewerId: string;
+    muted: boolean;
+  };
+  "raised-hands": {
+    sessionId: string;
+    raisedHands: Array<Record<string, unknown>>;
+  };
+  pointer: {
+    sessionId: string;
+    socketId: string;
+    x: number;
+    y: number;
+    visible: boolean;
+  };
+  "annotation-stroke": {
+    sessionId: string;
+    url: string;
+    stroke: Stroke;
+  };
+  "annotation-removed": {
+    sessionId: string;
+    url: string;
+    strokeId: string;
+  };
+  "annotations-cleared": {
+    sessionId: string;
+    url: string;
+  };
+  viewport: {
+    sessionId: string;
+    url: string;
+    viewport: Viewport;
+  };
+  "recording-state": {
+    sessionId: string;
+    recording: boolean;
+    recordingId: string;
+    startedAt?: number;
+  };
+  "replay-ended": {
+    sessionId: string;
+    recordingId?: string;
+  };
+  "system-message": {
+    sessionId: string;
+    message: string;
+    level: "info" | "warning" | "error";
+    at: number;
+  };
+  kicked: {
+    sessionId: string | null;
+    reason: string;
+  };
+  "cast-error": {
+    event: string;
+    sessionId?: string;
+    error: string;
+    message: string;
+  };
+  "server-draining": {
+    deadline: number;
+    reconnectInMs: number;
+  };
+}
+
+/** Roles that receive each server event */
+export interface CastServerEventRoles {
+  "session-resume-token": "projector" | "host";
+  "session-state": "projector" | "host";
+  "projector-ready": "projector" | "host" | "controller" | "main" | "viewer";
+  "projector-away": "projector" | "host" | "controller" | "main" | "viewer";
+  "projector-back": "projector" | "host" | "controller" | "main" | "viewer";
+  "projector-disconnected": "projector" | "host" | "controller" | "main" | "viewer";
+  "display-disconnected": "projector" | "host" | "controller" | "main" | "viewer";
+  "displays-updated": "host" | "controller" | "main";
+  "host-away": "projector" | "host" | "controller" | "main" | "viewer";
+  "host-back": "projector" | "host" | "controller" | "main" | "viewer";
+  "controller-joined": "projector" | "host" | "controller" | "main" | "viewer";
+  "main-joined": "projector" | "host" | "controller" | "main" | "viewer";
+  "pairing-code": "projector";
+  "pairing-redeemed": "projector" | "host" | "controller" | "main" | "viewer";
+  "device-removed": "projector";
+  "viewer-count": "projector" | "host" | "controller" | "main" | "viewer";
+  "viewer-joined": "projector" | "host" | "controller" | "main" | "viewer";
+  "viewer-left": "projector" | "host" | "controller" | "main" | "viewer";
+  "viewer-navigate": "projector" | "host" | "controller" | "main" | "viewer";
+  "viewer-accepted": "projector" | "host" | "controller" | "main" | "viewer";
+  "viewer-waiting": "host" | "controller" | "main";
+  "admission-queue": "host" | "controller" | "main";
+  "admission-updated": "projector" | "host" | "controller" | "main" | "viewer";
+  "admission-approved": "viewer";
+  "admission-rejected": "viewer";
+  "cast-update": "projector" | "host" | "controller" | "main" | "viewer";
+  "cast-file-list": "projector" | "host" | "controller" | "main" | "viewer";
+  "cast-stop": "projector" | "host" | "controller" | "main" | "viewer";
+  "queue-updated": "projector" | "host" | "controller" | "main" | "viewer";
+  "video-play": "projector" | "host" | "controller" | "main" | "viewer";
+  "video-pause": "projector" | "host" | "controller" | "main" | "viewer";
+  "video-mute": "projector" | "host" | "controller" | "main" | "viewer";
+  "video-seek": "projector" | "host" | "controller" | "main" | "viewer";
+  "video-rate": "projector" | "host" | "controller" | "main" | "viewer";
+  "playback-state": "projector" | "host" | "controller" | "main" | "viewer";
+  "time-sync": "projector" | "host" | "controller" | "main" | "viewer";
+  "slideshow-state": "projector" | "host" | "controller" | "main" | "viewer";
+  "slideshow-control": "projector" | "host" | "controller" | "main" | "viewer";
+  "slideshow-interval": "projector" | "host" | "controller" | "main" | "viewer";
+  reaction: "projector" | "host" | "controller" | "main" | "viewer";
+  "chat-message": "projector" | "host" | "controller" | "main" | "viewer";
+  "chat-cleared": "projector" | "host" | "controller" | "main" | "viewer";
+  "viewer-muted": "projector" | "host" | "controller" | "main" | "viewer";
+  "raised-hands": "projector" | "host" | "controller" | "main" | "viewer";
+  pointer: "projector" | "host" | "controller" | "main" | "viewer";
+  "annotation-stroke": "projector" | "host" | "controller" | "main" | "viewer";
+  "annotation-removed": "projector" | "host" | "controller" | "main" | "viewer";
+  "annotations-cleared": "projector" | "host" | "controller" | "main" | "viewer";
+  viewport: "projector" | "host" | "controller" | "main" | "viewer";
+  "recording-state": "projector" | "host" | "controller" | "main" | "viewer";
+  "replay-ended": "projector" | "host" | "controller" | "main" | "viewer";
+  "system-message": "projector" | "host" | "controller" | "main" | "viewer";
+  kicked: "projector" | "host" | "controller" | "main" | "viewer";
+  "cast-error": "projector" | "host" | "controller" | "main" | "viewer";
+  "server-draining": "projector" | "host" | "controller" | "main" | "viewer";
+}
+
+/** Payloads of the /notifications events clients send */
+export interface NotificationEvents {
+  "notifications:list": {
+    unreadOnly?: boolean;
+    limit?: number;
+    before?: number;
+  };
+  "notifications:ack": {
+    ids: Array<string>;
+  };
+  "notifications:mark-read": {
+    ids?: Array<string>;
+    all?: boolean;
+  };
+  "notifications:subscribe": {
+    channels?: Array<string>;
+    topics?: Array<string>;
+  };
+  "notifications:unsubscribe": {
+    channels?: Array<string>;
+    topics?: Array<string>;
+  };
+  "notifications:preferences": Record<string, never>;
+  "notifications:preferences-update": {
+    mutedEvents?: Array<string>;
+    mutedChannels?: Array<string>;
+    quietHours?: {
+      start: string;
+      end: string;
+      timeZone?: string;
+    };
+    clientTypes?: Array<"desktop" | "mobile" | "web" | "tv" | "other">;
+  };
+}
+
+/** Payloads of the /notifications events the server sends, besides notifications themselves */
+export interface NotificationServerEvents {
+  "notifications:unread": {
+    count: number;
+  };
+  "notifications:read": {
+    ids: Array<string>;
+    unread: number;
+  };
+  "notifications:preferences-changed": {
+    preferences: Record<string, unknown>;
+  };
+  "server-draining": {
+    deadline: number;
+    reconnectInMs: number;
+  };
+}
+
+/** Fields added to every notification pushed to /notifications (the rest is up to the backend) */
+export type NotificationPayload = {
+  notificationId: string;
+  createdAt: number;
+} & Record<string, unknown>;
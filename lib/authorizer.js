@@ -0,0 +1,64 @@
+/**
+ * DriveX Cast Server - Subscription authorizer
+ *
+ * Decides whether a /notifications socket may join a channel or topic room.
+ * Every authorizer has the same async API:
+ *
+ *   authorize({ userId, email, kind, name }) -> true | false
+ *     kind   'channel' (a chat channelPath) or 'topic'
+ *
+ * Backends:
+ *   createWebhookAuthorizer({ url, secret })   - asks the main backend (SUBSCRIPTION_AUTH_URL)
+ *   createStaticAuthorizer({ channel, topic }) - the same answer for everyone, per kind
+ *
+ * The webhook receives a signed POST (lib/webhook.js headers, same secret as
+ * /notify) with { userId, email, kind, name } and answers { allowed: true|false }.
+ * Answers are cached for `cacheMs` so reconnect storms don't hit the backend
+ * once per socket and channel. A failed call throws; nothing is cached then.
+ */
+
+const { webhookHeaders } = require('./webhook');
+
+const createWebhookAuthorizer = ({ url, secret, timeoutMs = 5000, cacheMs = 60000, maxCached = 10000 }) => {
+  if (!secret) throw new TypeError('createWebhookAuthorizer needs a secret to sign its requests');
+  const cache = new Map();   // key -> { allowed, expiresAt }
+
+  const remember = (key, allowed) => {
+    // Rather drop everything than grow without bound
+    if (cache.size >= maxCached) cache.clear();
+    cache.set(key, { allowed, expiresAt: Date.now() + cacheMs });
+  };
+
+  return {
+    name: 'webhook',
+
+    async authorize({ userId = null, email = null, kind, name }) {
+      const key = JSON.stringify([userId, email, kind, name]);
+      const cached = cache.get(key);
+      if (cached && cached.expiresAt > Date.now()) return cached.allowed;
+
+      const body = JSON.stringify({ userId, email, kind, name });
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...webhookHeaders(secret, body) },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) throw new Error(`Subscription authorizer answered ${res.status}`);
+
+      const allowed = (await res.json()).allowed === true;
+      remember(key, allowed);
+      return allowed;
+    }
+  };
+};
+
+const createStaticAuthorizer = ({ channel = false, topic = false } = {}) => ({
+  name: 'static',
+
+  async authorize({ kind }) {
+    return (kind === 'channel' ? channel : topic) === true;
+  }
+});
+
+module.exports = { createWebhookAuthorizer, createStaticAuthorizer };
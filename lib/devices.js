@@ -0,0 +1,166 @@
+/**
+ * DriveX Cast Server - Device registry
+ *
+ * Projectors that are set up once and come back by themselves: a meeting-room
+ * TV is registered as a device with a name, owner, location and capabilities,
+ * and authenticates with its device credential from then on.
+ *
+ * Each device: { deviceId, ownerId, name, location, capabilities, createdAt, lastSeenAt }
+ *   capabilities   { video, audio, resolution } as reported by the device
+ *   lastSeenAt     last time the device connected
+ *
+ * Only a SHA-256 of the credential is stored. register() returns the
+ * credential once; it cannot be read back later.
+ *
+ * Three backends with the same async API:
+ *   createStoreDevices(store)   - records in the state store, shared by every instance
+ *   createFileDevices(file)     - all devices in one JSON file (single instance, default)
+ *   createMemoryDevices()       - single process, nothing survives a restart
+ *
+ * The file backend reads the file on every call, so edits to it show up without a
+ * restart, but it orders writes inside this process only: one instance per file.
+ *
+ * Whether a device is online is not kept here; that lives in the state store
+ * next to the sessions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const hashCredential = (credential) => crypto.createHash('sha256').update(String(credential)).digest();
+
+// Everything but the credential hash
+const publicDevice = ({ credentialHash, ...device }) => device;
+
+// A backend is { load(deviceId), change(deviceId, fn), list() }: change saves what
+// fn(device or null) returns (null deletes, undefined leaves it) and resolves with it
+const createDevices = ({ load, change, list }) => {
+
+  return {
+    async register({ ownerId, name, location = null, capabilities = {} }) {
+      const credential = crypto.randomBytes(32).toString('base64url');
+      const device = {
+        deviceId: crypto.randomUUID(),
+        ownerId,
+        name,
+        location,
+        capabilities,
+        createdAt: Date.now(),
+        lastSeenAt: null,
+        credentialHash: hashCredential(credential).toString('hex')
+      };
+      await change(device.deviceId, () => device);
+      return { device: publicDevice(device), credential };
+    },
+
+    // The device when `credential` is its credential, otherwise null
+    async authenticate(deviceId, credential) {
+      const device = await load(deviceId);
+      if (!device || !credential) return null;
+      const expected = Buffer.from(device.credentialHash, 'hex');
+      return crypto.timingSafeEqual(expected, hashCredential(credential)) ? publicDevice(device) : null;
+    },
+
+    async get(deviceId) {
+      const device = await load(deviceId);
+      return device ? publicDevice(device) : null;
+    },
+
+    async listByOwner(ownerId) {
+      return (await list())
+        .filter(device => device.ownerId === ownerId)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(publicDevice);
+    },
+
+    // changes: any of name, location, capabilities, lastSeenAt
+    async update(deviceId, changes) {
+      const updated = await change(deviceId, device => (device ? { ...device, ...changes } : undefined));
+      return updated ? publicDevice(updated) : null;
+    },
+
+    async remove(deviceId) {
+      let existed = false;
+      await change(deviceId, (device) => {
+        existed = !!device;
+        return device ? null : undefined;
+      });
+      return existed;
+    }
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════
+// BACKENDS
+// ═══════════════════════════════════════════════════════════════
+
+// The backend for a whole { deviceId: device } object that is read and saved in one
+// piece; changes run one at a time so none is lost
+const wholeObject = ({ read, write }) => {
+  let writes = Promise.resolve();
+  return {
+    load: async (deviceId) => (await read())[deviceId] || null,
+    list: async () => Object.values(await read()),
+    change: (deviceId, fn) => {
+      const run = writes.then(async () => {
+        const devices = await read();
+        const next = fn(devices[deviceId] || null);
+        if (next === undefined) return devices[deviceId] || null;
+        if (next === null) delete devices[deviceId];
+        else devices[deviceId] = next;
+        await write(devices);
+        return next;
+      });
+      writes = run.catch(() => {});
+      return run;
+    }
+  };
+};
+
+// Devices are 'device' records
+const createStoreDevices = (store) => ({
+  name: 'store',
+  ...createDevices({
+    load: (deviceId) => store.getRecord('device', deviceId),
+    change: (deviceId, fn) => store.updateRecord('device', deviceId, fn),
+    list: async () => (await store.listRecords('device')).map(([, device]) => device)
+  })
+});
+
+const createMemoryDevices = () => {
+  let devices = {};
+  return {
+    name: 'memory',
+    ...createDevices(wholeObject({
+      read: async () => ({ ...devices }),
+      write: async (next) => { devices = next; }
+    }))
+  };
+};
+
+const createFileDevices = (file) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  return {
+    name: 'file',
+    ...createDevices(wholeObject({
+      read: async () => {
+        try {
+          return JSON.parse(await fs.promises.readFile(file, 'utf8')).devices;
+        } catch (err) {
+          if (err.code === 'ENOENT') return {};
+          throw err;
+        }
+      },
+      write: async (devices) => {
+        // Write then rename so a crash never leaves half a file behind
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ devices }));
+        await fs.promises.rename(tmp, file);
+      }
+    }))
+  };
+};
+
+module.exports = { createStoreDevices, createFileDevices, createMemoryDevices };
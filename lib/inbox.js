@@ -0,0 +1,210 @@
+/**
+ * DriveX Cast Server - Notification inbox
+ *
+ * Keeps every notification sent through /notify and /chat/broadcast so users
+ * who were offline get it when they next connect to /notifications.
+ *
+ * Notifications are stored under one recipient key ('user:<id>' when the
+ * backend gave a userId, otherwise 'email:<address>'). Reads take all the keys
+ * a socket is known by and merge them.
+ *
+ * Each entry: { id, event, data, createdAt, deliveredAt, ackedAt, readAt, suppressed }
+ *   deliveredAt  sent to at least one live socket of the recipient
+ *   suppressed   why it was not pushed (muted, quiet hours) or null; such
+ *                entries are listed but never replayed on connect
+ *   ackedAt      a client confirmed it received it (notifications:ack)
+ *   readAt       the user read it (notifications:mark-read)
+ *
+ * Three backends with the same async API:
+ *   createStoreInbox(store)   - records in the state store, shared by every instance
+ *   createFileInbox(dir)      - one JSON file per recipient (single instance, default)
+ *   createMemoryInbox()       - single process, nothing survives a restart
+ *
+ * The file backend serializes writes per recipient inside this process only, so
+ * only one instance may use a directory; several instances need the store backend.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_LIMIT = 200;
+const DEFAULT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// A backend is { load(key), change(key, fn) }: change applies fn(entries) -> entries
+// to one recipient's stored entries without losing concurrent changes
+const createInbox = ({ load, change }, { limit = DEFAULT_LIMIT, retentionMs = DEFAULT_RETENTION_MS } = {}) => {
+  // Oldest first; expired entries and anything over the limit fall off the front
+  const trim = (entries) => {
+    const cutoff = Date.now() - retentionMs;
+    return entries.filter(n => n.createdAt > cutoff).slice(-limit);
+  };
+
+  const read = async (key) => trim(await load(key) || []);
+
+  // fn may run more than once (store backend), so it must not have side effects
+  const update = (key, fn) => change(key, entries => trim(fn(trim(entries || []))));
+
+  const readAll = async (keys) => {
+    const seen = new Set();
+    const entries = [];
+    for (const key of keys) {
+      for (const entry of await read(key)) {
+        if (!seen.has(entry.id)) {
+          seen.add(entry.id);
+          entries.push(entry);
+        }
+      }
+    }
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  };
+
+  // Sets `field` to now on the given entries (all entries when ids is null)
+  const stamp = async (keys, ids, field) => {
+    const wanted = ids && new Set(ids);
+    const now = Date.now();
+    const changed = [];
+    for (const key of keys) {
+      let stamped = [];
+      await update(key, entries => {
+        stamped = [];
+        return entries.map(entry => {
+          if (entry[field] || (wanted && !wanted.has(entry.id))) return entry;
+          stamped.push(entry.id);
+          return { ...entry, [field]: now };
+        });
+      });
+      changed.push(...stamped);
+    }
+    return changed;
+  };
+
+  return {
+    async add(key, { event, data, delivered = false, suppressed = null }) {
+      const now = Date.now();
+      const entry = {
+        id: crypto.randomUUID(),
+        event,
+        data: data ?? null,
+        createdAt: now,
+        deliveredAt: delivered ? now : null,
+        ackedAt: null,
+        readAt: null,
+        suppressed
+      };
+      await update(key, entries => [...entries, entry]);
+      return entry;
+    },
+
+    // Newest first. before: only entries created before this timestamp (paging)
+    async list(keys, { unreadOnly = false, limit: max = 50, before } = {}) {
+      return (await readAll(keys))
+        .filter(n => !unreadOnly || !n.readAt)
+        .filter(n => before === undefined || n.createdAt < before)
+        .reverse()
+        .slice(0, max);
+    },
+
+    // Never sent to a live socket (and not held back on purpose), oldest first
+    async pending(keys) {
+      return (await readAll(keys)).filter(n => !n.deliveredAt && !n.suppressed);
+    },
+
+    async unreadCount(keys) {
+      return (await readAll(keys)).filter(n => !n.readAt).length;
+    },
+
+    markDelivered: (keys, ids) => stamp(keys, ids, 'deliveredAt'),
+
+    // A client ack also counts as delivery
+    async ack(keys, ids) {
+      await stamp(keys, ids, 'deliveredAt');
+      return stamp(keys, ids, 'ackedAt');
+    },
+
+    markRead: (keys, ids) => stamp(keys, ids, 'readAt')
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════
+// BACKENDS
+// ═══════════════════════════════════════════════════════════════
+
+// change() for backends that only load and save: one call per recipient at a time
+const serialized = ({ load, save }) => {
+  const queues = new Map();   // key -> tail of the pending write chain
+  return {
+    load,
+    change: (key, fn) => {
+      const run = (queues.get(key) || Promise.resolve()).then(async () => {
+        await save(key, fn(await load(key)));
+      });
+      const tail = run.catch(() => {});
+      queues.set(key, tail);
+      tail.then(() => { if (queues.get(key) === tail) queues.delete(key); });
+      return run;
+    }
+  };
+};
+
+// Recipients are 'inbox' records; an emptied inbox is deleted
+const createStoreInbox = (store, options) => ({
+  name: 'store',
+  ...createInbox({
+    load: (key) => store.getRecord('inbox', key),
+    change: async (key, fn) => {
+      await store.updateRecord('inbox', key, (entries) => {
+        const next = fn(entries);
+        return next.length === 0 ? null : next;
+      });
+    }
+  }, options)
+});
+
+const createMemoryInbox = (options) => {
+  const boxes = new Map();
+  return {
+    name: 'memory',
+    ...createInbox(serialized({
+      load: async (key) => boxes.get(key),
+      save: async (key, entries) => {
+        if (entries.length === 0) boxes.delete(key);
+        else boxes.set(key, entries);
+      }
+    }), options)
+  };
+};
+
+const createFileInbox = (dir, options) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Hashed so emails and odd user ids are always safe file names
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    name: 'file',
+    ...createInbox(serialized({
+      load: async (key) => {
+        try {
+          return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8')).entries;
+        } catch (err) {
+          if (err.code === 'ENOENT') return [];
+          throw err;
+        }
+      },
+      save: async (key, entries) => {
+        const file = fileFor(key);
+        if (entries.length === 0) {
+          await fs.promises.rm(file, { force: true });
+          return;
+        }
+        // Write then rename so a crash never leaves half a file behind
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ key, entries }));
+        await fs.promises.rename(tmp, file);
+      }
+    }), options)
+  };
+};
+
+module.exports = { createStoreInbox, createFileInbox, createMemoryInbox };
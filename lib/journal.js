@@ -0,0 +1,99 @@
+/**
+ * DriveX Cast Server - Session recordings
+ *
+ * A recording is an append-only journal of the cast events a session received,
+ * kept after the session itself is gone. One JSON Lines file per recording:
+ *
+ *   { "type": "header", recordingId, sessionId, owner, startedAt }
+ *   { "t": <ms since startedAt>, "event": "cast-update", "data": { ... } }
+ *   ...
+ *   { "type": "end", endedAt }          (missing if the server stopped first)
+ *
+ * Appends to one recording are serialized inside this process; instances
+ * behind a load balancer need their own directory (or a shared filesystem
+ * with sticky sessions).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const createFileJournal = (dir) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const queues = new Map();   // recordingId -> tail of the pending append chain
+  const started = new Map();  // recordingId -> startedAt, for entry offsets
+
+  const fileFor = (recordingId) => path.join(dir, `${recordingId}.jsonl`);
+  const isValidId = (recordingId) => /^[0-9a-f-]{36}$/.test(recordingId);
+
+  const append = (recordingId, line) => {
+    const run = (queues.get(recordingId) || Promise.resolve())
+      .then(() => fs.promises.appendFile(fileFor(recordingId), `${JSON.stringify(line)}\n`));
+    const tail = run.catch(() => {});
+    queues.set(recordingId, tail);
+    tail.then(() => { if (queues.get(recordingId) === tail) queues.delete(recordingId); });
+    return run;
+  };
+
+  const startedAt = async (recordingId) => {
+    if (!started.has(recordingId)) {
+      const recording = await read(recordingId);
+      if (!recording) throw new Error(`Recording ${recordingId} not found`);
+      started.set(recordingId, recording.startedAt);
+    }
+    return started.get(recordingId);
+  };
+
+  // Returns { recordingId, sessionId, owner, startedAt, endedAt, events } or null
+  const read = async (recordingId) => {
+    if (!isValidId(recordingId)) return null;
+    let raw;
+    try {
+      raw = await fs.promises.readFile(fileFor(recordingId), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    const lines = raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const header = lines.find(line => line.type === 'header');
+    const end = lines.find(line => line.type === 'end');
+    const events = lines.filter(line => !line.type);
+    const lastAt = events.length ? header.startedAt + events[events.length - 1].t : header.startedAt;
+    return {
+      recordingId,
+      sessionId: header.sessionId,
+      owner: header.owner,
+      startedAt: header.startedAt,
+      endedAt: end ? end.endedAt : lastAt,
+      events
+    };
+  };
+
+  return {
+    name: 'file',
+
+    async start({ sessionId, owner }) {
+      const recordingId = crypto.randomUUID();
+      const now = Date.now();
+      started.set(recordingId, now);
+      await append(recordingId, { type: 'header', recordingId, sessionId, owner, startedAt: now });
+      return { recordingId, startedAt: now };
+    },
+
+    async append(recordingId, event, data) {
+      const t = Date.now() - await startedAt(recordingId);
+      await append(recordingId, { t, event, data });
+    },
+
+    async stop(recordingId) {
+      await append(recordingId, { type: 'end', endedAt: Date.now() });
+      started.delete(recordingId);
+    },
+
+    read
+  };
+};
+
+module.exports = { createFileJournal };
@@ -0,0 +1,139 @@
+/**
+ * DriveX Cast Server - Prometheus metrics
+ *
+ * createMetrics() builds a registry with every metric the server reports.
+ * Counters and histograms are updated where things happen; session and socket
+ * metrics read live state when /metrics is scraped (scrape()), through the
+ * two callbacks:
+ *
+ *   listSessions()   -> [[sessionId, session], ...] (store.listSessions)
+ *   socketCounts()   -> { [namespace]: connected sockets on this node }
+ *
+ * listSessions() reads every session (SMEMBERS + MGET on Redis), so scrape()
+ * calls it once and fills every session metric from that one list. Session
+ * metrics are aggregates: a label per session would add a series per session
+ * that outlives it.
+ */
+
+const client = require('prom-client');
+
+// Which roles are present, e.g. "host,projector,viewer" (or "none")
+const roleComposition = (session) => {
+  const roles = [];
+  if (session.controllers?.length) roles.push('controller');
+  if (session.host) roles.push('host');
+  if (session.main) roles.push('main');
+  if (Object.values(session.displays || {}).some(display => display.socketId)) roles.push('projector');
+  if (session.viewers?.length) roles.push('viewer');
+  return roles.join(',') || 'none';
+};
+
+const createMetrics = ({ listSessions, socketCounts }) => {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: 'drivex_' });
+
+  const metric = (Type, config) => new Type({ registers: [registry], ...config });
+
+  const castSessions = metric(client.Gauge, {
+    name: 'drivex_cast_sessions',
+    help: 'Active cast sessions by the roles connected to them',
+    labelNames: ['roles']
+  });
+
+  // _sum is every viewer, _count every session
+  const sessionViewers = metric(client.Histogram, {
+    name: 'drivex_session_viewers',
+    help: 'Viewers connected per active cast session',
+    buckets: [0, 1, 5, 10, 25, 50, 100, 250, 500]
+  });
+
+  metric(client.Gauge, {
+    name: 'drivex_connected_sockets',
+    help: 'Sockets connected to this node per namespace',
+    labelNames: ['namespace'],
+    collect() {
+      this.reset();
+      for (const [namespace, count] of Object.entries(socketCounts())) {
+        this.set({ namespace }, count);
+      }
+    }
+  });
+
+  return {
+    registry,
+
+    // Refreshes the session metrics from one listSessions() and renders the registry
+    async scrape() {
+      const sessions = await listSessions();
+      castSessions.reset();
+      sessionViewers.reset();
+      sessionViewers.zero({});   // reports count 0 rather than nothing when no session is left
+      for (const [, session] of sessions) {
+        castSessions.inc({ roles: roleComposition(session) });
+        sessionViewers.observe(session.viewers?.length || 0);
+      }
+      return registry.metrics();
+    },
+
+    castEvents: metric(client.Counter, {
+      name: 'drivex_cast_events_total',
+      help: 'Inbound cast events by type and outcome (ok or the error code)',
+      labelNames: ['event', 'result']
+    }),
+
+    castEventDuration: metric(client.Histogram, {
+      name: 'drivex_cast_event_duration_seconds',
+      help: 'Time spent handling a cast event, including store access',
+      labelNames: ['event'],
+      buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+    }),
+
+    webhookRequests: metric(client.Counter, {
+      name: 'drivex_webhook_requests_total',
+      help: 'Accepted /notify and /chat/broadcast calls',
+      labelNames: ['route']
+    }),
+
+    notificationsDelivered: metric(client.Counter, {
+      name: 'drivex_notifications_total',
+      help: 'Notifications per recipient: sent to a live socket or queued in the inbox',
+      labelNames: ['route', 'status']
+    }),
+
+    authFailures: metric(client.Counter, {
+      name: 'drivex_auth_failures_total',
+      help: 'Rejected authentication or authorization attempts',
+      labelNames: ['source', 'reason']
+    }),
+
+    staleSessionsCleaned: metric(client.Counter, {
+      name: 'drivex_stale_sessions_cleaned_total',
+      help: 'Sessions removed by the periodic cleanup'
+    }),
+
+    sessionsEvicted: metric(client.Counter, {
+      name: 'drivex_sessions_evicted_total',
+      help: 'Sessions ended by the cleanup because the server was over MAX_SESSIONS'
+    }),
+
+    rateLimited: metric(client.Counter, {
+      name: 'drivex_rate_limited_total',
+      help: 'Requests refused by a rate limit or quota, by scope and what happened to the client',
+      labelNames: ['scope', 'action']
+    }),
+
+    mediaRequests: metric(client.Counter, {
+      name: 'drivex_media_requests_total',
+      help: 'GET /media requests by link audience and upstream status (or why they were refused)',
+      labelNames: ['role', 'status']
+    }),
+
+    disconnects: metric(client.Counter, {
+      name: 'drivex_disconnects_total',
+      help: 'Socket disconnects by namespace and socket.io reason',
+      labelNames: ['namespace', 'reason']
+    })
+  };
+};
+
+module.exports = { createMetrics };
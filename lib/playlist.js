@@ -0,0 +1,228 @@
+/**
+ * DriveX Cast Server - Playlist / queue
+ *
+ * Pure functions over a session object: each takes a session and returns the
+ * updated session, so they can run inside store.updateSession(). The server
+ * owns the queue; clients refer to entries by the server-assigned `itemId`
+ * so two controllers editing at once can't act on a stale index.
+ *
+ * session.fileList          ordered entries, each { itemId, url, fileName, mimeType, duration }
+ * session.queue.currentItemId  entry shown on the projector
+ * session.queue.shuffle     play order is session.queue.order instead of fileList
+ * session.queue.repeat      'off' | 'all' | 'one'
+ */
+
+const crypto = require('crypto');
+const { CastError, ERROR_CODES } = require('./protocol');
+
+const newQueue = () => ({
+  currentItemId: null,
+  shuffle: false,
+  repeat: 'off',
+  order: []
+});
+
+// All that is kept of a client's file entry: anything else (a thumbnail or
+// download link, say) would reach viewers as it was sent, not as a /media link
+const FILE_FIELDS = ['url', 'fileName', 'mimeType', 'duration'];
+
+const pickFile = (file) => Object.fromEntries(
+  FILE_FIELDS.filter(key => file[key] !== undefined).map(key => [key, file[key]])
+);
+
+const withItemIds = (files) => files.map(file => ({ ...pickFile(file), itemId: crypto.randomUUID() }));
+
+const findIndex = (session, itemId) => session.fileList.findIndex(f => f.itemId === itemId);
+
+const requireIndex = (session, itemId) => {
+  const index = findIndex(session, itemId);
+  if (index === -1) throw new CastError(ERROR_CODES.ITEM_NOT_FOUND, `No queue item ${itemId}`);
+  return index;
+};
+
+// Fisher-Yates; the current item (if any) stays first so shuffling doesn't skip it
+const shuffledOrder = (fileList, firstItemId) => {
+  const ids = fileList.map(f => f.itemId).filter(id => id !== firstItemId);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  return firstItemId ? [firstItemId, ...ids] : ids;
+};
+
+// Item ids in the order they play
+const playOrder = (session) => {
+  const queue = session.queue || newQueue();
+  if (!queue.shuffle) return session.fileList.map(f => f.itemId);
+  const known = new Set(session.fileList.map(f => f.itemId));
+  const order = queue.order.filter(id => known.has(id));
+  // Items added since the last shuffle play after the shuffled ones
+  session.fileList.forEach(f => { if (!order.includes(f.itemId)) order.push(f.itemId); });
+  return order;
+};
+
+// Makes `itemId` current; the projector starts it from the beginning
+const selectItem = (session, itemId) => {
+  const index = itemId ? findIndex(session, itemId) : -1;
+  const file = index === -1 ? null : session.fileList[index];
+  return {
+    ...session,
+    queue: { ...session.queue, currentItemId: file ? itemId : null },
+    currentFile: file
+      ? { ...pickFile(file), index, total: session.fileList.length, itemId }
+      : null,
+    playback: null,
+    lastUpdate: Date.now()
+  };
+};
+
+// Keeps currentFile.index/total right after the list changed around it
+const refreshCurrent = (session) => {
+  const itemId = session.queue.currentItemId;
+  const index = itemId ? findIndex(session, itemId) : -1;
+  if (index === -1) {
+    return { ...session, queue: { ...session.queue, currentItemId: null }, lastUpdate: Date.now() };
+  }
+  return {
+    ...session,
+    currentFile: { ...session.currentFile, index, total: session.fileList.length },
+    lastUpdate: Date.now()
+  };
+};
+
+const ensureQueue = (session) => ({
+  ...session,
+  fileList: (session.fileList || []).map(f => (f.itemId ? f : { ...f, itemId: crypto.randomUUID() })),
+  queue: { ...newQueue(), ...session.queue }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// OPERATIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Host replaced the whole list (cast-file-list)
+const setFileList = (session, files) => {
+  const base = ensureQueue(session);
+  const fileList = withItemIds(files);
+  // Keep showing the same file if it is still in the new list
+  const current = fileList.find(f => f.url && f.url === base.currentFile?.url);
+  const next = {
+    ...base,
+    fileList,
+    queue: {
+      ...base.queue,
+      currentItemId: current?.itemId || null,
+      order: base.queue.shuffle ? shuffledOrder(fileList, current?.itemId) : []
+    }
+  };
+  return current ? refreshCurrent(next) : { ...next, lastUpdate: Date.now() };
+};
+
+const enqueue = (session, files, position) => {
+  const base = ensureQueue(session);
+  const at = position === undefined ? base.fileList.length : Math.min(position, base.fileList.length);
+  const fileList = [...base.fileList];
+  fileList.splice(at, 0, ...withItemIds(files));
+  return refreshCurrent({ ...base, fileList });
+};
+
+const removeItem = (session, itemId) => {
+  let base = ensureQueue(session);
+  requireIndex(base, itemId);
+
+  // Removing what's on screen moves on to whatever plays next
+  if (base.queue.currentItemId === itemId) {
+    const order = playOrder(base);
+    const nextId = order[order.indexOf(itemId) + 1] || null;
+    base = selectItem(base, nextId);
+  }
+
+  const fileList = base.fileList.filter(f => f.itemId !== itemId);
+  const order = base.queue.order.filter(id => id !== itemId);
+  const next = { ...base, fileList, queue: { ...base.queue, order } };
+  return next.queue.currentItemId ? refreshCurrent(next) : { ...next, currentFile: null };
+};
+
+const moveItem = (session, itemId, toIndex) => {
+  const base = ensureQueue(session);
+  const from = requireIndex(base, itemId);
+  const fileList = [...base.fileList];
+  const [item] = fileList.splice(from, 1);
+  fileList.splice(Math.min(toIndex, fileList.length), 0, item);
+  return refreshCurrent({ ...base, fileList });
+};
+
+// delta: +1 next, -1 previous. auto: advanced by the server (slideshow,
+// video ended), where repeat 'one' replays the same item.
+// Returns the session unchanged (same object) when there is nowhere to go.
+const stepQueue = (session, delta, { auto = false } = {}) => {
+  const base = ensureQueue(session);
+  const order = playOrder(base);
+  if (order.length === 0) return session;
+
+  const { currentItemId, repeat } = base.queue;
+  if (auto && repeat === 'one' && currentItemId) return selectItem(base, currentItemId);
+
+  const position = order.indexOf(currentItemId);
+  let next = position === -1 ? (delta > 0 ? 0 : order.length - 1) : position + delta;
+
+  if (next < 0 || next >= order.length) {
+    if (repeat === 'off') return session;
+    next = (next + order.length) % order.length;
+  }
+  return selectItem(base, order[next]);
+};
+
+const jumpTo = (session, index) => {
+  const base = ensureQueue(session);
+  const file = base.fileList[index];
+  if (!file) throw new CastError(ERROR_CODES.ITEM_NOT_FOUND, `No queue item at index ${index}`);
+  return selectItem(base, file.itemId);
+};
+
+const setShuffle = (session, enabled) => {
+  const base = ensureQueue(session);
+  const order = enabled ? shuffledOrder(base.fileList, base.queue.currentItemId) : [];
+  return { ...base, queue: { ...base.queue, shuffle: enabled, order }, lastUpdate: Date.now() };
+};
+
+const setRepeat = (session, mode) => {
+  const base = ensureQueue(session);
+  return { ...base, queue: { ...base.queue, repeat: mode }, lastUpdate: Date.now() };
+};
+
+// A client-driven cast-update: adopt it as current if it is one of our items
+const adoptCurrentFile = (session, url) => {
+  const base = ensureQueue(session);
+  const file = base.fileList.find(f => f.url === url);
+  return file ? selectItem(base, file.itemId) : null;
+};
+
+// What clients get in queue-updated and the session snapshot. Entries are
+// picked again in case a session was stored before fields were limited.
+const queueState = (session) => {
+  const queue = { ...newQueue(), ...session.queue };
+  return {
+    files: (session.fileList || []).map(file => ({ ...pickFile(file), itemId: file.itemId })),
+    currentItemId: queue.currentItemId,
+    currentIndex: queue.currentItemId ? findIndex(session, queue.currentItemId) : -1,
+    shuffle: queue.shuffle,
+    repeat: queue.repeat,
+    order: session.fileList ? playOrder({ ...session, queue }) : []
+  };
+};
+
+module.exports = {
+  newQueue,
+  setFileList,
+  enqueue,
+  removeItem,
+  moveItem,
+  stepQueue,
+  jumpTo,
+  setShuffle,
+  setRepeat,
+  adoptCurrentFile,
+  queueState,
+  pickFile
+};
@@ -0,0 +1,140 @@
+/**
+ * DriveX Cast Server - Notification preferences
+ *
+ * What a user wants pushed to their /notifications sockets, keyed by userId:
+ *
+ *   { mutedEvents, mutedChannels, quietHours, clientTypes, updatedAt }
+ *     mutedEvents    event names never pushed live (e.g. 'share:new')
+ *     mutedChannels  channelPaths whose notifications are never pushed live
+ *     quietHours     { start: 'HH:MM', end: 'HH:MM', timeZone } or null; may wrap midnight
+ *     clientTypes    client types that get pushes (e.g. ['desktop']) or null for all
+ *
+ * Muted and quiet-hour notifications still go into the inbox; this module
+ * only answers whether a live push should happen (suppression()).
+ *
+ * Three backends with the same async API:
+ *   createStorePreferences(store)   - records in the state store, shared by every instance
+ *   createFilePreferences(file)     - every user in one JSON file (single instance, default)
+ *   createMemoryPreferences()       - single process, nothing survives a restart
+ *
+ * The file backend reads the file on every call but orders writes inside this
+ * process only: one instance per file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const defaultPreferences = () => ({
+  mutedEvents: [],
+  mutedChannels: [],
+  quietHours: null,
+  clientTypes: null,
+  updatedAt: null
+});
+
+// 'HH:MM' on the wall clock of timeZone (throws RangeError for unknown zones)
+const localTime = (timeZone, now) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+}).format(now);
+
+const inQuietHours = ({ start, end, timeZone = 'UTC' }, now = Date.now()) => {
+  const time = localTime(timeZone, now);
+  // 22:00-07:00 wraps midnight; equal start and end means no quiet hours
+  return start <= end ? time >= start && time < end : time >= start || time < end;
+};
+
+// Why a notification should not be pushed live, or null when it should
+const suppression = (prefs, { event, data }, now = Date.now()) => {
+  if (!prefs) return null;
+  if (prefs.mutedEvents.includes(event)) return 'muted-event';
+  if (data?.channelPath && prefs.mutedChannels.includes(data.channelPath)) return 'muted-channel';
+  if (prefs.quietHours && inQuietHours(prefs.quietHours, now)) return 'quiet-hours';
+  return null;
+};
+
+// A backend is { load(userId), change(userId, fn) }: change saves what
+// fn(preferences or null) returns and resolves with it
+const createPreferences = ({ load, change }) => ({
+  // Defaults for users who never changed anything
+  async get(userId) {
+    return { ...defaultPreferences(), ...await load(userId) };
+  },
+
+  // changes: any of mutedEvents, mutedChannels, quietHours, clientTypes
+  async update(userId, changes) {
+    const updatedAt = Date.now();
+    return change(userId, current => ({ ...defaultPreferences(), ...current, ...changes, updatedAt }));
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// BACKENDS
+// ═══════════════════════════════════════════════════════════════
+
+// The backend for a whole { userId: preferences } object that is read and saved
+// in one piece; changes run one at a time so none is lost
+const wholeObject = ({ read, write }) => {
+  let writes = Promise.resolve();
+  return {
+    load: async (userId) => (await read())[userId] || null,
+    change: (userId, fn) => {
+      const run = writes.then(async () => {
+        const users = await read();
+        users[userId] = fn(users[userId] || null);
+        await write(users);
+        return users[userId];
+      });
+      writes = run.catch(() => {});
+      return run;
+    }
+  };
+};
+
+// Users are 'preferences' records
+const createStorePreferences = (store) => ({
+  name: 'store',
+  ...createPreferences({
+    load: (userId) => store.getRecord('preferences', userId),
+    change: (userId, fn) => store.updateRecord('preferences', userId, fn)
+  })
+});
+
+const createMemoryPreferences = () => {
+  let users = {};
+  return {
+    name: 'memory',
+    ...createPreferences(wholeObject({
+      read: async () => ({ ...users }),
+      write: async (next) => { users = next; }
+    }))
+  };
+};
+
+const createFilePreferences = (file) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  return {
+    name: 'file',
+    ...createPreferences(wholeObject({
+      read: async () => {
+        try {
+          return JSON.parse(await fs.promises.readFile(file, 'utf8')).users;
+        } catch (err) {
+          if (err.code === 'ENOENT') return {};
+          throw err;
+        }
+      },
+      write: async (users) => {
+        // Write then rename so a crash never leaves half a file behind
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ users }));
+        await fs.promises.rename(tmp, file);
+      }
+    }))
+  };
+};
+
+module.exports = { createStorePreferences, createFilePreferences, createMemoryPreferences, suppression, localTime };
@@ -0,0 +1,968 @@
+/**
+ * DriveX Cast Server - Cast protocol
+ *
+ * Declares every inbound cast socket event: which roles may send it, whether
+ * the session must already exist, and the payload schema. server.js rejects
+ * anything that doesn't match before a handler runs. The /notifications
+ * namespace events are declared the same way in NOTIFICATION_EVENTS.
+ *
+ * What the server sends back is declared in CAST_SERVER_EVENTS and
+ * NOTIFICATION_SERVER_EVENTS. The client SDK (client/) is built on this file.
+ *
+ * Schema field options:
+ *   type       'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *   required   reject when missing (null counts as missing)
+ *   maxLength  strings
+ *   pattern    strings, RegExp they must match
+ *   min / max  numbers and integers
+ *   enum       allowed values
+ *   minItems / maxItems   arrays
+ *   items      schema applied to each array element
+ *   fields     schema applied to the keys of an object
+ *   nullable   outbound schemas only: the value may be null
+ */
+
+const CAST_ROLES = ['projector', 'host', 'controller', 'main', 'viewer'];
+const CONTROL_ROLES = ['host', 'controller', 'main'];
+// Everyone who can take part in reactions and chat (not the projector)
+const AUDIENCE_ROLES = [...CONTROL_ROLES, 'viewer'];
+const CHAT_MAX_LENGTH = 280;
+// What a /notifications socket says it is (handshake auth.clientType); anything else is 'other'
+const CLIENT_TYPES = ['desktop', 'mobile', 'web', 'tv', 'other'];
+
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  SESSION_MISMATCH: 'SESSION_MISMATCH',
+  FORBIDDEN_ROLE: 'FORBIDDEN_ROLE',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+  DISPLAY_NOT_FOUND: 'DISPLAY_NOT_FOUND',
+  DISPLAY_IN_USE: 'DISPLAY_IN_USE',
+  NOT_ADMITTED: 'NOT_ADMITTED',
+  INVALID_PASSCODE: 'INVALID_PASSCODE',
+  SESSION_FULL: 'SESSION_FULL',
+  MUTED: 'MUTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SUBSCRIPTION_LIMIT: 'SUBSCRIPTION_LIMIT',
+  SHUTTING_DOWN: 'SHUTTING_DOWN',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+class CastError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.name = 'CastError';
+    this.code = code;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FIELD SHORTHANDS
+// ═══════════════════════════════════════════════════════════════
+
+const SESSION_ID = { type: 'string', required: true, maxLength: 128 };
+const VIEWER_ID = { type: 'string', maxLength: 128 };
+const TIMESTAMP = { type: 'number', min: 0 };
+const SECONDS = { type: 'number', min: 0 };
+
+const FILE = {
+  type: 'object',
+  fields: {
+    url: { type: 'string', maxLength: 4096 },
+    fileName: { type: 'string', maxLength: 512 },
+    mimeType: { type: 'string', maxLength: 128 },
+    duration: { type: 'number', min: 1 }
+  }
+};
+const FILES = { type: 'array', required: true, maxItems: 1000, items: FILE };
+const ITEM_ID = { type: 'string', required: true, maxLength: 64 };
+const SOCKET_ID = { type: 'string', maxLength: 64 };
+const PASSCODE = { type: 'string', maxLength: 64 };
+const DISPLAY_ID = { type: 'string', maxLength: 64 };
+const DISPLAY_NAME = { type: 'string', maxLength: 64 };
+const DISPLAY_GROUPS = { type: 'array', maxItems: 16, items: { type: 'string', required: true, maxLength: 64 } };
+const MARKUP_URL = { type: 'string', maxLength: 4096 };   // file the markup belongs to; default: current file
+const UNIT = { type: 'number', min: 0, max: 1 };          // fraction of the content's width/height
+const SLIDESHOW_SETTINGS = {
+  sessionId: SESSION_ID,
+  enabled: { type: 'boolean' },
+  interval: { type: 'number', min: 1 },
+  waitForVideos: { type: 'boolean' }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// INBOUND EVENTS
+// ═══════════════════════════════════════════════════════════════
+
+// sessionField: payload key holding the session id (join-room uses `room`)
+// requiresSession: reject with SESSION_NOT_FOUND unless the session exists
+// sessionScoped: false for events that are not tied to a session
+// beforeAdmission: viewers may send it while waiting for host approval
+// recorded: written to the session's recording journal while one is running
+// volatile: high-frequency stream sent with socket.volatile; no ack, skips the per-IP budget
+const CAST_EVENTS = {
+  'join-projector': {
+    roles: ['projector'],
+    schema: {
+      sessionId: SESSION_ID,
+      resumeToken: { type: 'string', maxLength: 64 },
+      displayId: DISPLAY_ID,        // stable per screen; omitted = a new display (or the resumed one)
+      displayName: DISPLAY_NAME,
+      groups: DISPLAY_GROUPS
+    }
+  },
+  'register-host': {
+    roles: ['host'],
+    schema: { sessionId: SESSION_ID, resumeToken: { type: 'string', maxLength: 64 } }
+  },
+  'join-controller': {
+    roles: ['controller'],
+    schema: { sessionId: SESSION_ID }
+  },
+  'join-main': {
+    roles: ['main'],
+    schema: { sessionId: SESSION_ID }
+  },
+  'join-room': {
+    roles: CAST_ROLES,
+    sessionField: 'room',
+    beforeAdmission: true,
+    schema: { room: SESSION_ID, role: { type: 'string', required: true, enum: CAST_ROLES } }
+  },
+  'ping-projector': {
+    roles: CAST_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'get-viewer-count': {
+    roles: CAST_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'get-playback': {
+    roles: CAST_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'pairing-code-request': {
+    roles: ['projector'],
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'viewer-joined': {
+    roles: ['viewer'],
+    requiresSession: true,
+    recorded: true,
+    beforeAdmission: true,
+    schema: {
+      sessionId: SESSION_ID,
+      viewerId: { ...VIEWER_ID, required: true },
+      timestamp: TIMESTAMP,
+      userAgent: { type: 'string', maxLength: 512 },
+      viewerName: { type: 'string', maxLength: 64 },
+      location: { type: 'object' },
+      passcode: PASSCODE
+    }
+  },
+  'viewer-accepted': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    // socketId picks one device when the same viewerId is waiting twice
+    schema: { sessionId: SESSION_ID, viewerId: { ...VIEWER_ID, required: true }, socketId: SOCKET_ID, timestamp: TIMESTAMP }
+  },
+  'viewer-rejected': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    schema: {
+      sessionId: SESSION_ID,
+      viewerId: { ...VIEWER_ID, required: true },
+      socketId: SOCKET_ID,
+      reason: { type: 'string', maxLength: 200 }
+    }
+  },
+  'admission-settings': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    schema: {
+      sessionId: SESSION_ID,
+      mode: { type: 'string', enum: ['open', 'approval'] },
+      maxViewers: { type: 'integer', min: 0, max: 10000 },   // 0 = no limit
+      passcode: PASSCODE                                       // '' removes it
+    }
+  },
+  'viewer-navigate': {
+    roles: ['viewer'],
+    requiresSession: true,
+    schema: {
+      sessionId: SESSION_ID,
+      viewerId: VIEWER_ID,
+      index: { type: 'integer', required: true, min: 0 },
+      fileName: { type: 'string', maxLength: 512 }
+    }
+  },
+  'viewer-left': {
+    roles: ['viewer'],
+    requiresSession: true,
+    recorded: true,
+    beforeAdmission: true,
+    schema: { sessionId: SESSION_ID, viewerId: VIEWER_ID }
+  },
+  'cast-update': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: {
+      sessionId: SESSION_ID,
+      url: { type: 'string', required: true, maxLength: 4096 },
+      fileName: { type: 'string', maxLength: 512 },
+      mimeType: { type: 'string', maxLength: 128 },
+      index: { type: 'integer', min: 0 },
+      total: { type: 'integer', min: 0 },
+      // Either or both: only these displays change; without them every display mirrors the file
+      displays: { type: 'array', maxItems: 32, items: { ...DISPLAY_ID, required: true } },
+      group: { type: 'string', maxLength: 64 }
+    }
+  },
+  'display-settings': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    schema: {
+      sessionId: SESSION_ID,
+      displayId: { ...DISPLAY_ID, required: true },
+      displayName: DISPLAY_NAME,
+      groups: DISPLAY_GROUPS
+    }
+  },
+  'cast-file-list': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: {
+      sessionId: SESSION_ID,
+      files: FILES
+    }
+  },
+  'cast-stop': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'video-play': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, position: SECONDS }
+  },
+  'video-pause': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'video-mute': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, muted: { type: 'boolean', required: true } }
+  },
+  'video-seek': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, time: { ...SECONDS, required: true } }
+  },
+  'video-rate': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, rate: { type: 'number', required: true, min: 0.25, max: 4 } }
+  },
+  'slideshow-toggle': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: SLIDESHOW_SETTINGS
+  },
+  'slideshow-control': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: SLIDESHOW_SETTINGS
+  },
+  'slideshow-interval': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, interval: { type: 'number', required: true, min: 1 } }
+  },
+  'slideshow-pause': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'slideshow-resume': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'video-ended': {
+    roles: ['projector'],
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID, itemId: { type: 'string', maxLength: 64 } }
+  },
+  'reaction-send': {
+    roles: AUDIENCE_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID, emoji: { type: 'string', required: true, maxLength: 16 } }
+  },
+  'chat-send': {
+    roles: AUDIENCE_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID, text: { type: 'string', required: true, maxLength: CHAT_MAX_LENGTH } }
+  },
+  'hand-raise': {
+    roles: ['viewer'],
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID, raised: { type: 'boolean', required: true } }
+  },
+  'hand-lower': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    // No socketId: lower every hand
+    schema: { sessionId: SESSION_ID, socketId: SOCKET_ID }
+  },
+  'chat-mute': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID, viewerId: { ...VIEWER_ID, required: true }, muted: { type: 'boolean', required: true } }
+  },
+  'chat-clear': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'pointer-move': {
+    roles: CONTROL_ROLES,
+    volatile: true,
+    schema: {
+      sessionId: SESSION_ID,
+      x: { ...UNIT, required: true },
+      y: { ...UNIT, required: true },
+      visible: { type: 'boolean' }
+    }
+  },
+  'annotation-stroke': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: {
+      sessionId: SESSION_ID,
+      url: MARKUP_URL,
+      points: { type: 'array', required: true, maxItems: 4000, items: { ...UNIT, required: true } },   // x0, y0, x1, y1, ...
+      color: { type: 'string', maxLength: 32 },
+      width: { type: 'number', min: 0.5, max: 64 },
+      tool: { type: 'string', enum: ['pen', 'highlighter'] }
+    }
+  },
+  'annotation-undo': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, url: MARKUP_URL, strokeId: { type: 'string', maxLength: 64 } }
+  },
+  'annotation-clear': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, url: MARKUP_URL }
+  },
+  'viewport-change': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: {
+      sessionId: SESSION_ID,
+      url: MARKUP_URL,
+      zoom: { type: 'number', min: 0.1, max: 20 },
+      panX: { type: 'number', min: -1, max: 1 },   // offset of the view centre, in content widths
+      panY: { type: 'number', min: -1, max: 1 },
+      rotation: { type: 'integer', enum: [0, 90, 180, 270] }
+    }
+  },
+  'recording-start': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'recording-stop': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'replay-stop': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'queue-add': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, files: FILES, position: { type: 'integer', min: 0 } }
+  },
+  'queue-remove': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, itemId: ITEM_ID }
+  },
+  'queue-move': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, itemId: ITEM_ID, toIndex: { type: 'integer', required: true, min: 0 } }
+  },
+  'queue-next': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'queue-previous': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'queue-jump': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, index: { type: 'integer', required: true, min: 0 } }
+  },
+  'queue-shuffle': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, enabled: { type: 'boolean', required: true } }
+  },
+  'queue-repeat': {
+    roles: CONTROL_ROLES,
+    requiresSession: true,
+    recorded: true,
+    schema: { sessionId: SESSION_ID, mode: { type: 'string', required: true, enum: ['off', 'all', 'one'] } }
+  },
+  'queue-get': {
+    roles: CAST_ROLES,
+    requiresSession: true,
+    schema: { sessionId: SESSION_ID }
+  },
+  'time-sync': {
+    roles: CAST_ROLES,
+    sessionScoped: false,
+    schema: { clientTime: { type: 'number' } }
+  }
+};
+
+// The event each role joins a session with (and rejoins with after a reconnect)
+const JOIN_EVENTS = {
+  projector: 'join-projector',
+  host: 'register-host',
+  controller: 'join-controller',
+  main: 'join-main',
+  viewer: 'viewer-joined'
+};
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATION EVENTS (/notifications namespace)
+// ═══════════════════════════════════════════════════════════════
+
+const NOTIFICATION_IDS = { type: 'array', maxItems: 500, items: { type: 'string', maxLength: 64 } };
+// Channel paths ("/team/general") or topic names
+const SUBSCRIPTION_NAMES = { type: 'array', maxItems: 100, items: { type: 'string', required: true, maxLength: 256 } };
+const CLOCK_TIME = { type: 'string', required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/ };   // 'HH:MM'
+
+const NOTIFICATION_EVENTS = {
+  'notifications:list': {
+    schema: {
+      unreadOnly: { type: 'boolean' },
+      limit: { type: 'integer', min: 1, max: 100 },
+      before: TIMESTAMP
+    }
+  },
+  'notifications:ack': {
+    schema: { ids: { ...NOTIFICATION_IDS, required: true } }
+  },
+  'notifications:mark-read': {
+    // ids, or all: true for everything
+    schema: { ids: NOTIFICATION_IDS, all: { type: 'boolean' } }
+  },
+  // Each name is checked with the subscription authorizer; denied ones are reported, not joined
+  'notifications:subscribe': {
+    schema: { channels: SUBSCRIPTION_NAMES, topics: SUBSCRIPTION_NAMES }
+  },
+  'notifications:unsubscribe': {
+    schema: { channels: SUBSCRIPTION_NAMES, topics: SUBSCRIPTION_NAMES }
+  },
+  'notifications:preferences': {
+    schema: {}
+  },
+  // Fields left out keep their value; quietHours / clientTypes: null clears them.
+  // clientTypes needs at least one type; null is how to push to every client
+  'notifications:preferences-update': {
+    schema: {
+      mutedEvents: { type: 'array', maxItems: 100, items: { type: 'string', required: true, maxLength: 128 } },
+      mutedChannels: { type: 'array', maxItems: 500, items: { type: 'string', required: true, maxLength: 256 } },
+      quietHours: {
+        type: 'object',
+        fields: { start: CLOCK_TIME, end: CLOCK_TIME, timeZone: { type: 'string', maxLength: 64 } }
+      },
+      clientTypes: { type: 'array', minItems: 1, maxItems: CLIENT_TYPES.length, items: { type: 'string', required: true, enum: CLIENT_TYPES } }
+    }
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFY REQUESTS (REST bodies for /notify, same validator)
+// ═══════════════════════════════════════════════════════════════
+
+const NOTIFY_BATCH_LIMIT = 100;
+
+// Who gets it: a user (userId and/or email, kept in their inbox) and/or
+// everyone subscribed to a channel or topic (live only)
+const NOTIFY_EVENT = {
+  event: { type: 'string', required: true, maxLength: 128 },
+  userId: { type: 'string', maxLength: 128 },
+  email: { type: 'string', maxLength: 320 },
+  channel: { type: 'string', maxLength: 256 },
+  topic: { type: 'string', maxLength: 256 }
+};
+
+const NOTIFY_REQUESTS = {
+  'notify': { schema: NOTIFY_EVENT },
+  'notify-batch': {
+    schema: {
+      events: {
+        type: 'array',
+        required: true,
+        maxItems: NOTIFY_BATCH_LIMIT,
+        items: { type: 'object', required: true, fields: NOTIFY_EVENT }
+      }
+    }
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// DEVICE REQUESTS (REST bodies for /devices, same validator)
+// ═══════════════════════════════════════════════════════════════
+
+const DEVICE_CAPABILITIES = {
+  type: 'object',
+  fields: {
+    video: { type: 'boolean' },
+    audio: { type: 'boolean' },
+    resolution: { type: 'string', maxLength: 32 }   // e.g. "3840x2160"
+  }
+};
+
+const DEVICE_REQUESTS = {
+  'device-register': {
+    schema: {
+      name: { type: 'string', required: true, maxLength: 64 },
+      location: { type: 'string', maxLength: 128 },
+      capabilities: DEVICE_CAPABILITIES
+    }
+  },
+  'device-update': {
+    schema: {
+      name: { type: 'string', maxLength: 64 },
+      location: { type: 'string', maxLength: 128 }
+    }
+  },
+  'device-connect': {
+    schema: { capabilities: DEVICE_CAPABILITIES }
+  },
+  'device-cast': {
+    schema: {
+      url: { type: 'string', maxLength: 4096 },
+      fileName: { type: 'string', maxLength: 512 }
+    }
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// OUTBOUND EVENTS (server -> client, typed for client/)
+// ═══════════════════════════════════════════════════════════════
+
+// Not validated by the server; they describe what clients receive so the
+// client SDK and its TypeScript types (client/build-types.js) can't drift.
+// roles: who receives it. In these schemas `required` means always present
+// and `nullable` that the value may be null.
+
+// Outbound shorthand for a field that is always there
+const always = (type, extra) => ({ type, required: true, ...extra });
+
+const FILE_INFO = {
+  type: 'object',
+  fields: {
+    url: always('string'),
+    fileName: { type: 'string' },
+    mimeType: { type: 'string' },
+    itemId: { type: 'string' },
+    index: { type: 'integer' },
+    total: { type: 'integer' },
+    duration: { type: 'number' }
+  }
+};
+const PLAYBACK = {
+  type: 'object',
+  fields: {
+    playing: always('boolean'),
+    position: always('number'),   // seconds, at server time `at`
+    rate: always('number'),
+    muted: always('boolean'),
+    at: always('number'),
+    serverTime: always('number')
+  }
+};
+const QUEUE_STATE = {
+  files: { type: 'array', required: true, items: { ...FILE_INFO, required: true } },
+  currentItemId: always('string', { nullable: true }),
+  currentIndex: always('integer'),    // -1 when nothing is playing
+  shuffle: always('boolean'),
+  repeat: always('string', { enum: ['off', 'all', 'one'] }),
+  order: { type: 'array', required: true, items: always('string') }
+};
+const SLIDESHOW_STATE = {
+  enabled: always('boolean'),
+  paused: always('boolean'),
+  interval: always('number'),
+  waitForVideos: always('boolean'),
+  nextAdvanceAt: always('number', { nullable: true })
+};
+const ADMISSION_STATE = {
+  mode: always('string', { enum: ['open', 'approval'] }),
+  maxViewers: always('integer'),
+  hasPasscode: always('boolean'),
+  pendingCount: always('integer')
+};
+const VIEWER_INFO = {
+  type: 'object',
+  fields: {
+    socketId: always('string'),
+    viewerId: always('string'),
+    displayName: always('string'),
+    location: { type: 'object', nullable: true },
+    joinedAt: { type: 'number' },
+    userAgent: { type: 'string' },
+    viewerName: { type: 'string' }
+  }
+};
+const SENDER = {
+  socketId: always('string'),
+  role: always('string', { enum: AUDIENCE_ROLES }),
+  viewerId: { type: 'string' },
+  displayName: always('string')
+};
+const RAISED_HANDS = { type: 'array', required: true, items: always('object') };
+const VIEWPORT = {
+  type: 'object',
+  fields: {
+    zoom: always('number'),
+    panX: always('number'),
+    panY: always('number'),
+    rotation: always('integer', { enum: [0, 90, 180, 270] })
+  }
+};
+const STROKE = {
+  type: 'object',
+  fields: {
+    strokeId: always('string'),
+    points: { type: 'array', required: true, items: always('number') },
+    color: always('string'),
+    width: always('number'),
+    tool: always('string', { enum: ['pen', 'highlighter'] }),
+    socketId: always('string'),
+    at: always('number')
+  }
+};
+const DISPLAY_STATUS = {
+  type: 'object',
+  fields: {
+    displayId: always('string'),
+    name: { type: 'string' },
+    groups: { type: 'array', items: always('string') },
+    connected: always('boolean'),
+    awaySince: always('number', { nullable: true }),
+    mirrored: always('boolean'),
+    currentFile: { ...FILE_INFO, required: true, nullable: true }
+  }
+};
+const DISPLAYS = { type: 'array', required: true, items: { ...DISPLAY_STATUS, required: true } };
+const VIEWERS = { type: 'array', required: true, items: { ...VIEWER_INFO, required: true } };
+
+// Everything a late joiner needs: join results, session-state, admission-approved
+const SESSION_SNAPSHOT = {
+  type: 'object',
+  fields: {
+    sessionId: always('string'),
+    currentFile: { ...FILE_INFO, required: true, nullable: true },
+    fileList: { type: 'array', required: true, items: { ...FILE_INFO, required: true } },
+    queue: { type: 'object', required: true, fields: QUEUE_STATE },
+    slideshow: { type: 'object', required: true, fields: SLIDESHOW_STATE },
+    admission: { type: 'object', required: true, fields: ADMISSION_STATE },
+    chat: {
+      type: 'object',
+      required: true,
+      fields: {
+        messages: { type: 'array', required: true, items: always('object') },
+        mutedViewers: { type: 'array', required: true, items: always('string') },
+        raisedHands: RAISED_HANDS
+      }
+    },
+    markup: {
+      type: 'object',
+      required: true,
+      fields: {
+        strokes: { type: 'array', required: true, items: { ...STROKE, required: true } },
+        viewport: { ...VIEWPORT, required: true, nullable: true }
+      }
+    },
+    recording: always('object', { nullable: true }),
+    replay: always('object', { nullable: true }),
+    playback: { ...PLAYBACK, required: true, nullable: true },
+    viewerCount: always('integer'),
+    viewers: VIEWERS,
+    hasProjector: always('boolean'),
+    displays: DISPLAYS,
+    hasHost: always('boolean'),
+    away: { type: 'array', required: true, items: always('string') }
+  }
+};
+const JOIN_RESULT = {
+  serverTime: always('number'),
+  state: { ...SESSION_SNAPSHOT, required: true, nullable: true }
+};
+
+// Named types in the client (FileInfo, Playback, ...) wherever they appear
+const OUTBOUND_SHAPES = {
+  FileInfo: FILE_INFO,
+  Playback: PLAYBACK,
+  ViewerInfo: VIEWER_INFO,
+  Viewport: VIEWPORT,
+  Stroke: STROKE,
+  DisplayStatus: DISPLAY_STATUS,
+  SessionSnapshot: SESSION_SNAPSHOT
+};
+
+
+const CAST_SERVER_EVENTS = {
+  'session-resume-token': {
+    roles: ['projector', 'host'],
+    schema: { sessionId: always('string'), role: always('string', { enum: ['projector', 'host'] }), displayId: { type: 'string' }, resumeToken: always('string') }
+  },
+  'session-state': { roles: ['projector', 'host'], schema: SESSION_SNAPSHOT.fields },
+  'projector-ready': { roles: CAST_ROLES, schema: { sessionId: always('string'), displayId: { type: 'string' }, timestamp: TIMESTAMP } },
+  'projector-away': { roles: CAST_ROLES, schema: { sessionId: always('string'), displayId: { type: 'string' }, graceMs: always('number') } },
+  'projector-back': { roles: CAST_ROLES, schema: { sessionId: always('string'), displayId: { type: 'string' } } },
+  'projector-disconnected': { roles: CAST_ROLES, schema: {} },
+  'display-disconnected': { roles: CAST_ROLES, schema: { sessionId: always('string'), displayId: always('string') } },
+  'displays-updated': { roles: CONTROL_ROLES, schema: { sessionId: always('string'), displays: DISPLAYS } },
+  'host-away': { roles: CAST_ROLES, schema: { sessionId: always('string'), graceMs: always('number') } },
+  'host-back': { roles: CAST_ROLES, schema: { sessionId: always('string') } },
+  'controller-joined': { roles: CAST_ROLES, schema: { socketId: always('string') } },
+  'main-joined': { roles: CAST_ROLES, schema: { socketId: always('string') } },
+  'pairing-code': { roles: ['projector'], schema: { sessionId: always('string'), code: always('string'), expiresAt: always('number') } },
+  'pairing-redeemed': { roles: CAST_ROLES, schema: { sessionId: always('string') } },
+  'device-removed': { roles: ['projector'], schema: { deviceId: always('string') } },
+
+  'viewer-count': { roles: CAST_ROLES, schema: { sessionId: always('string'), count: always('integer'), viewers: VIEWERS } },
+  'viewer-joined': {
+    roles: CAST_ROLES,
+    schema: {
+      sessionId: always('string'),
+      viewerId: always('string'),
+      timestamp: TIMESTAMP,
+      userAgent: { type: 'string' },
+      viewerName: { type: 'string' },
+      location: { type: 'object', nullable: true }
+    }
+  },
+  'viewer-left': { roles: CAST_ROLES, schema: { viewerId: { type: 'string' } } },
+  'viewer-navigate': {
+    roles: CAST_ROLES,
+    schema: { sessionId: always('string'), viewerId: { type: 'string' }, index: always('integer'), fileName: { type: 'string' } }
+  },
+  'viewer-accepted': { roles: CAST_ROLES, schema: { sessionId: always('string'), viewerId: always('string'), timestamp: TIMESTAMP } },
+  'viewer-waiting': { roles: CONTROL_ROLES, schema: { sessionId: always('string'), ...VIEWER_INFO.fields } },
+  'admission-queue': {
+    roles: CONTROL_ROLES,
+    schema: { sessionId: always('string'), pending: { type: 'array', required: true, items: { ...VIEWER_INFO, required: true } } }
+  },
+  'admission-updated': { roles: CAST_ROLES, schema: { sessionId: always('string'), ...ADMISSION_STATE } },
+  'admission-approved': { roles: ['viewer'], schema: { sessionId: always('string'), ...JOIN_RESULT } },
+  'admission-rejected': { roles: ['viewer'], schema: { sessionId: always('string'), reason: always('string') } },
+
+  'cast-update': {
+    roles: CAST_ROLES,
+    schema: {
+      sessionId: always('string'),
+      ...FILE_INFO.fields,
+      displays: { type: 'array', items: always('string') },
+      group: { type: 'string' }
+    }
+  },
+  'cast-file-list': { roles: CAST_ROLES, schema: { sessionId: always('string'), files: { type: 'array', required: true, items: { ...FILE_INFO, required: true } } } },
+  'cast-stop': { roles: CAST_ROLES, schema: {} },
+  'queue-updated': { roles: CAST_ROLES, schema: { sessionId: always('string'), ...QUEUE_STATE } },
+  'video-play': { roles: CAST_ROLES, schema: { playback: PLAYBACK } },
+  'video-pause': { roles: CAST_ROLES, schema: { playback: PLAYBACK } },
+  'video-mute': { roles: CAST_ROLES, schema: { muted: always('boolean'), playback: PLAYBACK } },
+  'video-seek': { roles: CAST_ROLES, schema: { time: always('number'), playback: PLAYBACK } },
+  'video-rate': { roles: CAST_ROLES, schema: { rate: always('number'), playback: PLAYBACK } },
+  'playback-state': { roles: CAST_ROLES, schema: { sessionId: always('string'), playback: { ...PLAYBACK, nullable: true } } },
+  'time-sync': { roles: CAST_ROLES, schema: { clientTime: always('number', { nullable: true }), serverTime: always('number') } },
+  'slideshow-state': { roles: CAST_ROLES, schema: { sessionId: always('string'), ...SLIDESHOW_STATE } },
+  // Older projectors only listen for this one; serverDriven: don't run a timer of your own
+  'slideshow-control': {
+    roles: CAST_ROLES,
+    schema: { enabled: { type: 'boolean' }, interval: { type: 'number' }, serverDriven: { type: 'boolean' } }
+  },
+  'slideshow-interval': { roles: CAST_ROLES, schema: { interval: always('number') } },
+
+  'reaction': { roles: CAST_ROLES, schema: { sessionId: always('string'), emoji: always('string'), ...SENDER, at: always('number') } },
+  'chat-message': { roles: CAST_ROLES, schema: { sessionId: always('string'), id: always('string'), ...SENDER, text: always('string'), at: always('number') } },
+  'chat-cleared': { roles: CAST_ROLES, schema: { sessionId: always('string') } },
+  'viewer-muted': { roles: CAST_ROLES, schema: { sessionId: always('string'), viewerId: always('string'), muted: always('boolean') } },
+  'raised-hands': { roles: CAST_ROLES, schema: { sessionId: always('string'), raisedHands: RAISED_HANDS } },
+
+  'pointer': {
+    roles: CAST_ROLES,
+    schema: { sessionId: always('string'), socketId: always('string'), x: always('number'), y: always('number'), visible: always('boolean') }
+  },
+  'annotation-stroke': { roles: CAST_ROLES, schema: { sessionId: always('string'), url: always('string'), stroke: { ...STROKE, required: true } } },
+  'annotation-removed': { roles: CAST_ROLES, schema: { sessionId: always('string'), url: always('string'), strokeId: always('string') } },
+  'annotations-cleared': { roles: CAST_ROLES, schema: { sessionId: always('string'), url: always('string') } },
+  'viewport': { roles: CAST_ROLES, schema: { sessionId: always('string'), url: always('string'), viewport: { ...VIEWPORT, required: true } } },
+
+  'recording-state': {
+    roles: CAST_ROLES,
+    schema: { sessionId: always('string'), recording: always('boolean'), recordingId: always('string'), startedAt: { type: 'number' } }
+  },
+  'replay-ended': { roles: CAST_ROLES, schema: { sessionId: always('string'), recordingId: { type: 'string' } } },
+
+  'system-message': {
+    roles: CAST_ROLES,
+    schema: { sessionId: always('string'), message: always('string'), level: always('string', { enum: ['info', 'warning', 'error'] }), at: always('number') }
+  },
+  'kicked': { roles: CAST_ROLES, schema: { sessionId: always('string', { nullable: true }), reason: always('string') } },
+  // Failures of events sent without an ack callback
+  'cast-error': { roles: CAST_ROLES, schema: { event: always('string'), sessionId: { type: 'string' }, error: always('string'), message: always('string') } },
+  'server-draining': { roles: CAST_ROLES, schema: { deadline: always('number'), reconnectInMs: always('number') } }
+};
+
+// Besides these, every /notify event name arrives as-is (NOTIFICATION_PAYLOAD)
+const NOTIFICATION_SERVER_EVENTS = {
+  'notifications:unread': { schema: { count: always('integer') } },
+  'notifications:read': { schema: { ids: { type: 'array', required: true, items: always('string') }, unread: always('integer') } },
+  'notifications:preferences-changed': { schema: { preferences: always('object') } },
+  'server-draining': { schema: CAST_SERVER_EVENTS['server-draining'].schema }
+};
+
+const NOTIFICATION_PAYLOAD = {
+  notificationId: always('string'),
+  createdAt: always('number')
+};
+
+// ═══════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+const typeMatches = (type, value) => {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+};
+
+// Returns an error message for the first invalid field, or null
+const checkField = (path, rule, value) => {
+  if (value === undefined || value === null) {
+    return rule.required ? `${path} is required` : null;
+  }
+  if (!typeMatches(rule.type, value)) return `${path} must be ${rule.type}`;
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `${path} must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) return `${path} has the wrong format`;
+  if (rule.min !== undefined && value < rule.min) return `${path} must be >= ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `${path} must be <= ${rule.max}`;
+  if (rule.enum && !rule.enum.includes(value)) return `${path} must be one of ${rule.enum.join(', ')}`;
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    return `${path} must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`;
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return `${path} must have at most ${rule.maxItems} items`;
+  }
+  if (rule.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = checkField(`${path}[${i}]`, rule.items, value[i]);
+      if (error) return error;
+    }
+  }
+  if (rule.fields) return checkObject(path, rule.fields, value);
+  return null;
+};
+
+const checkObject = (path, fields, value) => {
+  for (const [key, rule] of Object.entries(fields)) {
+    const error = checkField(path ? `${path}.${key}` : key, rule, value[key]);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Throws CastError(INVALID_PAYLOAD) when the payload does not match the event schema
+const validatePayload = (event, payload, events = CAST_EVENTS) => {
+  const spec = events[event];
+  if (!spec) throw new CastError(ERROR_CODES.INVALID_PAYLOAD, `Unknown event ${event}`);
+
+  const value = payload === undefined ? {} : payload;
+  if (!typeMatches('object', value)) {
+    throw new CastError(ERROR_CODES.INVALID_PAYLOAD, 'Payload must be an object');
+  }
+
+  const error = checkObject('', spec.schema, value);
+  if (error) throw new CastError(ERROR_CODES.INVALID_PAYLOAD, error);
+  return value;
+};
+
+module.exports = {
+  CAST_ROLES,
+  CONTROL_ROLES,
+  AUDIENCE_ROLES,
+  CHAT_MAX_LENGTH,
+  CAST_EVENTS,
+  JOIN_EVENTS,
+  NOTIFICATION_EVENTS,
+  CAST_SERVER_EVENTS,
+  NOTIFICATION_SERVER_EVENTS,
+  NOTIFICATION_PAYLOAD,
+  OUTBOUND_SHAPES,
+  JOIN_RESULT,
+  CLIENT_TYPES,
+  DEVICE_REQUESTS,
+  NOTIFY_REQUESTS,
+  ERROR_CODES,
+  CastError,
+  validatePayload
+};
@@ -0,0 +1,58 @@
+/**
+ * DriveX Cast Server - Token buckets
+ *
+ * createBuckets({ burst, perSecond }) keeps one bucket per key. A bucket
+ * holds up to `burst` tokens and refills at `perSecond`; take() spends one
+ * and returns false when the bucket is empty.
+ *
+ * Buckets live in this process. Behind a load balancer each instance enforces
+ * its own limits, which is enough for flood protection: a socket's events
+ * always reach the instance that holds the socket.
+ */
+
+const createBuckets = ({ burst, perSecond }) => {
+  const buckets = new Map();   // key -> { tokens, updatedAt }
+
+  const refilled = (key, now) => {
+    const bucket = buckets.get(key);
+    if (!bucket) return burst;
+    return Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+  };
+
+  return {
+    burst,
+    perSecond,
+
+    take(key) {
+      const now = Date.now();
+      const tokens = refilled(key, now);
+      const allowed = tokens >= 1;
+      buckets.set(key, { tokens: allowed ? tokens - 1 : tokens, updatedAt: now });
+      return allowed;
+    },
+
+    // Milliseconds until take(key) would succeed again
+    retryAfter(key) {
+      const missing = 1 - refilled(key, Date.now());
+      return missing > 0 ? Math.ceil((missing / perSecond) * 1000) : 0;
+    },
+
+    delete(key) {
+      buckets.delete(key);
+    },
+
+    // Full buckets behave exactly like missing ones, so they can go
+    prune() {
+      const now = Date.now();
+      for (const key of buckets.keys()) {
+        if (refilled(key, now) >= burst) buckets.delete(key);
+      }
+    },
+
+    get size() {
+      return buckets.size;
+    }
+  };
+};
+
+module.exports = { createBuckets };
@@ -0,0 +1,367 @@
+/**
+ * DriveX Cast Server - State store
+ *
+ * Everything that must be shared between server instances lives behind this
+ * interface: cast sessions, notification socket presence, short-lived keys
+ * (pairing codes, rate-limit counters) and records that outlive sessions
+ * (notification inboxes, devices, preferences).
+ *
+ * Two backends with the same async API:
+ *   createMemoryStore()        - single process (default)
+ *   createRedisStore(client)   - any Redis-protocol server via an ioredis client
+ *
+ * Redis presence entries expire presenceTtlMs after they were last renewed, and
+ * every instance renews its own sockets, so the sockets of an instance that died
+ * without cleaning up stop counting once their entries run out.
+ *
+ * updateSession(id, fn) is the only way handlers should modify a session:
+ * fn receives the current session (or null) and returns the session to save,
+ * or undefined to leave it untouched. fn may run more than once when another
+ * instance wrote the same session concurrently, so it must not have side effects.
+ *
+ * Records are the same for other kinds of data: updateRecord(kind, id, fn) works
+ * like updateSession, except that returning null deletes the record.
+ */
+
+const clone = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)));
+
+// ═══════════════════════════════════════════════════════════════
+// IN-MEMORY STORE
+// ═══════════════════════════════════════════════════════════════
+
+const createMemoryStore = () => {
+  const sessions = new Map();
+  const presence = new Map();   // kind -> Map(key -> Set(socketId))
+  const temp = new Map();       // key -> { value, expiresAt }
+  const records = new Map();    // kind -> Map(id -> record)
+
+  const presenceFor = (kind) => {
+    if (!presence.has(kind)) presence.set(kind, new Map());
+    return presence.get(kind);
+  };
+
+  const recordsFor = (kind) => {
+    if (!records.has(kind)) records.set(kind, new Map());
+    return records.get(kind);
+  };
+
+  const liveTemp = (key) => {
+    const entry = temp.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      temp.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    name: 'memory',
+
+    async getSession(sessionId) {
+      return clone(sessions.get(sessionId)) || null;
+    },
+
+    async saveSession(sessionId, session) {
+      sessions.set(sessionId, clone(session));
+      return session;
+    },
+
+    async updateSession(sessionId, fn) {
+      const current = clone(sessions.get(sessionId)) || null;
+      const next = fn(current);
+      if (next === undefined) return current;
+      sessions.set(sessionId, clone(next));
+      return next;
+    },
+
+    async deleteSession(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async listSessions() {
+      return [...sessions.entries()].map(([sessionId, session]) => [sessionId, clone(session)]);
+    },
+
+    async countSessions() {
+      return sessions.size;
+    },
+
+    async getRecord(kind, id) {
+      return clone(recordsFor(kind).get(id)) ?? null;
+    },
+
+    async updateRecord(kind, id, fn) {
+      const byId = recordsFor(kind);
+      const next = fn(clone(byId.get(id)) ?? null);
+      if (next === undefined) return clone(byId.get(id)) ?? null;
+      if (next === null) byId.delete(id);
+      else byId.set(id, clone(next));
+      return next;
+    },
+
+    async listRecords(kind) {
+      return [...recordsFor(kind).entries()].map(([id, record]) => [id, clone(record)]);
+    },
+
+    async addSocket(kind, key, socketId) {
+      const byKey = presenceFor(kind);
+      if (!byKey.has(key)) byKey.set(key, new Set());
+      byKey.get(key).add(socketId);
+    },
+
+    async removeSocket(kind, key, socketId) {
+      const byKey = presenceFor(kind);
+      const sockets = byKey.get(key);
+      if (!sockets) return;
+      sockets.delete(socketId);
+      if (sockets.size === 0) byKey.delete(key);
+    },
+
+    async countSockets(kind, key) {
+      return presenceFor(kind).get(key)?.size || 0;
+    },
+
+    async countKeys(kind) {
+      return presenceFor(kind).size;
+    },
+
+    // Nothing to renew: entries go with the process
+    async renewPresence() {},
+
+    async setTemp(key, value, ttlMs) {
+      temp.set(key, { value: clone(value), expiresAt: Date.now() + ttlMs });
+    },
+
+    async getTemp(key) {
+      return clone(liveTemp(key)?.value) ?? null;
+    },
+
+    // Read and delete in one step (single-use values)
+    async takeTemp(key) {
+      const entry = liveTemp(key);
+      temp.delete(key);
+      return entry ? entry.value : null;
+    },
+
+    async deleteTemp(key) {
+      temp.delete(key);
+    },
+
+    // Increment a counter that starts expiring from its first increment
+    async incrTemp(key, ttlMs) {
+      const entry = liveTemp(key);
+      if (!entry) {
+        temp.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+        return 1;
+      }
+      entry.value++;
+      return entry.value;
+    },
+
+    async close() {}
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════
+// REDIS STORE
+// ═══════════════════════════════════════════════════════════════
+
+// Compare-and-set: only write when the stored JSON is still what we read.
+// ARGV[1] = expected raw value ('' when the key did not exist), ARGV[2] = new
+// value ('' deletes), ARGV[3] = id kept in the index set KEYS[2]
+const CAS_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if (current == false and ARGV[1] == '') or current == ARGV[1] then
+  if ARGV[2] == '' then
+    redis.call('DEL', KEYS[1])
+    redis.call('SREM', KEYS[2], ARGV[3])
+  else
+    redis.call('SET', KEYS[1], ARGV[2])
+    redis.call('SADD', KEYS[2], ARGV[3])
+  end
+  return 1
+end
+return 0
+`;
+
+const MAX_CAS_RETRIES = 10;
+const PRESENCE_TTL_MS = 60 * 1000;
+
+const createRedisStore = (redis, { prefix = 'drivex:', presenceTtlMs = PRESENCE_TTL_MS } = {}) => {
+  const sessionKey = (sessionId) => `${prefix}session:${sessionId}`;
+  const sessionIndex = `${prefix}sessions`;
+  // Sorted sets scored by expiry time (socketIds per key, keys per kind)
+  const presenceKey = (kind, key) => `${prefix}online:${kind}:${key}`;
+  const presenceIndex = (kind) => `${prefix}online:${kind}`;
+  const tempKey = (key) => `${prefix}tmp:${key}`;
+  const recordKey = (kind, id) => `${prefix}record:${kind}:${id}`;
+  const recordIndex = (kind) => `${prefix}records:${kind}`;
+
+  const parse = (raw) => (raw ? JSON.parse(raw) : null);
+
+  // fn(current) -> value to write, undefined to leave it, null to delete.
+  // `name` is what the error calls the value when it never stops changing.
+  const compareAndSet = async (key, index, id, fn, name) => {
+    for (let attempt = 0; attempt < MAX_CAS_RETRIES; attempt++) {
+      const raw = await redis.get(key);
+      const next = fn(parse(raw));
+      if (next === undefined) return parse(raw);
+      if (next === null && raw === null) return null;
+      const written = await redis.eval(
+        CAS_SCRIPT, 2, key, index, raw || '', next === null ? '' : JSON.stringify(next), id
+      );
+      if (written === 1) return next;
+    }
+    throw new Error(`${name} is being updated too often, giving up`);
+  };
+
+  // Values of `ids` under keyFor(id) that still exist; ids whose key is gone leave the index
+  const readIndexed = async (index, keyFor) => {
+    const ids = await redis.smembers(index);
+    if (ids.length === 0) return [];
+    const raws = await redis.mget(ids.map(keyFor));
+    const result = [];
+    ids.forEach((id, i) => {
+      if (raws[i]) result.push([id, JSON.parse(raws[i])]);
+      else redis.srem(index, id);
+    });
+    return result;
+  };
+
+  // This instance's own presence entries: presenceKey -> { kind, key, socketIds }
+  const ownPresence = new Map();
+
+  const renewPresence = async () => {
+    if (ownPresence.size === 0) return;
+    const now = Date.now();
+    const expiresAt = now + presenceTtlMs;
+    const batch = redis.multi();
+    const kinds = new Set();
+    for (const [setKey, { kind, key, socketIds }] of ownPresence) {
+      socketIds.forEach(socketId => batch.zadd(setKey, expiresAt, socketId));
+      batch.zremrangebyscore(setKey, '-inf', now).pexpire(setKey, presenceTtlMs);
+      batch.zadd(presenceIndex(kind), expiresAt, key);
+      kinds.add(kind);
+    }
+    kinds.forEach(kind => batch.zremrangebyscore(presenceIndex(kind), '-inf', now).pexpire(presenceIndex(kind), presenceTtlMs));
+    await batch.exec();
+  };
+
+  // A failed round is made up for by the next one
+  const renewTimer = setInterval(() => renewPresence().catch(() => {}), presenceTtlMs / 3);
+  renewTimer.unref();
+
+  return {
+    name: 'redis',
+
+    async getSession(sessionId) {
+      return parse(await redis.get(sessionKey(sessionId)));
+    },
+
+    async saveSession(sessionId, session) {
+      await redis.multi()
+        .set(sessionKey(sessionId), JSON.stringify(session))
+        .sadd(sessionIndex, sessionId)
+        .exec();
+      return session;
+    },
+
+    async updateSession(sessionId, fn) {
+      return compareAndSet(sessionKey(sessionId), sessionIndex, sessionId, fn, `Session ${sessionId}`);
+    },
+
+    async deleteSession(sessionId) {
+      await redis.multi()
+        .del(sessionKey(sessionId))
+        .srem(sessionIndex, sessionId)
+        .exec();
+    },
+
+    async listSessions() {
+      return readIndexed(sessionIndex, sessionKey);
+    },
+
+    async countSessions() {
+      return redis.scard(sessionIndex);
+    },
+
+    async getRecord(kind, id) {
+      return parse(await redis.get(recordKey(kind, id)));
+    },
+
+    async updateRecord(kind, id, fn) {
+      return compareAndSet(recordKey(kind, id), recordIndex(kind), id, fn, `${kind} ${id}`);
+    },
+
+    async listRecords(kind) {
+      return readIndexed(recordIndex(kind), id => recordKey(kind, id));
+    },
+
+    async addSocket(kind, key, socketId) {
+      const setKey = presenceKey(kind, key);
+      if (!ownPresence.has(setKey)) ownPresence.set(setKey, { kind, key, socketIds: new Set() });
+      ownPresence.get(setKey).socketIds.add(socketId);
+
+      const expiresAt = Date.now() + presenceTtlMs;
+      await redis.multi()
+        .zadd(setKey, expiresAt, socketId)
+        .pexpire(setKey, presenceTtlMs)
+        .zadd(presenceIndex(kind), expiresAt, key)
+        .pexpire(presenceIndex(kind), presenceTtlMs)
+        .exec();
+    },
+
+    async removeSocket(kind, key, socketId) {
+      const setKey = presenceKey(kind, key);
+      const own = ownPresence.get(setKey);
+      own?.socketIds.delete(socketId);
+      if (own?.socketIds.size === 0) ownPresence.delete(setKey);
+
+      await redis.zrem(setKey, socketId);
+      if (await redis.zcount(setKey, Date.now(), '+inf') === 0) {
+        await redis.zrem(presenceIndex(kind), key);
+      }
+    },
+
+    async countSockets(kind, key) {
+      return redis.zcount(presenceKey(kind, key), Date.now(), '+inf');
+    },
+
+    async countKeys(kind) {
+      return redis.zcount(presenceIndex(kind), Date.now(), '+inf');
+    },
+
+    renewPresence,
+
+    async setTemp(key, value, ttlMs) {
+      await redis.set(tempKey(key), JSON.stringify(value), 'PX', ttlMs);
+    },
+
+    async getTemp(key) {
+      return parse(await redis.get(tempKey(key)));
+    },
+
+    async takeTemp(key) {
+      const [[, raw]] = await redis.multi().get(tempKey(key)).del(tempKey(key)).exec();
+      return parse(raw);
+    },
+
+    async deleteTemp(key) {
+      await redis.del(tempKey(key));
+    },
+
+    async incrTemp(key, ttlMs) {
+      const count = await redis.incr(tempKey(key));
+      if (count === 1) await redis.pexpire(tempKey(key), ttlMs);
+      return count;
+    },
+
+    async close() {
+      clearInterval(renewTimer);
+      await redis.quit();
+    }
+  };
+};
+
+module.exports = { createMemoryStore, createRedisStore };
@@ -0,0 +1,118 @@
+/**
+ * DriveX Cast Server - Media upstream fetcher
+ *
+ * Opens the file behind a /media link for the proxy without letting a link
+ * point the server at its own network:
+ *
+ *   const upstream = createUpstream({ allowedHosts, allowPrivate, maxRedirects });
+ *   upstream.open(url, { method, headers, signal }) -> http.IncomingMessage
+ *
+ * - Only http(s) URLs on `allowedHosts` (exact hostnames) are opened; with an
+ *   empty list nothing is.
+ * - Redirects are followed by hand, up to `maxRedirects`, and every hop is
+ *   checked like the first URL.
+ * - Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+ *   reserved addresses are refused. The check runs in the socket's own DNS
+ *   lookup, so a name can't resolve to a public address for the check and a
+ *   private one for the connection. allowPrivate turns it off (local development).
+ *
+ * Refusals throw an UpstreamError with a `reason` ('forbidden_host',
+ * 'private_address', 'too_many_redirects', 'bad_redirect').
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+class UpstreamError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.reason = reason;
+  }
+}
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => blocked.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => blocked.addSubnet(prefix, bits, 'ipv6'));
+
+// ::ffff:10.0.0.1 is checked as 10.0.0.1
+const isPublicAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// dns.lookup with every resolved address checked; Node calls it with all: true
+// when it tries several addresses (autoSelectFamily)
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(new UpstreamError('private_address', `${hostname} resolves to a non-public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const createUpstream = ({ allowedHosts = [], allowPrivate = false, maxRedirects = 5 } = {}) => {
+  const check = (url) => {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new UpstreamError('forbidden_host', `Unsupported protocol ${url.protocol}`);
+    }
+    // URL keeps IPv6 literals in brackets
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (!allowedHosts.includes(hostname)) {
+      throw new UpstreamError('forbidden_host', `${hostname} is not in MEDIA_PROXY_HOSTS`);
+    }
+    // IP literals never go through the lookup
+    if (!allowPrivate && net.isIP(hostname) && !isPublicAddress(hostname)) {
+      throw new UpstreamError('private_address', `${hostname} is not a public address`);
+    }
+  };
+
+  const request = (url, { method, headers, signal }) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method,
+      headers,
+      signal,
+      lookup: allowPrivate ? undefined : checkedLookup
+    }, resolve);
+    req.on('error', reject);
+    req.end();
+  });
+
+  return {
+    async open(target, { method = 'GET', headers = {}, signal } = {}) {
+      let url = new URL(target);
+      for (let hop = 0; ; hop++) {
+        check(url);
+        const res = await request(url, { method, headers, signal });
+        if (res.statusCode < 300 || res.statusCode >= 400 || res.statusCode === 304) return res;
+
+        res.resume();
+        if (!res.headers.location) throw new UpstreamError('bad_redirect', `Redirect ${res.statusCode} without a location`);
+        if (hop >= maxRedirects) throw new UpstreamError('too_many_redirects', `More than ${maxRedirects} redirects`);
+        try {
+          url = new URL(res.headers.location, url);
+        } catch {
+          throw new UpstreamError('bad_redirect', 'Redirect to an invalid URL');
+        }
+      }
+    }
+  };
+};
+
+module.exports = { createUpstream, isPublicAddress, UpstreamError };
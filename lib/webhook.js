@@ -0,0 +1,57 @@
+/**
+ * DriveX Cast Server - Signed webhooks
+ *
+ * The main backend signs /notify and /chat/broadcast requests:
+ *
+ *   X-DriveX-Timestamp: <unix seconds>
+ *   X-DriveX-Nonce:     <random string, unique per request>
+ *   X-DriveX-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>">
+ *
+ * A request is accepted when the signature matches any active secret (two
+ * during a key rotation), the timestamp is inside the replay window and the
+ * nonce has not been seen before. The nonce check needs shared state, so it
+ * is left to the caller.
+ */
+
+const crypto = require('crypto');
+
+const HEADERS = {
+  timestamp: 'x-drivex-timestamp',
+  nonce: 'x-drivex-nonce',
+  signature: 'x-drivex-signature'
+};
+
+const MAX_NONCE_LENGTH = 128;
+
+const signWebhook = (secret, timestamp, nonce, body) => {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.${nonce}.`);
+  hmac.update(body);
+  return `sha256=${hmac.digest('hex')}`;
+};
+
+// Headers to send with a signed request (for the backend and for tests)
+const webhookHeaders = (secret, body, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID() } = {}) => ({
+  [HEADERS.timestamp]: String(timestamp),
+  [HEADERS.nonce]: nonce,
+  [HEADERS.signature]: signWebhook(secret, timestamp, nonce, body)
+});
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Returns null when the request is valid, otherwise the reason it is not
+const verifyWebhook = (secrets, { timestamp, nonce, signature, body }, { windowMs, now = Date.now() }) => {
+  if (!timestamp || !nonce || !signature) return 'missing signature headers';
+  if (!/^\d+$/.test(timestamp)) return 'malformed timestamp';
+  if (nonce.length > MAX_NONCE_LENGTH) return 'nonce too long';
+  if (Math.abs(now - Number(timestamp) * 1000) > windowMs) return 'timestamp outside replay window';
+
+  const valid = secrets.some(secret => safeEqual(signWebhook(secret, timestamp, nonce, body), signature));
+  return valid ? null : 'bad signature';
+};
+
+module.exports = { HEADERS, signWebhook, webhookHeaders, verifyWebhook };
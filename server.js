@@ -1,9 +1,240 @@
 /**
- * DriveX Cast Server v2.10.1
+ * DriveX Cast Server v2.35.1
  * 
  * WebSocket server for casting files to remote displays
  * + Share notifications
  * 
+ * CHANGES v2.35.1:
+ * ✅ /media only loads from MEDIA_PROXY_HOSTS, never from
+ *    loopback, private or link-local addresses, and checks every redirect again
+ *    (lib/upstream.js); MEDIA_PROXY_ALLOW_PRIVATE=true for local development
+ * ✅ Files keep only url, fileName, mimeType, duration (plus server-set itemId, index,
+ *    total): other links a client adds no longer reach viewers unsigned
+ * ✅ chat-mute also mutes the account behind the viewerId, and a connection can't switch
+ *    to another viewerId, so muted viewers can't rejoin under a new one to chat again
+ * ✅ Replays undo the stroke the replay drew (recordings keep each stroke's strokeId);
+ *    ended sessions stop their replay, and recording-stop / replay-stop no longer fail on them
+ * ✅ admission-settings and viewer-joined answer SESSION_NOT_FOUND for a session that just ended
+ * ✅ Slideshow ticks, pause and resume leave ended sessions alone, and a tick re-checks
+ *    the slideshow is still running before it moves on; cleaned-up sessions drop their timer
+ * ✅ slideshow-resume on a slideshow that is not paused no longer restarts its interval
+ * ✅ With REDIS_URL the notification inbox is kept in Redis (store records) instead of
+ *    NOTIFICATION_INBOX_DIR, so every node delivers what another node queued
+ * ✅ With REDIS_URL the device registry is kept in Redis too (DEVICE_REGISTRY_FILE is for a
+ *    single node, and is now read on every lookup instead of once per process)
+ * ✅ File URLs go out unchanged until MEDIA_PROXY_HOSTS names a host: /media links that
+ *    could not load anything would break every cast after an upgrade
+ * ✅ stop() cuts HTTP connections still open after SHUTDOWN_DRAIN_MS (long /media streams)
+ *    instead of waiting for them to finish
+ * ✅ SUBSCRIPTION_AUTH_URL without NOTIFY_SECRET stops the server from starting; it used to
+ *    start and fail every notifications:subscribe with INTERNAL_ERROR
+ * ✅ Notifications for a user whose clientTypes was [] went to every /notifications socket
+ *    (.to([]) is no filter): empty room lists now send nothing, and clientTypes needs an entry
+ * ✅ With REDIS_URL notification preferences are kept in Redis too; PREFERENCES_FILE (single
+ *    node) is read on every lookup instead of once per process
+ * ✅ /metrics reads the sessions once per scrape; drivex_session_viewers is a histogram of
+ *    viewers per session instead of a gauge with a series for every session ever seen
+ * ✅ Redis presence (online:* keys) expires unless the node holding the sockets renews it,
+ *    so sockets of a node that died no longer count as online
+ * ✅ MAX_SESSIONS_PER_IP counts sessions created per SESSION_QUOTA_WINDOW_MS (default 1h) with a
+ *    store counter; creating a session no longer reads every session
+ * ✅ TRUST_PROXY: client addresses for rate limits and quotas come from X-Forwarded-For
+ *    set by the named proxies, for HTTP requests and socket handshakes alike
+ * ✅ The pairing lockout is per client behind TRUST_PROXY: one client guessing codes no
+ *    longer locks out everyone behind the same proxy
+ * ✅ POST /cast/token starts new sessions under a server-made id; a sessionId that is not a
+ *    live session answers 404 (400 when it is not a string of 1-128 letters, digits, - or _)
+ * ✅ join-projector with the displayId of a connected display, or one within its grace period,
+ *    needs that display's resumeToken (DISPLAY_IN_USE otherwise)
+ * ✅ stop() also clears reconnect-grace and pointer timers and closes the Redis adapter's
+ *    pub/sub connections, so a stopped server leaves nothing running
+ * ✅ A CAST_RATE_LIMITS that is not valid JSON, or has entries without a positive burst and
+ *    perSecond, is reported at startup and those limits stay at their defaults
+ * 
+ * CHANGES v2.35.0:
+ * ✅ createCastServer(env) builds a server without listening: start(port) resolves
+ *    with the port, stop() drains and closes it. `node server.js` still starts on
+ *    PORT and stops on SIGTERM/SIGINT; require('./server') no longer does
+ * ✅ The stale-session cleanup is sweepSessions(), run every CLEANUP_INTERVAL_MS
+ *    once started; STALE_SESSION_MS sets the age (default 10 min)
+ * ✅ npm test: integration tests (test/) with an in-process server and
+ *    socket.io-client projectors, controllers, mains, viewers and notification users
+ * 
+ * CHANGES v2.34.0:
+ * ✅ JavaScript client (client/index.js) with TypeScript types: createProjector, createHost,
+ *    createController, createViewer and createNotificationClient wrap socket.io-client with
+ *    one method per event the role may send, checked against lib/protocol.js before sending
+ * ✅ Clients rejoin after reconnects (projectors and hosts with their resume token),
+ *    re-subscribe notification channels and follow server-draining to another node
+ * ✅ lib/protocol.js also declares what the server sends (CAST_SERVER_EVENTS,
+ *    NOTIFICATION_SERVER_EVENTS); client/protocol.d.ts is generated from it (npm run build:types)
+ * ✅ Refused socket handshakes carry an error code in connect_error's data
+ *    (UNAUTHENTICATED, RATE_LIMITED, SHUTTING_DOWN)
+ * 
+ * CHANGES v2.33.0:
+ * ✅ Notification preferences per userId (lib/preferences.js, PREFERENCES_FILE):
+ *    mutedEvents, mutedChannels, quietHours { start, end, timeZone }, clientTypes
+ *    notifications:preferences / notifications:preferences-update, and
+ *    notifications:preferences-changed to the user's other sockets
+ * ✅ /notifications sockets declare handshake auth.clientType (desktop, mobile, web, tv)
+ * ✅ Muted and quiet-hour notifications are not pushed but still go into the inbox
+ *    (marked suppressed, never replayed on connect); pushes only reach chosen client types.
+ *    They apply when the backend names a userId; email-only recipients have no preferences
+ * ✅ Muted channels and excluded client types sit out channel/topic subscription rooms
+ * 
+ * CHANGES v2.32.0:
+ * ✅ /notifications sockets subscribe to channel and topic rooms:
+ *    notifications:subscribe / notifications:unsubscribe { channels, topics }
+ * ✅ Membership is checked by a pluggable authorizer (lib/authorizer.js): the main backend
+ *    via SUBSCRIPTION_AUTH_URL, or SUBSCRIPTION_AUTH=open for development; closed by default
+ * ✅ /notify targets channel and/or topic subscribers in one call, next to userId/email
+ * ✅ /notify takes { events: [...] } batches of up to 100
+ * ✅ /chat/broadcast without recipients goes to the channelPath subscribers in one emit
+ * ✅ join:user removed - it let any authenticated socket into any user's room
+ * 
+ * CHANGES v2.31.0:
+ * ✅ Graceful shutdown on SIGTERM/SIGINT: no new sockets or sessions (503), server-draining
+ *    { deadline, reconnectInMs } to every cast and /notifications socket on this node,
+ *    exit once they have left or after SHUTDOWN_DRAIN_MS
+ * ✅ /health answers 503 { status: 'draining', ready: false } during the drain
+ * ✅ The cleanup interval, slideshow timers and replays stop with the server
+ * 
+ * CHANGES v2.30.0:
+ * ✅ File URLs in everything the server sends (cast-update, cast-file-list, queue-updated,
+ *    join results, session-state, displays, annotations) become signed /media/<token> links
+ * ✅ Links are bound to the session and the audience (control, projector, viewer), expire
+ *    MEDIA_TOKEN_TTL_MS after they were last sent, and are revoked by cast-stop / session end
+ * ✅ GET /media/:token proxies the file with Range support (MEDIA_PROXY_HOSTS limits upstreams)
+ * ✅ Links sent back by clients (cast-update, annotations) are mapped to the original URL
+ * ✅ MEDIA_PROXY=false turns it off; MEDIA_BASE_URL makes the links absolute
+ * 
+ * CHANGES v2.29.0:
+ * ✅ Device registry (lib/devices.js, DEVICE_REGISTRY_FILE): name, owner, location, capabilities
+ *    POST   /devices                       register a device, returns its credential once
+ *    GET    /devices[?online=true]         the caller's devices with online status and open session
+ *    PATCH  /devices/:deviceId             rename / move
+ *    DELETE /devices/:deviceId             unregister and disconnect it
+ *    POST   /devices/:deviceId/connect     device credential -> its open session + projector token
+ *    POST   /devices/:deviceId/cast        controller token for the device's session, optional url
+ * ✅ A device's projector socket is always the display named after the device
+ * 
+ * CHANGES v2.28.0:
+ * ✅ pointer-move: laser-pointer stream, relayed as volatile `pointer` packets every POINTER_INTERVAL_MS at most
+ * ✅ annotation-stroke / annotation-undo / annotation-clear: freehand markup kept per file
+ * ✅ viewport-change: zoom, pan and rotation per file, relayed as `viewport`
+ * ✅ Snapshots carry the current file's markup; viewer-navigate returns the markup of the file navigated to
+ * 
+ * CHANGES v2.27.0:
+ * ✅ Several projectors per session: join-projector takes displayId, displayName and groups
+ * ✅ A second projector becomes another display instead of replacing the first
+ * ✅ cast-update with `displays` / `group` targets some screens; without them all displays mirror
+ * ✅ display-settings renames or regroups a display; controllers get displays-updated
+ * ✅ One display dropping only ends its own slot (display-disconnected); /sessions lists every display
+ * 
+ * CHANGES v2.26.0:
+ * ✅ Token-bucket rate limits per socket and event (CAST_RATE_LIMITS) and per IP (lib/ratelimit.js)
+ * ✅ Refused events fail with RATE_LIMITED; sockets that keep flooding get `kicked` and are disconnected
+ * ✅ Socket handshakes count against the IP budget; /notify and /chat/broadcast answer 429 when over it
+ * ✅ MAX_SESSIONS_PER_IP for new sessions and MAX_VIEWERS_PER_SESSION on top of the host's cap
+ * ✅ The cleanup interval ends the least recently used sessions above MAX_SESSIONS
+ * 
+ * CHANGES v2.25.0:
+ * ✅ recording-start / recording-stop journal a session's cast timeline (lib/journal.js, RECORDINGS_DIR)
+ * ✅ Recorded: cast-update, cast-file-list, cast-stop, queue, video control, slideshow, viewer join/leave
+ * ✅ GET /cast/recordings/:recordingId exports a recording as JSON (owner only)
+ * ✅ POST /cast/replay plays a recording into a new session for an unattended projector (optional loop)
+ * ✅ Recording and replay status are part of the session snapshot
+ * 
+ * CHANGES v2.24.0:
+ * ✅ reaction-send: emoji reactions, rate-limited per socket (REACTION_LIMIT per REACTION_WINDOW_MS)
+ * ✅ chat-send: short chat messages; the last CHAT_HISTORY_LIMIT are kept for late joiners
+ * ✅ hand-raise / hand-lower with a raised-hands list
+ * ✅ Moderation: chat-mute (per viewerId) and chat-clear for host/controller/main
+ * ✅ Chat history and raised hands are part of the session snapshot
+ * 
+ * CHANGES v2.23.0:
+ * ✅ Viewer admission: admission-settings sets mode (open/approval), maxViewers and a passcode
+ * ✅ In approval mode viewers wait in session.pendingViewers and get no files until accepted
+ * ✅ viewer-accepted admits a waiting viewer (admission-approved), viewer-rejected disconnects it
+ * ✅ Host/controller/main get viewer-waiting and admission-queue updates
+ * ✅ Viewers that aren't admitted get NOT_ADMITTED for session events; SESSION_FULL at the cap
+ * 
+ * CHANGES v2.22.0:
+ * ✅ Admin API behind ADMIN_API_TOKEN (503 when unset):
+ *    GET    /admin/sessions/:sessionId               roles, viewerInfo, currentFile, playlist
+ *    DELETE /admin/sessions/:sessionId               force-end (cast-stop + projector-disconnected)
+ *    POST   /admin/sessions/:sessionId/kick          disconnect one viewer/controller socket
+ *    POST   /admin/sessions/:sessionId/message       system-message to everyone in the session
+ * 
+ * CHANGES v2.21.0:
+ * ✅ Added GET /metrics in Prometheus text format (lib/metrics.js, optional METRICS_TOKEN)
+ * ✅ Gauges: sessions by connected roles, viewers per session, sockets per namespace
+ * ✅ Counters: cast events, webhook calls, notification deliveries, auth failures,
+ *    stale-session cleanups, disconnect reasons
+ * ✅ Histogram of cast event handling time
+ * 
+ * CHANGES v2.20.0:
+ * ✅ /notify and /chat/broadcast require an HMAC-SHA256 signature (lib/webhook.js)
+ * ✅ Signed timestamp + nonce: requests outside NOTIFY_REPLAY_WINDOW_MS or replayed are rejected
+ * ✅ Key rotation: NOTIFY_SECRET and NOTIFY_SECRET_PREVIOUS are both accepted
+ * ✅ Without NOTIFY_SECRET the routes answer 503 instead of accepting everything
+ * ✅ Removed the plaintext `secret` body field
+ * 
+ * CHANGES v2.19.0:
+ * ✅ Notifications are kept in a per-user inbox (lib/inbox.js, NOTIFICATION_INBOX_DIR)
+ * ✅ Notifications sent while a user was offline are delivered when they connect
+ * ✅ Added notifications:list, notifications:ack and notifications:mark-read events
+ * ✅ Notification payloads carry a notificationId
+ * ✅ /notify and /chat/broadcast `delivered` counts recipients that were online, not sockets
+ * 
+ * CHANGES v2.18.0:
+ * ✅ Slideshow clock runs on the server and advances the queue with cast-update
+ * ✅ Per-file `duration`, slideshow-pause/slideshow-resume, videos wait for video-ended
+ * ✅ slideshow-state broadcast; slideshow-control now carries serverDriven: true
+ * ✅ Slideshow status is part of the session snapshot
+ * 
+ * CHANGES v2.17.0:
+ * ✅ Server owns the playlist (lib/playlist.js); entries get a server-assigned itemId
+ * ✅ Added queue-add/remove/move/next/previous/jump/shuffle/repeat/get events
+ * ✅ Queue changes broadcast queue-updated, and cast-update when the current file changes
+ * ✅ cast-update index/total come from the server when the file is in the queue
+ * 
+ * CHANGES v2.16.0:
+ * ✅ Every inbound cast event is validated against its schema in lib/protocol.js
+ * ✅ Every cast event accepts an ack callback: { ok: true, ... } or { ok: false, error, message }
+ * ✅ Consistent error codes: INVALID_PAYLOAD, SESSION_MISMATCH, FORBIDDEN_ROLE, SESSION_NOT_FOUND, ...
+ * ✅ Events for unknown sessions are rejected instead of emitting to an empty room
+ * 
+ * CHANGES v2.15.0:
+ * ✅ Server tracks per-session playback (playing, position, rate, muted, server timestamp)
+ * ✅ video-play/pause/seek/mute carry a { position, at } instruction in server time
+ * ✅ Added video-rate, get-playback and time-sync (clock offset) events
+ * ✅ Join events accept an ack callback that returns the current session state
+ * 
+ * CHANGES v2.14.0:
+ * ✅ Projector/host disconnects no longer end the cast immediately (RECONNECT_GRACE_MS, default 30s)
+ * ✅ Room receives projector-away/projector-back and host-away/host-back during the grace period
+ * ✅ Projector/host get a session-resume-token on join; rejoining with it returns session-state
+ * ✅ projector-disconnected / cast-stop are only sent once the grace period runs out
+ * 
+ * CHANGES v2.13.0:
+ * ✅ Sessions, notification presence and pairing codes moved behind a store (lib/store.js)
+ * ✅ In-memory store by default, Redis store + socket.io Redis adapter when REDIS_URL is set
+ * ✅ /notify delivered counts and /health are correct across multiple instances
+ * 
+ * CHANGES v2.12.0:
+ * ✅ Added POST /cast/pair - projector gets a server-generated session + 6-char pairing code
+ * ✅ Added POST /cast/pair/redeem - controller trades the code for a controller token
+ * ✅ Codes are single-use and expire (PAIRING_CODE_TTL_MS, default 5 min)
+ * ✅ Failed redemptions are rate-limited per IP
+ * ✅ Added pairing-code-request / pairing-code / pairing-redeemed socket events
+ * 
+ * CHANGES v2.11.0:
+ * ✅ Cast namespace requires a signed session token (handshake auth.sessionToken)
+ * ✅ Tokens are scoped to one sessionId + role (projector/host/controller/main/viewer)
+ * ✅ Control events are rejected with cast-error when the role does not allow them
+ * ✅ Added POST /cast/token to mint session tokens for authenticated users
+ * 
  * CHANGES v2.10.1:
  * ✅ Added getViewerDisplayName() - single source of truth for viewer names
  * ✅ Server generates displayName for all viewers (registered + anonymous)
@@ -31,15 +262,145 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const util = require('util');
+const { createMemoryStore, createRedisStore } = require('./lib/store');
+const {
+  CAST_ROLES,
+  CAST_EVENTS,
+  NOTIFICATION_EVENTS,
+  CLIENT_TYPES,
+  DEVICE_REQUESTS,
+  NOTIFY_REQUESTS,
+  ERROR_CODES,
+  CastError,
+  validatePayload
+} = require('./lib/protocol');
+const playlist = require('./lib/playlist');
+const { createFileInbox, createStoreInbox } = require('./lib/inbox');
+const webhook = require('./lib/webhook');
+const { createMetrics } = require('./lib/metrics');
+const { createFileJournal } = require('./lib/journal');
+const { createBuckets } = require('./lib/ratelimit');
+const { createFileDevices, createStoreDevices } = require('./lib/devices');
+const { createWebhookAuthorizer, createStaticAuthorizer } = require('./lib/authorizer');
+const { createFilePreferences, createStorePreferences, suppression, localTime } = require('./lib/preferences');
+const { createUpstream, UpstreamError } = require('./lib/upstream');
 
+const VERSION = '2.35.1';
+
+// Everything a server instance owns (store, timers, rate-limit buckets, ...) lives
+// in here, so tests can run one in-process. `env` is read like process.env.
+const createCastServer = (env = process.env) => {
 const app = express();
 const server = http.createServer(app);
 
 app.use(cors({ origin: '*' }));
-app.use(express.json());
+app.use(express.json({
+  // Webhook signatures are computed over the exact bytes that were sent
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+
+const JWT_SECRET = env.JWT_SECRET_KEY || env.JWT_SECRET;
+const NOTIFY_SECRET = env.NOTIFY_SECRET;
+const NOTIFY_SECRET_PREVIOUS = env.NOTIFY_SECRET_PREVIOUS;
+const NOTIFY_REPLAY_WINDOW_MS = parseInt(env.NOTIFY_REPLAY_WINDOW_MS, 10) || 5 * 60 * 1000;
+const SUBSCRIPTION_AUTH_URL = env.SUBSCRIPTION_AUTH_URL;
+const SUBSCRIPTION_AUTH = env.SUBSCRIPTION_AUTH || 'closed';
+const SUBSCRIPTION_AUTH_CACHE_MS = parseInt(env.SUBSCRIPTION_AUTH_CACHE_MS, 10) || 60000;
+const MAX_SUBSCRIPTIONS_PER_SOCKET = parseInt(env.MAX_SUBSCRIPTIONS_PER_SOCKET, 10) || 200;
+const METRICS_TOKEN = env.METRICS_TOKEN;
+const ADMIN_API_TOKEN = env.ADMIN_API_TOKEN;
+const CHAT_HISTORY_LIMIT = parseInt(env.CHAT_HISTORY_LIMIT, 10) || 50;
+const REACTION_LIMIT = parseInt(env.REACTION_LIMIT, 10) || 5;
+const REACTION_WINDOW_MS = parseInt(env.REACTION_WINDOW_MS, 10) || 3000;
+const CAST_TOKEN_SECRET = env.CAST_TOKEN_SECRET || JWT_SECRET;
+const CAST_TOKEN_TTL = env.CAST_TOKEN_TTL || '12h';
+const REDIS_URL = env.REDIS_URL;
+const RECONNECT_GRACE_MS = parseInt(env.RECONNECT_GRACE_MS, 10) || 30000;
+const PLAYBACK_LEAD_MS = parseInt(env.PLAYBACK_LEAD_MS, 10) || 300;
+const NOTIFICATION_INBOX_DIR = env.NOTIFICATION_INBOX_DIR || './data/notifications';
+const NOTIFICATION_INBOX_LIMIT = parseInt(env.NOTIFICATION_INBOX_LIMIT, 10) || 200;
+const NOTIFICATION_RETENTION_DAYS = parseInt(env.NOTIFICATION_RETENTION_DAYS, 10) || 30;
+const PREFERENCES_FILE = env.PREFERENCES_FILE || './data/preferences.json';
+const RECORDINGS_DIR = env.RECORDINGS_DIR || './data/recordings';
+const DEVICE_REGISTRY_FILE = env.DEVICE_REGISTRY_FILE || './data/devices.json';
+const DEVICE_SESSION_TTL_MS = parseInt(env.DEVICE_SESSION_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const MAX_SESSIONS = parseInt(env.MAX_SESSIONS, 10) || 10000;
+const MAX_SESSIONS_PER_IP = parseInt(env.MAX_SESSIONS_PER_IP, 10) || 20;
+// MAX_SESSIONS_PER_IP counts the sessions an address created within this window
+const SESSION_QUOTA_WINDOW_MS = parseInt(env.SESSION_QUOTA_WINDOW_MS, 10) || 60 * 60 * 1000;
+const MAX_VIEWERS_PER_SESSION = parseInt(env.MAX_VIEWERS_PER_SESSION, 10) || 500;
+const MAX_DISPLAYS_PER_SESSION = parseInt(env.MAX_DISPLAYS_PER_SESSION, 10) || 8;
+const POINTER_INTERVAL_MS = parseInt(env.POINTER_INTERVAL_MS, 10) || 33;
+const ANNOTATION_STROKE_LIMIT = parseInt(env.ANNOTATION_STROKE_LIMIT, 10) || 500;
+const ANNOTATION_FILE_LIMIT = parseInt(env.ANNOTATION_FILE_LIMIT, 10) || 100;
+const IP_RATE_BURST = parseInt(env.IP_RATE_BURST, 10) || 200;
+const IP_RATE_PER_SECOND = parseFloat(env.IP_RATE_PER_SECOND) || 50;
+const WEBHOOK_RATE_BURST = parseInt(env.WEBHOOK_RATE_BURST, 10) || 60;
+const WEBHOOK_RATE_PER_SECOND = parseFloat(env.WEBHOOK_RATE_PER_SECOND) || 20;
+const RATE_LIMIT_STRIKES = parseInt(env.RATE_LIMIT_STRIKES, 10) || 30;
+const MEDIA_PROXY_HOSTS = (env.MEDIA_PROXY_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+// Links are only rewritten once there are hosts the proxy may load from; until
+// then file URLs go out as they are (MEDIA_PROXY=false turns it off for good)
+const MEDIA_PROXY = env.MEDIA_PROXY !== 'false' && MEDIA_PROXY_HOSTS.length > 0;
+const MEDIA_BASE_URL = (env.MEDIA_BASE_URL || '').replace(/\/$/, '');
+const MEDIA_TOKEN_TTL_MS = parseInt(env.MEDIA_TOKEN_TTL_MS, 10) || 2 * 60 * 60 * 1000;
+// Lets /media reach loopback and private addresses; local development only
+const MEDIA_PROXY_ALLOW_PRIVATE = env.MEDIA_PROXY_ALLOW_PRIVATE === 'true';
+const SHUTDOWN_DRAIN_MS = parseInt(env.SHUTDOWN_DRAIN_MS, 10) || 20000;
+const CLEANUP_INTERVAL_MS = parseInt(env.CLEANUP_INTERVAL_MS, 10) || 60000;
+// Sessions without a display or host are ended by the cleanup once this old
+const STALE_SESSION_MS = parseInt(env.STALE_SESSION_MS, 10) || 10 * 60 * 1000;
+// Proxies whose X-Forwarded-For is believed for client addresses (rate limits, quotas,
+// pairing lockout): 'true' for any, a hop count, or addresses/subnets such as
+// 'loopback, 10.0.0.0/8'. Unset: the TCP peer is the client.
+const TRUST_PROXY = (() => {
+  const value = (env.TRUST_PROXY || '').trim();
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+})();
+app.set('trust proxy', TRUST_PROXY);
+
+// ✅ v2.35.1: Authorizer requests are signed with NOTIFY_SECRET; without it every
+// subscribe would fail, so the server does not start at all
+if (SUBSCRIPTION_AUTH_URL && !NOTIFY_SECRET) {
+  throw new Error('SUBSCRIPTION_AUTH_URL is set but NOTIFY_SECRET is not - authorizer requests could not be signed');
+}
+
+// CAST_RATE_LIMITS entries; bad JSON or entries are reported and left out, not fatal
+const parseRateLimits = (raw) => {
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    console.warn(`⚠️ CAST_RATE_LIMITS is not valid JSON (${err.message}) - using the default limits`);
+    return {};
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.warn('⚠️ CAST_RATE_LIMITS must be a JSON object of { burst, perSecond } - using the default limits');
+    return {};
+  }
+  const positive = (value) => Number.isFinite(value) && value > 0;
+  return Object.fromEntries(Object.entries(parsed).filter(([event, limit]) => {
+    if (positive(limit?.burst) && positive(limit?.perSecond)) return true;
+    console.warn(`⚠️ CAST_RATE_LIMITS["${event}"] needs a positive burst and perSecond - ignored`);
+    return false;
+  }));
+};
 
-const JWT_SECRET = process.env.JWT_SECRET_KEY || process.env.JWT_SECRET;
-const NOTIFY_SECRET = process.env.NOTIFY_SECRET;
+// Per-socket token buckets ({ burst, perSecond }) by event. CAST_RATE_LIMITS (JSON)
+// adds or replaces entries, e.g. CAST_RATE_LIMITS='{"video-seek":{"burst":5,"perSecond":2}}'
+const CAST_RATE_LIMITS = {
+  default: { burst: 30, perSecond: 10 },
+  'cast-update': { burst: 10, perSecond: 3 },
+  'video-seek': { burst: 10, perSecond: 5 },
+  'viewer-joined': { burst: 3, perSecond: 0.1 },
+  'pointer-move': { burst: 120, perSecond: 120 },   // relayed at most every POINTER_INTERVAL_MS anyway
+  ...parseRateLimits(env.CAST_RATE_LIMITS)
+};
 
 // ═══════════════════════════════════════════════════════════════
 // PRIVACY: Mask sensitive data in logs
@@ -107,10 +468,284 @@ const io = new Server(server, {
   cors: { origin: '*', methods: ['GET', 'POST'] }
 });
 
-const sessions = new Map();
-const notificationUsers = {
-  byUserId: new Map(),
-  byEmail: new Map()
+// ═══════════════════════════════════════════════════════════════
+// STATE STORE - In-memory by default, Redis when REDIS_URL is set
+// ═══════════════════════════════════════════════════════════════
+
+let store;
+let adapterClients = [];   // pub/sub connections of the socket.io adapter, closed by stop()
+
+if (REDIS_URL) {
+  const Redis = require('ioredis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  
+  const pubClient = new Redis(REDIS_URL);
+  const subClient = pubClient.duplicate();
+  adapterClients = [pubClient, subClient];
+  
+  // Room emits (cast sessions, user:/email: rooms) reach sockets on every node
+  io.adapter(createAdapter(pubClient, subClient));
+  store = createRedisStore(new Redis(REDIS_URL));
+  console.log('✅ Using Redis store + socket.io adapter');
+} else {
+  store = createMemoryStore();
+}
+
+const metrics = createMetrics({
+  listSessions: () => store.listSessions(),
+  socketCounts: () => ({
+    '/': io.of('/').sockets.size,
+    '/notifications': io.of('/notifications').sockets.size
+  })
+});
+
+// Express 4 does not catch rejected promises from async handlers
+const asyncRoute = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Drops undefined keys so optional payload fields don't overwrite stored settings
+const compact = (obj) => Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+
+// Socket handlers: log store failures instead of leaving an unhandled rejection
+const asyncHandler = (name, handler) => async (...args) => {
+  try {
+    await handler(...args);
+  } catch (err) {
+    console.error(`❌ [${name}] Handler error:`, err.message);
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// RATE LIMITING - Token buckets per event, socket and IP (lib/ratelimit.js)
+// ═══════════════════════════════════════════════════════════════
+
+// Keyed by socket id; events without their own entry share the default bucket
+const eventBuckets = Object.fromEntries(
+  Object.entries(CAST_RATE_LIMITS).map(([event, limit]) => [event, createBuckets(limit)])
+);
+// Keyed by IP: every event and handshake from one address
+const ipBuckets = createBuckets({ burst: IP_RATE_BURST, perSecond: IP_RATE_PER_SECOND });
+const webhookBuckets = createBuckets({ burst: WEBHOOK_RATE_BURST, perSecond: WEBHOOK_RATE_PER_SECOND });
+// Each refused event costs a strike; a socket that runs out is disconnected
+const strikeBuckets = createBuckets({ burst: RATE_LIMIT_STRIKES, perSecond: 1 });
+
+// The address req.ip would give for the handshake: X-Forwarded-For is walked back
+// from the peer for as long as each hop is a trusted proxy (TRUST_PROXY)
+const socketIp = (socket) => {
+  if (!socket.clientIp) {
+    const trust = app.get('trust proxy fn');
+    const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+      .split(',').map(address => address.trim()).filter(Boolean).reverse();
+    const hops = [socket.handshake.address, ...forwarded];
+    let i = 0;
+    while (i < hops.length - 1 && trust(hops[i], i)) i++;
+    socket.clientIp = hops[i];
+  }
+  return socket.clientIp;
+};
+
+// Throws RATE_LIMITED when the socket or its IP is over budget for `event`
+const checkRateLimit = (socket, event) => {
+  if (socket.rateLimitExempt) return;
+  const buckets = eventBuckets[event] || eventBuckets.default;
+  const ip = socketIp(socket);
+  
+  let retryAfterMs;
+  let scope;
+  if (!buckets.take(socket.id)) {
+    scope = 'socket';
+    retryAfterMs = buckets.retryAfter(socket.id);
+  } else if (!CAST_EVENTS[event]?.volatile && !ipBuckets.take(ip)) {
+    scope = 'ip';
+    retryAfterMs = ipBuckets.retryAfter(ip);
+  } else {
+    return;
+  }
+  
+  if (strikeBuckets.take(socket.id)) {
+    metrics.rateLimited.inc({ scope, action: 'throttled' });
+  } else {
+    console.log(`🚫 [RateLimit] Disconnecting ${socket.id} from ${ip}: still flooding (${event})`);
+    metrics.rateLimited.inc({ scope, action: 'disconnected' });
+    socket.emit('kicked', { sessionId: socket.sessionId || null, reason: 'Too many requests' });
+    socket.disconnect(true);
+  }
+  throw new CastError(ERROR_CODES.RATE_LIMITED, `Too many ${event} events, retry in ${retryAfterMs}ms`);
+};
+
+// ✅ v2.34.0: Handshake refusals carry an ERROR_CODES code in connect_error's err.data,
+// so clients can tell "retry later" from "get a new token"
+const handshakeError = (code, message) => Object.assign(new Error(message), { data: { code } });
+
+// Handshake middleware for both namespaces: reconnect loops use up the IP's budget too
+const limitHandshake = (socket, next) => {
+  // ✅ v2.31.0: A draining node takes no new sockets; clients retry and land elsewhere
+  if (draining) return next(handshakeError(ERROR_CODES.SHUTTING_DOWN, 'Server is shutting down'));
+  if (ipBuckets.take(socketIp(socket))) return next();
+  metrics.rateLimited.inc({ scope: 'ip', action: 'refused' });
+  next(handshakeError(ERROR_CODES.RATE_LIMITED, 'Too many requests'));
+};
+
+// Express middleware: 429 with Retry-After once req.ip has used up its bucket
+const rateLimitRoute = (buckets) => (req, res, next) => {
+  if (buckets.take(req.ip)) return next();
+  metrics.rateLimited.inc({ scope: 'http', action: 'refused' });
+  res.set('Retry-After', String(Math.ceil(buckets.retryAfter(req.ip) / 1000)));
+  res.status(429).json({ error: 'Too many requests' });
+};
+
+// New sessions: MAX_SESSIONS overall, MAX_SESSIONS_PER_IP per creating address
+// and SESSION_QUOTA_WINDOW_MS (a store counter, so every node sees the same count).
+// Sends a 429 and returns false when the caller is over either (503 while draining).
+const requireSessionQuota = async (req, res) => {
+  if (draining) {
+    res.set('Retry-After', '5');
+    res.status(503).json({ error: 'Server is shutting down' });
+    return false;
+  }
+  let error = null;
+  if (await store.countSessions() >= MAX_SESSIONS) {
+    error = 'Server is at its session limit';
+  } else if (await store.incrTemp(`sessions-created:${req.ip}`, SESSION_QUOTA_WINDOW_MS) > MAX_SESSIONS_PER_IP) {
+    error = `At most ${MAX_SESSIONS_PER_IP} new sessions per address per ${Math.round(SESSION_QUOTA_WINDOW_MS / 60000)} min`;
+  }
+  if (!error) return true;
+  
+  console.log(`🚫 [Quota] ${error} (${req.ip})`);
+  metrics.rateLimited.inc({ scope: 'sessions', action: 'refused' });
+  res.status(429).json({ error });
+  return false;
+};
+
+// Buckets of disconnected sockets and quiet IPs refill and are dropped here
+const pruneRateLimits = () => {
+  [...Object.values(eventBuckets), ipBuckets, webhookBuckets, strikeBuckets].forEach(buckets => buckets.prune());
+};
+
+// ═══════════════════════════════════════════════════════════════
+// CAST SESSION AUTH - Signed, role-scoped session tokens
+// ═══════════════════════════════════════════════════════════════
+
+const newSession = (fields = {}) => ({
+  displays: {},         // displayId -> projector screen, see DISPLAYS
+  controllers: [],
+  viewers: [],
+  main: null,
+  host: null,
+  owner: null,
+  creatorIp: null,      // address that created the session
+  createdAt: Date.now(),
+  lastUpdate: Date.now(),
+  currentFile: null,
+  fileList: [],
+  queue: playlist.newQueue(),
+  playback: null,
+  slideshow: newSlideshow(),
+  admission: newAdmission(),
+  pendingViewers: [],   // viewers waiting for approval (same shape as viewerInfo + userId)
+  admittedUsers: [],    // user ids let in once; they skip the waiting room on reconnect
+  chat: newChat(),
+  raisedHands: [],      // { socketId, viewerId, displayName, at }
+  markup: {},           // file url -> { strokes, viewport }, see POINTER & ANNOTATIONS
+  recording: null,      // { recordingId, startedAt } while the journal is running
+  replay: null,         // { recordingId, loop, startedAt } for sessions fed by a recording
+  mediaEpoch: 0,        // part of every /media link; bumping it revokes them, see MEDIA PROXY
+  away: {},           // role -> timestamp the role's socket dropped
+  resumeTokens: {},   // role -> token the role presents to reclaim its slot
+  ...fields
+});
+
+// deviceId: set for tokens handed to a registered device (POST /devices/:deviceId/connect)
+const issueCastToken = (sessionId, role, userId = null, deviceId = null) => {
+  return jwt.sign(
+    compact({ typ: 'cast', sid: sessionId, role, uid: userId, did: deviceId || undefined }),
+    CAST_TOKEN_SECRET,
+    { expiresIn: CAST_TOKEN_TTL }
+  );
+};
+
+const verifyCastToken = (token) => {
+  const decoded = jwt.verify(token, CAST_TOKEN_SECRET);
+  if (decoded.typ !== 'cast' || !decoded.sid || !CAST_ROLES.includes(decoded.role)) {
+    throw new Error('Not a cast session token');
+  }
+  return { sessionId: decoded.sid, role: decoded.role, userId: decoded.uid || null, deviceId: decoded.did || null };
+};
+
+// Throws a CastError unless the socket's token allows `event` on `sessionId`
+const authorizeCastEvent = (socket, event, sessionId) => {
+  const auth = socket.castAuth;
+  const spec = CAST_EVENTS[event];
+  
+  if (!auth) {
+    throw new CastError(ERROR_CODES.UNAUTHENTICATED, 'Not authenticated');
+  }
+  if (spec.sessionScoped !== false && sessionId !== auth.sessionId) {
+    throw new CastError(ERROR_CODES.SESSION_MISMATCH, 'Token not valid for this session');
+  }
+  if (!spec.roles.includes(auth.role)) {
+    throw new CastError(ERROR_CODES.FORBIDDEN_ROLE, `Role ${auth.role} may not send ${event}`);
+  }
+};
+
+// Counted as auth failures in /metrics (the rest are client or server errors)
+const AUTH_ERROR_CODES = [ERROR_CODES.UNAUTHENTICATED, ERROR_CODES.SESSION_MISMATCH, ERROR_CODES.FORBIDDEN_ROLE];
+
+// Registers a cast event handler behind schema validation, role checks and
+// socket.io acknowledgements. Senders that pass an ack callback get
+// { ok: true, ...result } or { ok: false, error: CODE, message }; senders
+// without one get failures as a cast-error event.
+const onCastEvent = (socket, event, handler) => {
+  const spec = CAST_EVENTS[event];
+  
+  socket.on(event, async (payload, ack) => {
+    const hasAck = typeof ack === 'function';
+    const endTimer = metrics.castEventDuration.startTimer({ event });
+    
+    try {
+      checkRateLimit(socket, event);
+      const validated = validatePayload(event, payload);
+      const sessionId = validated[spec.sessionField || 'sessionId'];
+      authorizeCastEvent(socket, event, sessionId);
+      // ✅ v2.30.0: Media links sent back by a client stand for the original file
+      const data = await resolveMedia(sessionId, validated);
+      
+      const isViewer = socket.castAuth.role === 'viewer';
+      const session = sessionId && (spec.requiresSession || isViewer) ? await store.getSession(sessionId) : null;
+      if (spec.requiresSession && !session) {
+        throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, `Session ${sessionId} not found`);
+      }
+      // ✅ v2.23.0: Waiting viewers can't read or act on the session yet
+      if (isViewer && session && !spec.beforeAdmission && !canViewerSee(session, socket.id)) {
+        throw new CastError(ERROR_CODES.NOT_ADMITTED, 'Waiting for the host to let you in');
+      }
+      
+      const result = await handler(data, hasAck);
+      // ✅ v2.25.0: Journal the event while the session is being recorded
+      if (spec.recorded && session?.recording) await recordEvent(session, event, data, result);
+      metrics.castEvents.inc({ event, result: 'ok' });
+      if (hasAck) ack({ ok: true, ...await signMedia(sessionId, mediaKind(socket.castAuth.role), result) });
+    } catch (err) {
+      const code = err instanceof CastError ? err.code : ERROR_CODES.INTERNAL_ERROR;
+      metrics.castEvents.inc({ event, result: code });
+      if (AUTH_ERROR_CODES.includes(code)) {
+        metrics.authFailures.inc({ source: 'cast-event', reason: code });
+      }
+      if (!(err instanceof CastError)) {
+        console.error(`❌ [Cast] ${event} handler error:`, err.message);
+      } else if (code !== ERROR_CODES.RATE_LIMITED) {
+        // ✅ v2.26.0: Floods are counted in /metrics instead of logged one event at a time
+        console.log(`🚫 [Cast] Rejected ${event} from ${socket.id}: ${code} ${err.message}`);
+      }
+      
+      const message = err instanceof CastError ? err.message : 'Internal error';
+      if (hasAck) ack({ ok: false, error: code, message });
+      else socket.emit('cast-error', { event, sessionId: payload?.sessionId, error: code, message });
+    } finally {
+      endTimer();
+    }
+  });
 };
 
 // ═══════════════════════════════════════════════════════════════
@@ -121,26 +756,39 @@ app.get('/', (req, res) => {
   res.json({ 
     status: 'online', 
     service: 'DriveX Cast Server', 
-    version: '2.10.1',
-    features: ['cast', 'notifications', 'video-seek', 'viewer-sync']
+    version: VERSION,
+    features: ['cast', 'notifications', 'video-seek', 'viewer-sync', 'cast-auth', 'pairing', 'reconnect-grace', 'playback-sync', 'queue', 'server-slideshow', 'notification-inbox', 'signed-webhooks', 'metrics', 'admin-api', 'viewer-admission', 'chat-reactions', 'recording', 'rate-limits', 'multi-display', 'annotations', 'devices', 'media-proxy', 'graceful-shutdown', 'subscriptions', 'notification-preferences', 'client-sdk']
   });
 });
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'online', 
-    sessions: sessions.size,
-    notificationUsers: notificationUsers.byUserId.size
+// ✅ v2.31.0: 503 while draining so the load balancer stops routing here
+app.get('/health', asyncRoute(async (req, res) => {
+  res.status(draining ? 503 : 200).json({ 
+    status: draining ? 'draining' : 'online', 
+    ready: !draining,
+    store: store.name,
+    sessions: await store.countSessions(),
+    notificationUsers: await store.countKeys('user')
   });
-});
+}));
+
+// ✅ v2.21.0: Prometheus scrape endpoint
+app.get('/metrics', asyncRoute(async (req, res) => {
+  if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.set('Content-Type', metrics.registry.contentType);
+  res.send(await metrics.scrape());
+}));
 
-app.get('/sessions', (req, res) => {
+app.get('/sessions', asyncRoute(async (req, res) => {
   const activeSessions = [];
-  sessions.forEach((session, sessionId) => {
-    if (session.projector || session.host) {
+  (await store.listSessions()).forEach(([sessionId, session]) => {
+    if (hasDisplay(session) || session.host) {
       activeSessions.push({
         sessionId,
-        hasProjector: !!session.projector,
+        hasProjector: hasDisplay(session),
+        displays: displayStatus(session),
         hasHost: !!session.host,
         hasController: (session.controllers?.length || 0) > 0,
         controllerCount: session.controllers?.length || 0,
@@ -150,461 +798,2790 @@ app.get('/sessions', (req, res) => {
     }
   });
   res.json({ success: true, sessions: activeSessions, count: activeSessions.length });
-});
+}));
 
 // ═══════════════════════════════════════════════════════════════
-// NOTIFICATION TRIGGER ENDPOINT (called by main backend)
+// CAST TOKEN ENDPOINT (called by signed-in users via the main app)
 // ═══════════════════════════════════════════════════════════════
 
-app.post('/notify', (req, res) => {
-  const { secret, event, userId, email, data } = req.body;
+// Resolves the main-app user from an `Authorization: Bearer <jwt>` header.
+// Sends a 401 and returns null when the header is missing or invalid.
+const requireUser = (req, res) => {
+  const header = req.headers.authorization || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
   
-  if (NOTIFY_SECRET && secret !== NOTIFY_SECRET) {
-    console.log('❌ [Notify] Invalid secret');
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (!bearer) {
+    metrics.authFailures.inc({ source: 'rest', reason: 'missing_token' });
+    res.status(401).json({ error: 'Authentication required' });
+    return null;
   }
   
-  console.log(`🔔 [Notify] Event: ${event}, userId: ${maskUserId(userId)}, email: ${maskEmail(email)}`);
+  try {
+    const decoded = jwt.verify(bearer, JWT_SECRET);
+    return String(decoded.id || decoded._id);
+  } catch (err) {
+    console.log(`❌ [Auth] Bearer token rejected: ${err.message}`);
+    metrics.authFailures.inc({ source: 'rest', reason: 'invalid_token' });
+    res.status(401).json({ error: 'Invalid token' });
+    return null;
+  }
+};
+
+app.post('/cast/token', asyncRoute(async (req, res) => {
+  const userId = requireUser(req, res);
+  if (!userId) return;
   
-  const notificationsNsp = io.of('/notifications');
-  let delivered = 0;
+  const { role, sessionId: requested } = req.body;
   
-  if (userId) {
-    notificationsNsp.to(`user:${userId}`).emit(event, data);
-    const userSockets = notificationUsers.byUserId.get(userId);
-    delivered += userSockets?.size || 0;
+  if (!CAST_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Unknown role: ${role}` });
+  }
+  // ✅ v2.35.1: New session ids are made here; a given sessionId must name a live session,
+  // so nobody can claim an id (or an ended session's id) another client is about to use
+  if (requested != null && (typeof requested !== 'string' || !/^[\w-]{1,128}$/.test(requested))) {
+    return res.status(400).json({ error: 'sessionId must be 1-128 letters, digits, - or _' });
   }
   
-  if (email) {
-    const normalizedEmail = email.toLowerCase();
-    notificationsNsp.to(`email:${normalizedEmail}`).emit(event, data);
-    const emailSockets = notificationUsers.byEmail.get(normalizedEmail);
-    delivered += emailSockets?.size || 0;
+  let sessionId = requested;
+  let session;
+  if (requested) {
+    session = await store.getSession(requested);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found; leave sessionId out to start a new one' });
+    }
+  } else {
+    if (!await requireSessionQuota(req, res)) return;
+    sessionId = crypto.randomUUID();
+    session = await store.saveSession(sessionId, newSession({ owner: userId, creatorIp: req.ip }));
   }
   
-  console.log(`📤 [Notify] Delivered to ${delivered} sockets`);
-  res.json({ success: true, delivered });
-});
+  // Only the session owner may hand out privileged roles; everyone else may only watch
+  if (role !== 'viewer' && session.owner !== userId) {
+    console.log(`🚫 [Cast] ${maskUserId(userId)} denied ${role} token for ${sessionId.slice(0, 12)}***`);
+    metrics.authFailures.inc({ source: 'rest', reason: 'not_owner' });
+    return res.status(403).json({ error: 'Only the session owner can issue this role' });
+  }
+  
+  console.log(`🔑 [Cast] Issued ${role} token for ${sessionId.slice(0, 12)}*** to ${maskUserId(userId)}`);
+  res.json({ success: true, sessionId, role, token: issueCastToken(sessionId, role, userId) });
+}));
 
 // ═══════════════════════════════════════════════════════════════
-// CHAT MESSAGE BROADCAST ENDPOINT (called by main backend)
+// PAIRING CODES - Projector shows a short code, controller redeems it
 // ═══════════════════════════════════════════════════════════════
 
-app.post('/chat/broadcast', (req, res) => {
-  const { secret, channelPath, channelId, message, recipients } = req.body;
+// No 0/O or 1/I/L so codes can be read off a TV and typed on a phone
+const PAIRING_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_CODE_TTL = parseInt(env.PAIRING_CODE_TTL_MS, 10) || 5 * 60 * 1000;
+const PAIRING_MAX_FAILURES = parseInt(env.PAIRING_MAX_FAILURES, 10) || 5;
+const PAIRING_FAILURE_WINDOW = 10 * 60 * 1000;
+
+// Store keys: pair:<code> -> { sessionId, expiresAt }, pair-session:<sessionId> -> code,
+// pair-fail:<ip> -> failed attempt counter
+const issuePairingCode = async (sessionId) => {
+  // A session only ever has one live code
+  const previous = await store.getTemp(`pair-session:${sessionId}`);
+  if (previous) await store.deleteTemp(`pair:${previous}`);
   
-  if (NOTIFY_SECRET && secret !== NOTIFY_SECRET) {
-    console.log('❌ [Chat] Invalid secret');
-    return res.status(401).json({ error: 'Unauthorized' });
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+      code += PAIRING_ALPHABET[crypto.randomInt(PAIRING_ALPHABET.length)];
+    }
+  } while (await store.getTemp(`pair:${code}`));
+  
+  const expiresAt = Date.now() + PAIRING_CODE_TTL;
+  await store.setTemp(`pair:${code}`, { sessionId, expiresAt }, PAIRING_CODE_TTL);
+  await store.setTemp(`pair-session:${sessionId}`, code, PAIRING_CODE_TTL);
+  return { code, expiresAt };
+};
+
+const isPairingLocked = async (ip) => {
+  const failures = await store.getTemp(`pair-fail:${ip}`);
+  return (failures || 0) >= PAIRING_MAX_FAILURES;
+};
+
+// Projector (no user account) asks for a fresh session + pairing code
+app.post('/cast/pair', asyncRoute(async (req, res) => {
+  if (!await requireSessionQuota(req, res)) return;
+  
+  const sessionId = crypto.randomUUID();
+  await store.saveSession(sessionId, newSession({ creatorIp: req.ip }));
+  const { code, expiresAt } = await issuePairingCode(sessionId);
+  
+  console.log(`🔢 [Pair] Issued code for session ${sessionId.slice(0, 12)}***`);
+  res.json({
+    success: true,
+    sessionId,
+    code,
+    expiresAt,
+    token: issueCastToken(sessionId, 'projector')
+  });
+}));
+
+// Controller (signed-in user) redeems the code shown on the projector
+app.post('/cast/pair/redeem', asyncRoute(async (req, res) => {
+  // ✅ v2.35.1: The forwarded client behind TRUST_PROXY, not the proxy everyone shares
+  const ip = req.ip;
+  if (await isPairingLocked(ip)) {
+    console.log(`🚫 [Pair] Too many failed attempts from ${ip}`);
+    metrics.authFailures.inc({ source: 'pairing', reason: 'locked' });
+    return res.status(429).json({ error: 'Too many failed attempts, try again later' });
   }
   
-  console.log(`💬 [Chat] Broadcasting to ${recipients?.length || 0} recipients`);
-  console.log(`   Channel: ${channelPath}, Message: ${message?.content?.substring(0, 50)}...`);
+  const userId = requireUser(req, res);
+  if (!userId) return;
   
-  const notificationsNsp = io.of('/notifications');
-  let delivered = 0;
+  // Single use: the code is gone as soon as anyone presents it
+  const code = String(req.body.code || '').trim().toUpperCase();
+  const entry = code ? await store.takeTemp(`pair:${code}`) : null;
   
-  // Send to each recipient (by userId and email)
-  if (recipients && Array.isArray(recipients)) {
-    recipients.forEach(recipient => {
-      const { userId, email } = recipient;
-      
-      const eventData = {
-        channelPath,
-        channelId,
-        channelName: channelPath?.replace(/^\//, ''),
-        senderName: message.senderName,
-        senderEmail: message.senderEmail,
-        senderId: message.senderId,
-        messagePreview: message.content,
-        messageId: message._id || message.id,
-        messageType: message.type || 'text'
-      };
-      
-      if (userId) {
-        notificationsNsp.to(`user:${userId}`).emit('chat:message', eventData);
-        delivered++;
-      }
-      
-      if (email) {
-        const normalizedEmail = email.toLowerCase();
-        notificationsNsp.to(`email:${normalizedEmail}`).emit('chat:message', eventData);
-      }
-    });
+  const session = entry && await store.updateSession(entry.sessionId, (current) => {
+    if (!current) return undefined;
+    return { ...current, owner: current.owner || userId, lastUpdate: Date.now() };
+  });
+  
+  if (!session) {
+    await store.incrTemp(`pair-fail:${ip}`, PAIRING_FAILURE_WINDOW);
+    console.log(`❌ [Pair] Invalid or expired code from ${maskUserId(userId)}`);
+    metrics.authFailures.inc({ source: 'pairing', reason: 'invalid_code' });
+    return res.status(404).json({ error: 'Invalid or expired code' });
   }
   
-  console.log(`📤 [Chat] Delivered to ${delivered} users`);
-  res.json({ success: true, delivered });
-});
+  const { sessionId } = entry;
+  await store.deleteTemp(`pair-session:${sessionId}`);
+  await store.deleteTemp(`pair-fail:${ip}`);
+  
+  io.to(sessionId).emit('pairing-redeemed', { sessionId });
+  console.log(`🔗 [Pair] ${maskUserId(userId)} paired with session ${sessionId.slice(0, 12)}***`);
+  res.json({
+    success: true,
+    sessionId,
+    role: 'controller',
+    token: issueCastToken(sessionId, 'controller', userId)
+  });
+}));
 
 // ═══════════════════════════════════════════════════════════════
-// NOTIFICATIONS NAMESPACE
+// DEVICE REGISTRY - Named projectors that come back on their own
 // ═══════════════════════════════════════════════════════════════
 
-const notificationsNsp = io.of('/notifications');
+// ✅ v2.35.1: With Redis devices live in the store, so every node knows every device
+// and a removed device is gone everywhere; DEVICE_REGISTRY_FILE is for one node
+const devices = REDIS_URL ? createStoreDevices(store) : createFileDevices(DEVICE_REGISTRY_FILE);
 
-notificationsNsp.use((socket, next) => {
-  const token = socket.handshake.auth.token;
-  
-  if (!token) {
-    console.log('🔔 [Notifications] No token provided');
-    return next(new Error('Authentication required'));
-  }
-  
+// Store keys: presence 'device' -> deviceId -> projector socket ids,
+// device-session:<deviceId> -> the session the device is projecting
+const deviceSessionKey = (deviceId) => `device-session:${deviceId}`;
+
+// Checks a REST body against DEVICE_REQUESTS. Sends a 400 and returns null when it does not match.
+const deviceBody = (req, res, request) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    socket.userId = decoded.id || decoded._id;
-    socket.userEmail = decoded.email?.toLowerCase();
-    console.log(`🔔 [Notifications] Auth success: ${maskUserId(socket.userId)}`);
-    next();
+    const body = validatePayload(request, req.body, DEVICE_REQUESTS);
+    if (body.name !== undefined && !body.name.trim()) {
+      throw new CastError(ERROR_CODES.INVALID_PAYLOAD, 'name must not be empty');
+    }
+    return body;
   } catch (err) {
-    console.error('🔔 [Notifications] Auth error:', err.message);
-    next(new Error('Invalid token'));
+    res.status(400).json({ error: err.message });
+    return null;
   }
-});
+};
 
-notificationsNsp.on('connection', (socket) => {
-  console.log(`🔔 [Notifications] Connected: ${maskUserId(socket.userId)}`);
-  
-  if (socket.userId) {
-    if (!notificationUsers.byUserId.has(socket.userId)) {
-      notificationUsers.byUserId.set(socket.userId, new Set());
-    }
-    notificationUsers.byUserId.get(socket.userId).add(socket.id);
-    socket.join(`user:${socket.userId}`);
+// The device named in the URL, authenticated by `Authorization: Bearer <device credential>`
+const requireDevice = async (req, res) => {
+  const header = req.headers.authorization || '';
+  const credential = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const device = await devices.authenticate(req.params.deviceId, credential);
+  if (!device) {
+    console.log(`❌ [Devices] Rejected credential for ${String(req.params.deviceId).slice(0, 8)}***`);
+    metrics.authFailures.inc({ source: 'device', reason: credential ? 'invalid_credential' : 'missing_credential' });
+    res.status(401).json({ error: 'Invalid device credential' });
+  }
+  return device;
+};
+
+// Devices belong to the user who registered them; anyone else gets a 404
+const loadOwnDevice = async (req, res, userId) => {
+  const device = await devices.get(req.params.deviceId);
+  if (!device || device.ownerId !== userId) {
+    res.status(404).json({ error: 'Device not found' });
+    return null;
   }
+  return device;
+};
+
+// Registry entry plus live state: online while one of its projector sockets is connected
+const deviceStatus = async (device) => {
+  const online = await store.countSockets('device', device.deviceId) > 0;
+  return { ...device, online, sessionId: online ? await store.getTemp(deviceSessionKey(device.deviceId)) : null };
+};
+
+const markDeviceOnline = async (socket, deviceId, sessionId) => {
+  socket.join(`device:${deviceId}`);
+  await store.addSocket('device', deviceId, socket.id);
+  await store.setTemp(deviceSessionKey(deviceId), sessionId, DEVICE_SESSION_TTL_MS);
+};
+
+// Signed-in user registers a device; the credential is shown once and goes onto the projector
+app.post('/devices', asyncRoute(async (req, res) => {
+  const userId = requireUser(req, res);
+  if (!userId) return;
+  const body = deviceBody(req, res, 'device-register');
+  if (!body) return;
   
-  if (socket.userEmail) {
-    if (!notificationUsers.byEmail.has(socket.userEmail)) {
-      notificationUsers.byEmail.set(socket.userEmail, new Set());
-    }
-    notificationUsers.byEmail.get(socket.userEmail).add(socket.id);
-    socket.join(`email:${socket.userEmail}`);
+  const { device, credential } = await devices.register({
+    ownerId: userId,
+    name: body.name.trim(),
+    location: body.location || null,
+    capabilities: body.capabilities || {}
+  });
+  console.log(`📟 [Devices] Registered ${device.deviceId.slice(0, 8)}*** for ${maskUserId(userId)}`);
+  res.status(201).json({ success: true, device, credential });
+}));
+
+// ?online=true: only devices that are connected right now
+app.get('/devices', asyncRoute(async (req, res) => {
+  const userId = requireUser(req, res);
+  if (!userId) return;
+  
+  const all = await Promise.all((await devices.listByOwner(userId)).map(deviceStatus));
+  const list = req.query.online === 'true' ? all.filter(device => device.online) : all;
+  res.json({ success: true, devices: list, count: list.length });
+}));
+
+app.patch('/devices/:deviceId', asyncRoute(async (req, res) => {
+  const userId = requireUser(req, res);
+  if (!userId) return;
+  const body = deviceBody(req, res, 'device-update');
+  if (!body) return;
+  if (!await loadOwnDevice(req, res, userId)) return;
+  
+  const device = await devices.update(req.params.deviceId, compact({ name: body.name?.trim(), location: body.location }));
+  res.json({ success: true, device: await deviceStatus(device) });
+}));
+
+app.delete('/devices/:deviceId', asyncRoute(async (req, res) => {
+  const userId = requireUser(req, res);
+  if (!userId) return;
+  const device = await loadOwnDevice(req, res, userId);
+  if (!device) return;
+  
+  console.log(`📟 [Devices] Removed ${device.deviceId.slice(0, 8)}*** for ${maskUserId(userId)}`);
+  await devices.remove(device.deviceId);
+  await store.deleteTemp(deviceSessionKey(device.deviceId));
+  // Its credential is gone, so its sockets go too
+  io.to(`device:${device.deviceId}`).emit('device-removed', { deviceId: device.deviceId });
+  io.in(`device:${device.deviceId}`).disconnectSockets(true);
+  res.json({ success: true, deviceId: device.deviceId });
+}));
+
+// Called by the projector itself: its open session (the one it had, or a new
+// one) and a projector token that ties the socket to the device
+app.post('/devices/:deviceId/connect', asyncRoute(async (req, res) => {
+  const device = await requireDevice(req, res);
+  if (!device) return;
+  const body = deviceBody(req, res, 'device-connect');
+  if (!body) return;
+  
+  let sessionId = await store.getTemp(deviceSessionKey(device.deviceId));
+  if (!sessionId || !await store.getSession(sessionId)) {
+    if (!await requireSessionQuota(req, res)) return;
+    sessionId = crypto.randomUUID();
+    await store.saveSession(sessionId, newSession({ owner: device.ownerId, creatorIp: req.ip }));
   }
+  await store.setTemp(deviceSessionKey(device.deviceId), sessionId, DEVICE_SESSION_TTL_MS);
+  await devices.update(device.deviceId, compact({ capabilities: body.capabilities, lastSeenAt: Date.now() }));
   
-  socket.on('join:user', ({ userId }) => {
-    if (userId) {
-      socket.join(`user:${userId}`);
-      console.log(`🔔 [Notifications] Joined room: user:${maskUserId(userId)}`);
-    }
+  console.log(`📟 [Devices] ${device.deviceId.slice(0, 8)}*** connecting to session ${sessionId.slice(0, 12)}***`);
+  res.json({
+    success: true,
+    sessionId,
+    displayId: device.deviceId,
+    role: 'projector',
+    token: issueCastToken(sessionId, 'projector', device.ownerId, device.deviceId)
   });
+}));
+
+// "Cast to Board Room TV" from the main app, no pairing code: a controller
+// token for the device's open session, and optionally a file put straight on it
+app.post('/devices/:deviceId/cast', asyncRoute(async (req, res) => {
+  const userId = requireUser(req, res);
+  if (!userId) return;
+  const body = deviceBody(req, res, 'device-cast');
+  if (!body) return;
+  const device = await loadOwnDevice(req, res, userId);
+  if (!device) return;
   
-  socket.on('disconnect', (reason) => {
-    console.log(`🔔 [Notifications] Disconnected: ${maskUserId(socket.userId)} - ${reason}`);
-    
-    if (socket.userId) {
-      const userSockets = notificationUsers.byUserId.get(socket.userId);
-      if (userSockets) {
-        userSockets.delete(socket.id);
-        if (userSockets.size === 0) notificationUsers.byUserId.delete(socket.userId);
-      }
-    }
-    
-    if (socket.userEmail) {
-      const emailSockets = notificationUsers.byEmail.get(socket.userEmail);
-      if (emailSockets) {
-        emailSockets.delete(socket.id);
-        if (emailSockets.size === 0) notificationUsers.byEmail.delete(socket.userEmail);
-      }
+  const { online, sessionId } = await deviceStatus(device);
+  if (!online || !sessionId || !await store.getSession(sessionId)) {
+    return res.status(409).json({ error: 'Device is offline' });
+  }
+  
+  let displays = null;
+  if (body.url) {
+    try {
+      ({ displays } = await castToDisplays(sessionId, { sessionId, url: body.url, fileName: body.fileName, displays: [device.deviceId] }));
+    } catch (err) {
+      if (!(err instanceof CastError)) throw err;
+      return res.status(409).json({ error: 'Device is not showing its session' });
     }
+  }
+  
+  console.log(`📟 [Devices] ${maskUserId(userId)} casting to ${device.deviceId.slice(0, 8)}***`);
+  res.json({
+    success: true,
+    deviceId: device.deviceId,
+    sessionId,
+    role: 'controller',
+    token: issueCastToken(sessionId, 'controller', userId),
+    displays
   });
-});
-
-console.log('✅ /notifications namespace initialized');
+}));
 
 // ═══════════════════════════════════════════════════════════════
-// HELPER: Send viewer count to a socket
+// ADMIN API - Support staff inspect and fix live sessions
 // ═══════════════════════════════════════════════════════════════
 
-const sendViewerCount = (socket, sessionId) => {
-  const session = sessions.get(sessionId);
-  const viewerCount = session?.viewers?.length || 0;
-  const viewers = session?.viewerInfo || [];
-  console.log(`👁️ [Cast] Sending viewer count to ${socket.id}: ${viewerCount} viewers`);
-  socket.emit('viewer-count', { count: viewerCount, sessionId, viewers });
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ error: 'Admin API not configured' });
+  }
+  
+  const header = req.headers.authorization || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(ADMIN_API_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    console.log(`❌ [Admin] Rejected request from ${req.ip}`);
+    metrics.authFailures.inc({ source: 'admin', reason: 'invalid_token' });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
 };
 
-// ═══════════════════════════════════════════════════════════════
-// CAST SOCKET HANDLERS
-// ═══════════════════════════════════════════════════════════════
+// Everything support needs to see; resume tokens never leave the server
+const adminSessionView = (sessionId, session, socketIds) => ({
+  sessionId,
+  owner: session.owner,
+  createdAt: session.createdAt,
+  lastUpdate: session.lastUpdate,
+  roles: {
+    displays: Object.values(displaysOf(session)).map(display => display.socketId).filter(Boolean),
+    host: session.host,
+    main: session.main,
+    controllers: session.controllers || [],
+    viewers: session.viewers || []
+  },
+  away: session.away || {},
+  viewerInfo: session.viewerInfo || [],
+  admission: admissionState(session),
+  pendingViewers: (session.pendingViewers || []).map(publicViewer),
+  currentFile: session.currentFile,
+  playlist: playlist.queueState(session),
+  playback: session.playback ? playbackInstruction(session.playback) : null,
+  slideshow: slideshowState(session),
+  displays: displayStatus(session),
+  recording: session.recording || null,
+  replay: session.replay || null,
+  connectedSockets: socketIds
+});
 
-io.on('connection', (socket) => {
-  console.log('🔌 Connected:', socket.id);
+// cast-stop + projector-disconnected for everyone, then the session is gone.
+// Sockets stay connected so TVs can pair again without a reload.
+const forceEndSession = async (sessionId) => {
+  io.to(sessionId).emit('cast-stop');
+  io.to(sessionId).emit('projector-disconnected');
+  clearSlideshowTimer(sessionId);
+  stopReplay(sessionId);
+  await store.deleteSession(sessionId);
+  await store.deleteTemp(`pair-session:${sessionId}`);
+  io.in(sessionId).socketsLeave([sessionId, ...MEDIA_KINDS.map(kind => mediaRoom(sessionId, kind))]);
+};
 
-  socket.on('join-projector', ({ sessionId }) => {
-    console.log(`📺 Projector joined: ${sessionId}`);
-    socket.join(sessionId);
-    
-    if (!sessions.has(sessionId)) {
-      sessions.set(sessionId, { 
-        projector: socket.id, 
-        controllers: [],
-        viewers: [],
-        main: null,
-        host: null,
-        createdAt: Date.now(),
-        lastUpdate: Date.now(),
-        currentFile: null,
-        fileList: []
-      });
-    } else {
-      const session = sessions.get(sessionId);
-      session.projector = socket.id;
-      session.lastUpdate = Date.now();
-    }
-    
-    socket.sessionId = sessionId;
-    socket.role = 'projector';
-    socket.to(sessionId).emit('projector-ready', { sessionId });
-    console.log(`📤 Sent projector-ready to session ${sessionId}`);
-  });
+const loadAdminSession = async (req, res) => {
+  const session = await store.getSession(req.params.sessionId);
+  if (!session) res.status(404).json({ error: 'Session not found' });
+  return session;
+};
 
-  socket.on('register-host', ({ sessionId }) => {
-    console.log(`🎬 Host registered: ${sessionId}`);
-    socket.join(sessionId);
-    
-    if (!sessions.has(sessionId)) {
-      sessions.set(sessionId, { 
-        projector: null, 
-        controllers: [],
-        viewers: [],
-        main: null,
-        host: socket.id,
-        createdAt: Date.now(),
-        lastUpdate: Date.now(),
-        currentFile: null,
-        fileList: []
-      });
-    } else {
-      const session = sessions.get(sessionId);
-      session.host = socket.id;
-      session.lastUpdate = Date.now();
-    }
-    
-    socket.sessionId = sessionId;
-    socket.role = 'host';
-    
-    // ✅ v2.9.0: Send current viewer count to new host
-    sendViewerCount(socket, sessionId);
-    
-    console.log(`✅ Host ${socket.id} registered for session ${sessionId}`);
-  });
+app.get('/admin/sessions/:sessionId', requireAdmin, asyncRoute(async (req, res) => {
+  const { sessionId } = req.params;
+  const session = await loadAdminSession(req, res);
+  if (!session) return;
+  
+  // Across every node when the Redis adapter is in use
+  const sockets = await io.in(sessionId).fetchSockets();
+  res.json({ success: true, session: adminSessionView(sessionId, session, sockets.map(s => s.id)) });
+}));
 
-  socket.on('join-controller', ({ sessionId }) => {
+app.delete('/admin/sessions/:sessionId', requireAdmin, asyncRoute(async (req, res) => {
+  const { sessionId } = req.params;
+  const session = await loadAdminSession(req, res);
+  if (!session) return;
+  
+  console.log(`🛠️ [Admin] Force-ending session ${sessionId}`);
+  await forceEndSession(sessionId);
+  res.json({ success: true, sessionId });
+}));
+
+app.post('/admin/sessions/:sessionId/kick', requireAdmin, asyncRoute(async (req, res) => {
+  const { sessionId } = req.params;
+  const { socketId, reason } = req.body;
+  const session = await loadAdminSession(req, res);
+  if (!session) return;
+  
+  let role = null;
+  if (session.viewers?.includes(socketId)) role = 'viewer';
+  else if (session.pendingViewers?.some(v => v.socketId === socketId)) role = 'pending viewer';
+  else if (session.controllers?.includes(socketId)) role = 'controller';
+  if (!role) {
+    return res.status(404).json({ error: 'No viewer or controller with that socket in this session' });
+  }
+  
+  console.log(`🛠️ [Admin] Kicking ${role} ${socketId} from session ${sessionId}`);
+  io.to(socketId).emit('kicked', { sessionId, reason: reason || 'Removed by support' });
+  // The disconnect handler removes it from the session like any other leave
+  io.in(socketId).disconnectSockets(true);
+  res.json({ success: true, sessionId, socketId, role });
+}));
+
+app.post('/admin/sessions/:sessionId/message', requireAdmin, asyncRoute(async (req, res) => {
+  const { sessionId } = req.params;
+  const { message, level = 'info' } = req.body;
+  if (typeof message !== 'string' || !message.trim() || message.length > 1000) {
+    return res.status(400).json({ error: 'message must be 1-1000 characters' });
+  }
+  if (!['info', 'warning', 'error'].includes(level)) {
+    return res.status(400).json({ error: 'level must be info, warning or error' });
+  }
+  if (!await loadAdminSession(req, res)) return;
+  
+  console.log(`🛠️ [Admin] System message to session ${sessionId}`);
+  io.to(sessionId).emit('system-message', { sessionId, message, level, at: Date.now() });
+  res.json({ success: true, sessionId });
+}));
+
+// ═══════════════════════════════════════════════════════════════
+// RECORDING & REPLAY - Session journals (lib/journal.js)
+// ═══════════════════════════════════════════════════════════════
+
+const journal = createFileJournal(RECORDINGS_DIR);
+
+// What goes into the journal for an event: no session id or passcode, no
+// viewer locations, and queue items by position because replays get new itemIds.
+// Strokes keep the id they were given so a replayed undo can find its stroke.
+const journalData = (event, data, session, result) => {
+  const { sessionId, passcode, ...rest } = data;
+  if (event === 'viewer-joined' || event === 'viewer-left') {
+    return compact({ viewerId: data.viewerId, viewerName: data.viewerName });
+  }
+  if (event === 'annotation-stroke') return { ...rest, strokeId: result.stroke.strokeId };
+  if (rest.itemId) {
+    const { itemId, ...fields } = rest;
+    return { ...fields, itemIndex: (session.fileList || []).findIndex(f => f.itemId === itemId) };
+  }
+  return rest;
+};
+
+// Called by onCastEvent after a `recorded` event succeeded
+const recordEvent = async (session, event, data, result) => {
+  try {
+    await journal.append(session.recording.recordingId, event, journalData(event, data, session, result));
+  } catch (err) {
+    console.error(`❌ [Recording] Could not write ${event}:`, err.message);
+  }
+};
+
+// Recorded viewer traffic is for audits; a replay only plays what the host did
+const REPLAY_SKIPPED_EVENTS = ['viewer-joined', 'viewer-left'];
+const REPLAY_LOOP_GAP_MS = 2000;
+
+const replays = new Map();   // sessionId -> runner; node-local like the slideshow timers
+
+// Replays go through the same handlers, validation and broadcasts as a live
+// host, via a stand-in socket that is not connected to anything
+const createReplaySocket = (sessionId) => {
+  const handlers = new Map();
+  const socket = {
+    id: `replay:${sessionId}`,
+    castAuth: { sessionId, role: 'host', userId: null },
+    connected: true,
+    rateLimitExempt: true,   // replays run at the recorded pace, bursts included
+    on: (event, handler) => handlers.set(event, handler),
+    emit: () => {},
+    join: () => {},
+    leave: () => {},
+    to: (room) => io.to(room)
+  };
+  handleCastConnection(socket);
+  return {
+    dispatch: (event, data) => new Promise((resolve) => handlers.get(event)(data, resolve))
+  };
+};
+
+const stopReplay = (sessionId) => {
+  const runner = replays.get(sessionId);
+  if (!runner) return;
+  runner.stopped = true;
+  clearTimeout(runner.timer);
+  replays.delete(sessionId);
+};
+
+const runReplay = async (sessionId, recording, { loop, startedAt }) => {
+  stopReplay(sessionId);
+  const runner = { stopped: false, timer: null, socket: createReplaySocket(sessionId) };
+  replays.set(sessionId, runner);
+  
+  const sleep = (ms) => new Promise(resolve => { runner.timer = setTimeout(resolve, Math.max(0, ms)); });
+  const events = recording.events.filter(entry => !REPLAY_SKIPPED_EVENTS.includes(entry.event));
+  const strokeIds = new Map();   // recorded strokeId -> the id the replayed stroke got
+  console.log(`🔁 [Replay] Playing ${recording.recordingId} into ${sessionId} (${events.length} events, loop: ${loop})`);
+  
+  do {
+    const roundStart = Date.now();
+    for (const { t, event, data } of events) {
+      await sleep(roundStart + t - Date.now());
+      if (runner.stopped) return;
+      
+      // Ended, deleted or replaced (replay-stop may have come in on another node)
+      const session = await store.getSession(sessionId);
+      if (session?.replay?.startedAt !== startedAt) {
+        stopReplay(sessionId);
+        return;
+      }
+      
+      const { itemIndex, strokeId, ...payload } = data;
+      if (itemIndex !== undefined) payload.itemId = session.fileList[itemIndex]?.itemId;
+      // An undo of a stroke drawn before the recording started has nothing to remove
+      if (event === 'annotation-undo' && strokeId) {
+        payload.strokeId = strokeIds.get(strokeId);
+        if (!payload.strokeId) continue;
+      }
+      const result = await runner.socket.dispatch(event, { ...payload, sessionId });
+      if (!result.ok) console.log(`🔁 [Replay] ${event} skipped: ${result.error}`);
+      else if (event === 'annotation-stroke' && strokeId) strokeIds.set(strokeId, result.stroke.strokeId);
+    }
+    
+    if (loop && !runner.stopped) {
+      await sleep(REPLAY_LOOP_GAP_MS);
+      if (runner.stopped) return;
+      await runner.socket.dispatch('cast-stop', { sessionId });
+    }
+  } while (loop && !runner.stopped);
+  
+  stopReplay(sessionId);
+  await store.updateSession(sessionId, (current) => {
+    if (current?.replay?.startedAt !== startedAt) return undefined;
+    return { ...current, replay: null };
+  });
+  io.to(sessionId).emit('replay-ended', { sessionId, recordingId: recording.recordingId });
+  console.log(`🔁 [Replay] Finished ${recording.recordingId} in ${sessionId}`);
+};
+
+// Only the user who owned the session when it was recorded can read or replay it
+const loadOwnRecording = async (req, res, userId, recordingId) => {
+  const recording = await journal.read(String(recordingId || ''));
+  if (!recording || recording.owner !== userId) {
+    res.status(404).json({ error: 'Recording not found' });
+    return null;
+  }
+  return recording;
+};
+
+app.get('/cast/recordings/:recordingId', asyncRoute(async (req, res) => {
+  const userId = requireUser(req, res);
+  if (!userId) return;
+  
+  const recording = await loadOwnRecording(req, res, userId, req.params.recordingId);
+  if (!recording) return;
+  res.json({ success: true, recording });
+}));
+
+// Starts a new session that plays the recording; the caller gets a projector token for it
+app.post('/cast/replay', asyncRoute(async (req, res) => {
+  const userId = requireUser(req, res);
+  if (!userId) return;
+  
+  const recording = await loadOwnRecording(req, res, userId, req.body.recordingId);
+  if (!recording) return;
+  if (!await requireSessionQuota(req, res)) return;
+  
+  const loop = req.body.loop === true;
+  const sessionId = crypto.randomUUID();
+  const replay = { recordingId: recording.recordingId, loop, startedAt: Date.now() };
+  await store.saveSession(sessionId, newSession({ owner: userId, creatorIp: req.ip, replay }));
+  
+  runReplay(sessionId, recording, replay).catch(err => {
+    console.error(`❌ [Replay] ${recording.recordingId} failed:`, err.message);
+    stopReplay(sessionId);
+  });
+
+  res.json({
+    success: true,
+    sessionId,
+    role: 'projector',
+    token: issueCastToken(sessionId, 'projector', userId),
+    replay
+  });
+}));
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATION INBOX - Nothing is lost while a user is offline
+// ═══════════════════════════════════════════════════════════════
+
+const inboxOptions = {
+  limit: NOTIFICATION_INBOX_LIMIT,
+  retentionMs: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000
+};
+
+// ✅ v2.35.1: With Redis the inbox lives in the store, so a user gets what was queued
+// on one node when they reconnect to another; NOTIFICATION_INBOX_DIR is for one node
+const inbox = REDIS_URL
+  ? createStoreInbox(store, inboxOptions)
+  : createFileInbox(NOTIFICATION_INBOX_DIR, inboxOptions);
+
+// Stored under the userId when we have one, the email otherwise
+const inboxKey = (userId, email) => (userId ? `user:${userId}` : `email:${email}`);
+
+const socketInboxKeys = (socket) => [
+  socket.userId && `user:${socket.userId}`,
+  socket.userEmail && `email:${socket.userEmail}`
+].filter(Boolean);
+
+// Object payloads get the id so clients can ack / mark-read (and drop duplicates)
+const notificationPayload = (entry) => (
+  entry.data && typeof entry.data === 'object' && !Array.isArray(entry.data)
+    ? { ...entry.data, notificationId: entry.id, createdAt: entry.createdAt }
+    : entry.data
+);
+
+// .to([]) has no room filter at all and reaches every socket of the namespace,
+// so an empty room list sends nothing. `target` is a namespace or a socket.
+const emitToRooms = (target, rooms, event, payload) => {
+  if (rooms.length === 0) return;
+  target.to(rooms).emit(event, payload);
+};
+
+// Stores the notification and emits it to the recipient's live sockets.
+// Returns 'online' (pushed to at least one socket), 'queued' (nobody connected)
+// or 'suppressed' (held back by the user's preferences).
+const deliverNotification = async ({ userId, email, event, data }) => {
+  const normalizedEmail = email?.toLowerCase();
+  // ✅ v2.33.0: Preferences decide whether and where it is pushed; the inbox gets it either way
+  const prefs = userId ? await preferences.get(userId) : null;
+  const suppressed = suppression(prefs, { event, data });
+  const sockets = suppressed ? 0 : await pushSocketCount(prefs, userId, normalizedEmail);
+  
+  const entry = await inbox.add(inboxKey(userId, normalizedEmail), { event, data, delivered: sockets > 0, suppressed });
+  if (suppressed) return 'suppressed';
+  
+  // One emit for both rooms so a socket in both gets it once
+  emitToRooms(io.of('/notifications'), pushRooms(prefs, userId, normalizedEmail), event, notificationPayload(entry));
+  return sockets > 0 ? 'online' : 'queued';
+};
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATION SUBSCRIPTIONS - Channel and topic rooms (lib/authorizer.js)
+// ═══════════════════════════════════════════════════════════════
+
+// The main backend decides membership when SUBSCRIPTION_AUTH_URL is set.
+// Without it SUBSCRIPTION_AUTH=open lets everyone in (development); the default refuses.
+const subscriptionAuthorizer = SUBSCRIPTION_AUTH_URL
+  ? createWebhookAuthorizer({ url: SUBSCRIPTION_AUTH_URL, secret: NOTIFY_SECRET, cacheMs: SUBSCRIPTION_AUTH_CACHE_MS })
+  : createStaticAuthorizer({ channel: SUBSCRIPTION_AUTH === 'open', topic: SUBSCRIPTION_AUTH === 'open' });
+
+if (!SUBSCRIPTION_AUTH_URL && SUBSCRIPTION_AUTH !== 'open') {
+  console.warn('⚠️ SUBSCRIPTION_AUTH_URL not set - channel and topic subscriptions are refused');
+}
+
+// Store presence: kind 'channel' / 'topic' -> name -> socket ids
+const subscriptionRoom = (kind, name) => `${kind}:${name}`;
+
+// What a socket is subscribed to, as sent back in acks
+const subscriptionList = (socket) => {
+  const list = { channels: [], topics: [] };
+  for (const { kind, name } of socket.subscriptions.values()) list[`${kind}s`].push(name);
+  return list;
+};
+
+const dropSubscriptions = async (socket) => {
+  for (const [room, { kind, name, active }] of socket.subscriptions) {
+    if (!active) continue;
+    socket.leave(room);
+    await store.removeSocket(kind, name, socket.id);
+  }
+  socket.subscriptions.clear();
+};
+
+const subscribe = async (socket, { channels = [], topics = [] }) => {
+  const requested = [...channels.map(name => ['channel', name]), ...topics.map(name => ['topic', name])]
+    .filter(([kind, name]) => !socket.subscriptions.has(subscriptionRoom(kind, name)));
+  if (socket.subscriptions.size + requested.length > MAX_SUBSCRIPTIONS_PER_SOCKET) {
+    throw new CastError(ERROR_CODES.SUBSCRIPTION_LIMIT, `At most ${MAX_SUBSCRIPTIONS_PER_SOCKET} subscriptions per socket`);
+  }
+  
+  const allowed = await Promise.all(requested.map(([kind, name]) => subscriptionAuthorizer.authorize({
+    userId: socket.userId || null,
+    email: socket.userEmail || null,
+    kind,
+    name
+  })));
+  
+  // ✅ v2.33.0: Muted channels are kept but stay out of the room until unmuted
+  const prefs = socket.userId ? await preferences.get(socket.userId) : null;
+  const denied = { channels: [], topics: [] };
+  for (const [i, [kind, name]] of requested.entries()) {
+    if (!allowed[i]) {
+      denied[`${kind}s`].push(name);
+      metrics.authFailures.inc({ source: 'subscription', reason: 'denied' });
+      continue;
+    }
+    const room = subscriptionRoom(kind, name);
+    const active = subscriptionActive(prefs, socket, kind, name);
+    socket.subscriptions.set(room, { kind, name, active });
+    if (!active) continue;
+    socket.join(room);
+    await store.addSocket(kind, name, socket.id);
+  }
+  // Disconnected while the authorizer was answering: undo the presence writes
+  if (!socket.connected) await dropSubscriptions(socket);
+  
+  if (denied.channels.length + denied.topics.length > 0) {
+    console.log(`🚫 [Notifications] ${maskUserId(socket.userId)} denied ${denied.channels.length} channels, ${denied.topics.length} topics`);
+  }
+  return { subscribed: subscriptionList(socket), denied };
+};
+
+const unsubscribe = async (socket, { channels = [], topics = [] }) => {
+  const rooms = [...channels.map(name => ['channel', name]), ...topics.map(name => ['topic', name])];
+  for (const [kind, name] of rooms) {
+    const room = subscriptionRoom(kind, name);
+    const subscription = socket.subscriptions.get(room);
+    if (!subscription) continue;
+    socket.subscriptions.delete(room);
+    if (!subscription.active) continue;
+    socket.leave(room);
+    await store.removeSocket(kind, name, socket.id);
+  }
+  return { subscribed: subscriptionList(socket) };
+};
+
+// Live fan-out to everyone subscribed, in one emit. Nothing is kept for
+// offline users; address them by userId or email for that.
+// Returns how many sockets were subscribed.
+const publishNotification = async ({ channel, topic, event, data }) => {
+  const targets = [channel && ['channel', channel], topic && ['topic', topic]].filter(Boolean);
+  let subscribers = 0;
+  for (const [kind, name] of targets) subscribers += await store.countSockets(kind, name);
+  
+  // One emit for both rooms so a socket in both gets it once
+  emitToRooms(io.of('/notifications'), targets.map(([kind, name]) => subscriptionRoom(kind, name)), event, data);
+  return subscribers;
+};
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATION PREFERENCES - Mutes, quiet hours, client types (lib/preferences.js)
+// ═══════════════════════════════════════════════════════════════
+
+// ✅ v2.35.1: With Redis preferences live in the store, so every node applies what
+// was saved on any of them; PREFERENCES_FILE is for one node
+const preferences = REDIS_URL ? createStorePreferences(store) : createFilePreferences(PREFERENCES_FILE);
+
+// Rooms a push goes to: per client type when the user picked some
+// (user-client:<id>:<type>), the plain user/email rooms otherwise
+const pushRooms = (prefs, userId, email) => {
+  const targets = [userId && ['user', userId], email && ['email', email]].filter(Boolean);
+  // clientTypes [] (saved before it was refused) gives no rooms, so nothing is pushed
+  if (!prefs?.clientTypes) return targets.map(([kind, key]) => `${kind}:${key}`);
+  return targets.flatMap(([kind, key]) => prefs.clientTypes.map(type => `${kind}-client:${key}:${type}`));
+};
+
+// Live sockets a push would reach
+const pushSocketCount = async (prefs, userId, email) => {
+  let sockets = 0;
+  if (prefs?.clientTypes) {
+    for (const type of prefs.clientTypes) sockets += await store.countSockets('user-client', `${userId}:${type}`);
+    return sockets;
+  }
+  if (userId) sockets += await store.countSockets('user', userId);
+  if (email) sockets += await store.countSockets('email', email);
+  return sockets;
+};
+
+// Muted channels and excluded client types sit out the channel/topic rooms
+// (live publishes can't be filtered per socket); quiet hours don't apply there
+const subscriptionActive = (prefs, socket, kind, name) => {
+  if (!prefs) return true;
+  if (kind === 'channel' && prefs.mutedChannels.includes(name)) return false;
+  return !prefs.clientTypes || prefs.clientTypes.includes(socket.clientType);
+};
+
+// Joins or leaves subscription rooms after the user's preferences changed
+const refreshSubscriptions = async (socket, prefs) => {
+  for (const [room, subscription] of socket.subscriptions) {
+    const active = subscriptionActive(prefs, socket, subscription.kind, subscription.name);
+    if (active === subscription.active) continue;
+    subscription.active = active;
+    if (active) {
+      socket.join(room);
+      await store.addSocket(subscription.kind, subscription.name, socket.id);
+    } else {
+      socket.leave(room);
+      await store.removeSocket(subscription.kind, subscription.name, socket.id);
+    }
+  }
+};
+
+const updatePreferences = async (socket, changes) => {
+  if (!socket.userId) {
+    throw new CastError(ERROR_CODES.UNAUTHENTICATED, 'Preferences need a token with a user id');
+  }
+  if (changes.quietHours) {
+    const quietHours = { timeZone: 'UTC', ...changes.quietHours };
+    try {
+      localTime(quietHours.timeZone, Date.now());
+    } catch {
+      throw new CastError(ERROR_CODES.INVALID_PAYLOAD, `Unknown time zone ${quietHours.timeZone}`);
+    }
+    changes = { ...changes, quietHours };
+  }
+  
+  const prefs = await preferences.update(socket.userId, changes);
+  console.log(`🔕 [Notifications] Preferences updated for ${maskUserId(socket.userId)}`);
+  
+  // The user's sockets on this node; the file store is per instance, like the inbox
+  const socketIds = notificationsNsp.adapter.rooms.get(`user:${socket.userId}`) || new Set();
+  for (const socketId of socketIds) {
+    const userSocket = notificationsNsp.sockets.get(socketId);
+    if (userSocket) await refreshSubscriptions(userSocket, prefs);
+  }
+  socket.to(`user:${socket.userId}`).emit('notifications:preferences-changed', { preferences: prefs });
+  return prefs;
+};
+
+// ═══════════════════════════════════════════════════════════════
+// WEBHOOK AUTH - Backend requests are HMAC-signed (lib/webhook.js)
+// ═══════════════════════════════════════════════════════════════
+
+// Current key first; the previous one stays valid while the backend rotates
+const WEBHOOK_SECRETS = [NOTIFY_SECRET, NOTIFY_SECRET_PREVIOUS].filter(Boolean);
+
+if (WEBHOOK_SECRETS.length === 0) {
+  console.warn('⚠️ NOTIFY_SECRET not set - /notify and /chat/broadcast are disabled');
+}
+
+const requireSignedWebhook = (label) => asyncRoute(async (req, res, next) => {
+  if (WEBHOOK_SECRETS.length === 0) {
+    return res.status(503).json({ error: 'Webhook secret not configured' });
+  }
+  
+  const reason = webhook.verifyWebhook(WEBHOOK_SECRETS, {
+    timestamp: req.get(webhook.HEADERS.timestamp),
+    nonce: req.get(webhook.HEADERS.nonce),
+    signature: req.get(webhook.HEADERS.signature),
+    body: req.rawBody || Buffer.alloc(0)
+  }, { windowMs: NOTIFY_REPLAY_WINDOW_MS });
+  
+  if (reason) {
+    console.log(`❌ [${label}] Rejected webhook: ${reason}`);
+    metrics.authFailures.inc({ source: 'webhook', reason: reason.replace(/ /g, '_') });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  // Nonces are remembered for the whole window on either side of "now",
+  // so a captured request can't be sent again while its timestamp is valid
+  const nonce = req.get(webhook.HEADERS.nonce);
+  if (await store.incrTemp(`webhook-nonce:${nonce}`, 2 * NOTIFY_REPLAY_WINDOW_MS) > 1) {
+    console.log(`❌ [${label}] Rejected webhook: nonce already used`);
+    metrics.authFailures.inc({ source: 'webhook', reason: 'nonce_reused' });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  next();
+});
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATION TRIGGER ENDPOINT (called by main backend)
+// ═══════════════════════════════════════════════════════════════
+
+// One notification: into the user's inbox and/or out to channel/topic subscribers
+const sendNotification = async ({ event, userId, email, channel, topic, data }) => {
+  let delivered = 0;
+  let subscribers = 0;
+  if (userId || email) {
+    // ✅ v2.19.0: delivered is 1 when the user was online, 0 when it waits in the inbox
+    const status = await deliverNotification({ userId, email, event, data });
+    metrics.notificationsDelivered.inc({ route: 'notify', status });
+    delivered = status === 'online' ? 1 : 0;
+  }
+  if (channel || topic) {
+    subscribers = await publishNotification({ channel, topic, event, data });
+    metrics.notificationsDelivered.inc({ route: 'notify', status: 'published' });
+  }
+  return { delivered, subscribers };
+};
+
+// Body: one notification, or { events: [...] } with up to NOTIFY_BATCH_LIMIT of them
+app.post('/notify', rateLimitRoute(webhookBuckets), requireSignedWebhook('Notify'), asyncRoute(async (req, res) => {
+  const batch = Array.isArray(req.body.events);
+  let events;
+  try {
+    events = batch
+      ? validatePayload('notify-batch', req.body, NOTIFY_REQUESTS).events
+      : [validatePayload('notify', req.body, NOTIFY_REQUESTS)];
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  
+  const untargeted = events.findIndex(({ userId, email, channel, topic }) => !userId && !email && !channel && !topic);
+  if (untargeted !== -1) {
+    const path = batch ? `events[${untargeted}]` : 'event';
+    return res.status(400).json({ error: `${path} needs userId, email, channel or topic` });
+  }
+  
+  metrics.webhookRequests.inc({ route: 'notify' });
+  
+  if (!batch) {
+    const { event, userId, email, channel, topic } = events[0];
+    console.log(`🔔 [Notify] Event: ${event}, userId: ${maskUserId(userId)}, email: ${maskEmail(email)}${channel ? `, channel: ${channel}` : ''}${topic ? `, topic: ${topic}` : ''}`);
+    const { delivered, subscribers } = await sendNotification(events[0]);
+    console.log(`📤 [Notify] ${delivered ? 'Delivered' : userId || email ? 'Queued for offline user' : `Published to ${subscribers} sockets`}`);
+    return res.json({ success: true, delivered, subscribers });
+  }
+  
+  // One at a time so a user gets a batch's notifications in order
+  const results = [];
+  for (const notification of events) {
+    results.push(await sendNotification(notification));
+  }
+  const delivered = results.reduce((sum, result) => sum + result.delivered, 0);
+  console.log(`📤 [Notify] Batch of ${events.length}: ${delivered} delivered live`);
+  res.json({ success: true, delivered, results });
+}));
+
+// ═══════════════════════════════════════════════════════════════
+// CHAT MESSAGE BROADCAST ENDPOINT (called by main backend)
+// ═══════════════════════════════════════════════════════════════
+
+app.post('/chat/broadcast', rateLimitRoute(webhookBuckets), requireSignedWebhook('Chat'), asyncRoute(async (req, res) => {
+  const { channelPath, channelId, message, recipients } = req.body;
+  
+  if (!message || (!channelPath && !Array.isArray(recipients))) {
+    return res.status(400).json({ error: 'message and channelPath or recipients are required' });
+  }
+  
+  console.log(`💬 [Chat] Broadcasting to ${Array.isArray(recipients) ? `${recipients.length} recipients` : 'channel subscribers'}`);
+  console.log(`   Channel: ${channelPath}, Message: ${message?.content?.substring(0, 50)}...`);
+  
+  metrics.webhookRequests.inc({ route: 'chat' });
+  const eventData = {
+    channelPath,
+    channelId,
+    channelName: channelPath?.replace(/^\//, ''),
+    senderName: message.senderName,
+    senderEmail: message.senderEmail,
+    senderId: message.senderId,
+    messagePreview: message.content,
+    messageId: message._id || message.id,
+    messageType: message.type || 'text'
+  };
+  
+  // ✅ v2.32.0: No recipient list: one emit to the sockets subscribed to the channel
+  if (!Array.isArray(recipients)) {
+    const subscribers = await publishNotification({ channel: channelPath, event: 'chat:message', data: eventData });
+    metrics.notificationsDelivered.inc({ route: 'chat', status: 'published' });
+    console.log(`📤 [Chat] Published to ${subscribers} subscribed sockets`);
+    return res.json({ success: true, subscribers });
+  }
+  
+  let delivered = 0;
+  
+  // Send to each recipient (by userId and email)
+  for (const recipient of recipients) {
+    const { userId, email } = recipient;
+    if (!userId && !email) continue;
+    
+    // ✅ v2.19.0: Offline recipients get it from their inbox on next connect
+    const status = await deliverNotification({ userId, email, event: 'chat:message', data: eventData });
+    metrics.notificationsDelivered.inc({ route: 'chat', status });
+    if (status === 'online') delivered++;
+  }
+  
+  console.log(`📤 [Chat] Delivered to ${delivered} users`);
+  res.json({ success: true, delivered });
+}));
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATIONS NAMESPACE
+// ═══════════════════════════════════════════════════════════════
+
+const notificationsNsp = io.of('/notifications');
+
+// Same ack shape as onCastEvent: { ok: true, ...result } or { ok: false, error: CODE, message }
+const onNotificationEvent = (socket, event, handler) => {
+  socket.on(event, async (payload, ack) => {
+    // Allow emit(event, ack) without a payload
+    if (typeof payload === 'function') [payload, ack] = [undefined, payload];
+    const hasAck = typeof ack === 'function';
+    
+    try {
+      checkRateLimit(socket, event);
+      const data = validatePayload(event, payload, NOTIFICATION_EVENTS);
+      const result = await handler(data);
+      if (hasAck) ack({ ok: true, ...result });
+    } catch (err) {
+      const code = err instanceof CastError ? err.code : ERROR_CODES.INTERNAL_ERROR;
+      if (!(err instanceof CastError)) {
+        console.error(`❌ [Notifications] ${event} handler error:`, err.message);
+      }
+      
+      const message = err instanceof CastError ? err.message : 'Internal error';
+      if (hasAck) ack({ ok: false, error: code, message });
+    }
+  });
+};
+
+notificationsNsp.use(limitHandshake);
+
+notificationsNsp.use((socket, next) => {
+  const token = socket.handshake.auth.token;
+  
+  if (!token) {
+    console.log('🔔 [Notifications] No token provided');
+    metrics.authFailures.inc({ source: 'notifications-handshake', reason: 'missing_token' });
+    return next(handshakeError(ERROR_CODES.UNAUTHENTICATED, 'Authentication required'));
+  }
+  
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    socket.userId = decoded.id || decoded._id;
+    socket.userEmail = decoded.email?.toLowerCase();
+    // ✅ v2.33.0: Lets users keep pushes off e.g. their TV
+    const { clientType } = socket.handshake.auth;
+    socket.clientType = CLIENT_TYPES.includes(clientType) ? clientType : 'other';
+    console.log(`🔔 [Notifications] Auth success: ${maskUserId(socket.userId)} (${socket.clientType})`);
+    next();
+  } catch (err) {
+    console.error('🔔 [Notifications] Auth error:', err.message);
+    metrics.authFailures.inc({ source: 'notifications-handshake', reason: 'invalid_token' });
+    next(handshakeError(ERROR_CODES.UNAUTHENTICATED, 'Invalid token'));
+  }
+});
+
+notificationsNsp.on('connection', asyncHandler('Notifications', async (socket) => {
+  console.log(`🔔 [Notifications] Connected: ${maskUserId(socket.userId)}`);
+  
+  if (socket.userId) {
+    socket.join([`user:${socket.userId}`, `user-client:${socket.userId}:${socket.clientType}`]);
+  }
+  
+  if (socket.userEmail) {
+    socket.join([`email:${socket.userEmail}`, `email-client:${socket.userEmail}:${socket.clientType}`]);
+  }
+  
+  // ✅ v2.32.0: Channel and topic rooms, checked by the subscription authorizer.
+  // (join:user is gone: sockets are in their own user room from the token.)
+  socket.subscriptions = new Map();   // room -> { kind, name, active }
+  
+  onNotificationEvent(socket, 'notifications:subscribe', async (request) => subscribe(socket, request));
+  
+  onNotificationEvent(socket, 'notifications:unsubscribe', async (request) => unsubscribe(socket, request));
+  
+  // ✅ v2.33.0: Preferences (email-only tokens have none)
+  onNotificationEvent(socket, 'notifications:preferences', async () => ({
+    preferences: socket.userId ? await preferences.get(socket.userId) : null,
+    clientType: socket.clientType
+  }));
+  
+  onNotificationEvent(socket, 'notifications:preferences-update', async (changes) => ({
+    preferences: await updatePreferences(socket, changes)
+  }));
+  
+  // ✅ v2.19.0: Inbox events
+  onNotificationEvent(socket, 'notifications:list', async ({ unreadOnly, limit, before }) => {
+    const keys = socketInboxKeys(socket);
+    const notifications = await inbox.list(keys, { unreadOnly, limit, before });
+    return {
+      notifications: notifications.map(entry => ({ ...entry, data: notificationPayload(entry) })),
+      unread: await inbox.unreadCount(keys)
+    };
+  });
+  
+  onNotificationEvent(socket, 'notifications:ack', async ({ ids }) => {
+    const acked = await inbox.ack(socketInboxKeys(socket), ids);
+    return { acked };
+  });
+  
+  onNotificationEvent(socket, 'notifications:mark-read', async ({ ids, all }) => {
+    if (!ids && !all) throw new CastError(ERROR_CODES.INVALID_PAYLOAD, 'ids or all is required');
+    const keys = socketInboxKeys(socket);
+    const read = await inbox.markRead(keys, all ? null : ids);
+    const unread = await inbox.unreadCount(keys);
+    // Keep badges in sync on the user's other devices
+    emitToRooms(socket, keys, 'notifications:read', { ids: read, unread });
+    return { read, unread };
+  });
+  
+  socket.on('disconnect', asyncHandler('Notifications', async (reason) => {
+    console.log(`🔔 [Notifications] Disconnected: ${maskUserId(socket.userId)} - ${reason}`);
+    metrics.disconnects.inc({ namespace: '/notifications', reason });
+    await dropSubscriptions(socket);
+    
+    if (socket.userId) {
+      await store.removeSocket('user', socket.userId, socket.id);
+      await store.removeSocket('user-client', `${socket.userId}:${socket.clientType}`, socket.id);
+    }
+    
+    if (socket.userEmail) {
+      await store.removeSocket('email', socket.userEmail, socket.id);
+    }
+  }));
+  
+  // Handlers are registered before the presence writes so no event is missed
+  if (socket.userId) {
+    await store.addSocket('user', socket.userId, socket.id);
+    await store.addSocket('user-client', `${socket.userId}:${socket.clientType}`, socket.id);
+  }
+  
+  if (socket.userEmail) {
+    await store.addSocket('email', socket.userEmail, socket.id);
+  }
+  
+  // Disconnected while we were writing: undo so the counts don't go stale
+  if (!socket.connected) {
+    if (socket.userId) await store.removeSocket('user', socket.userId, socket.id);
+    if (socket.userId) await store.removeSocket('user-client', `${socket.userId}:${socket.clientType}`, socket.id);
+    if (socket.userEmail) await store.removeSocket('email', socket.userEmail, socket.id);
+    return;
+  }
+  
+  // ✅ v2.19.0: Catch up on everything sent while this user was offline.
+  // A notification sent during this connect may arrive twice; clients
+  // drop repeats by notificationId.
+  const keys = socketInboxKeys(socket);
+  const prefs = socket.userId ? await preferences.get(socket.userId) : null;
+  // ✅ v2.33.0: Left queued for a client type the user wants pushes on
+  const pending = prefs?.clientTypes && !prefs.clientTypes.includes(socket.clientType) ? [] : await inbox.pending(keys);
+  pending.forEach(entry => socket.emit(entry.event, notificationPayload(entry)));
+  if (pending.length > 0) {
+    await inbox.markDelivered(keys, pending.map(entry => entry.id));
+    console.log(`📬 [Notifications] Delivered ${pending.length} queued to ${maskUserId(socket.userId)}`);
+  }
+  socket.emit('notifications:unread', { count: await inbox.unreadCount(keys) });
+}));
+
+console.log('✅ /notifications namespace initialized');
+
+// ═══════════════════════════════════════════════════════════════
+// PLAYBACK STATE - Server is the source of truth for video position
+// ═══════════════════════════════════════════════════════════════
+
+// `position` (seconds) is where the video is at server time `updatedAt`.
+// updatedAt may be slightly in the future: play/seek are scheduled
+// PLAYBACK_LEAD_MS ahead so every screen can start on the same frame.
+const newPlayback = () => ({
+  playing: false,
+  position: 0,
+  rate: 1,
+  muted: false,
+  updatedAt: Date.now()
+});
+
+const playbackPosition = (playback, now = Date.now()) => {
+  if (!playback.playing) return playback.position;
+  return playback.position + (Math.max(0, now - playback.updatedAt) / 1000) * playback.rate;
+};
+
+// What clients receive: "at server time `at`, be at `position` and play/pause"
+const playbackInstruction = (playback, now = Date.now()) => ({
+  playing: playback.playing,
+  position: playback.updatedAt > now ? playback.position : playbackPosition(playback, now),
+  rate: playback.rate,
+  muted: playback.muted,
+  at: Math.max(playback.updatedAt, now),
+  serverTime: now
+});
+
+// Applies `change(playback, now)` to the session and returns the instruction to broadcast
+const updatePlayback = async (sessionId, change) => {
+  const now = Date.now();
+  const session = await store.updateSession(sessionId, (current) => {
+    if (!current) return undefined;
+    return { ...current, playback: change(current.playback || newPlayback(), now), lastUpdate: now };
+  });
+  return session?.playback ? playbackInstruction(session.playback, now) : null;
+};
+
+// Join acknowledgement: everything a late joiner needs to sync up
+const joinResult = (sessionId, session) => ({
+  serverTime: Date.now(),
+  state: session ? buildSessionSnapshot(sessionId, session) : null
+});
+
+// ═══════════════════════════════════════════════════════════════
+// MEDIA PROXY - Signed, expiring links instead of raw file URLs
+// ═══════════════════════════════════════════════════════════════
+
+// Clients never see a file's own URL, only /media/<token>. The token is an
+// HMAC of session, audience, media epoch and URL, so a file keeps the same
+// link while it is being cast; media:<token> maps it back and expires
+// MEDIA_TOKEN_TTL_MS after the link was last sent. Bumping session.mediaEpoch
+// (cast-stop) revokes every link of the session; so does the session ending.
+
+const MEDIA_KINDS = ['control', 'projector', 'viewer'];
+const MEDIA_PATH = /\/media\/([\w-]{43})$/;
+// Upstream headers a media element needs for seeking and caching decisions
+const MEDIA_PROXY_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+// Links are bound to the audience the socket's token was issued for
+const mediaKind = (role) => (role === 'projector' || role === 'viewer' ? role : 'control');
+const mediaRoom = (sessionId, kind) => `${sessionId}:media:${kind}`;
+
+// Joins the session room plus the room of the socket's audience
+const joinSession = (socket, sessionId) => {
+  socket.join([sessionId, mediaRoom(sessionId, mediaKind(socket.castAuth.role))]);
+};
+
+// Every string under a `url` key, at any depth
+const collectUrls = (value, urls = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectUrls(item, urls));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      if (key === 'url' && typeof child === 'string') urls.add(child);
+      else collectUrls(child, urls);
+    });
+  }
+  return urls;
+};
+
+const replaceUrls = (value, replacements) => {
+  if (Array.isArray(value)) return value.map(item => replaceUrls(item, replacements));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+    key,
+    key === 'url' && typeof child === 'string' ? replacements.get(child) : replaceUrls(child, replacements)
+  ]));
+};
+
+// Copy of `payload` with each url replaced by `await fn(url)`
+const mapUrls = async (payload, fn) => {
+  const urls = [...collectUrls(payload)];
+  if (urls.length === 0) return payload;
+  const mapped = await Promise.all(urls.map(fn));
+  return replaceUrls(payload, new Map(urls.map((url, i) => [url, mapped[i]])));
+};
+
+const signMediaUrl = async (sessionId, kind, epoch, url) => {
+  // blob:, data: and relative URLs can't be fetched from here
+  if (!/^https?:\/\//i.test(url)) return url;
+  const token = crypto.createHmac('sha256', CAST_TOKEN_SECRET)
+    .update(`${sessionId}\n${kind}\n${epoch}\n${url}`)
+    .digest('base64url');
+  await store.setTemp(`media:${token}`, { sessionId, role: kind, epoch, url }, MEDIA_TOKEN_TTL_MS);
+  return `${MEDIA_BASE_URL}/media/${token}`;
+};
+
+// `payload` as `kind` gets to see it. Pass the session when at hand to save a read.
+const signMedia = async (sessionId, kind, payload, session = null) => {
+  if (!MEDIA_PROXY || collectUrls(payload).size === 0) return payload;
+  const epoch = (session || await store.getSession(sessionId))?.mediaEpoch || 0;
+  return mapUrls(payload, url => signMediaUrl(sessionId, kind, epoch, url));
+};
+
+// Inbound: a link this session handed out stands for the original URL
+const resolveMedia = async (sessionId, payload) => {
+  if (!MEDIA_PROXY || !sessionId) return payload;
+  return mapUrls(payload, async (url) => {
+    const [, token] = url.match(MEDIA_PATH) || [];
+    const record = token ? await store.getTemp(`media:${token}`) : null;
+    return record?.sessionId === sessionId ? record.url : url;
+  });
+};
+
+// Like io.to(sessionId).emit(), with each audience getting its own links.
+// except: socket ids to leave out, e.g. the sender
+const emitMedia = async (sessionId, event, payload, { session = null, except = [] } = {}) => {
+  await Promise.all(MEDIA_KINDS.map(async (kind) => {
+    const signed = await signMedia(sessionId, kind, payload, session);
+    io.to(mediaRoom(sessionId, kind)).except(except).emit(event, signed);
+  }));
+};
+
+// Every link handed out so far stops working
+const revokeMedia = async (sessionId) => {
+  await store.updateSession(sessionId, (current) => {
+    if (!current) return undefined;
+    return { ...current, mediaEpoch: (current.mediaEpoch || 0) + 1 };
+  });
+};
+
+// ✅ v2.35.1: Only MEDIA_PROXY_HOSTS, only public addresses, every redirect checked again
+const upstream = createUpstream({ allowedHosts: MEDIA_PROXY_HOSTS, allowPrivate: MEDIA_PROXY_ALLOW_PRIVATE });
+
+if (env.MEDIA_PROXY !== 'false' && MEDIA_PROXY_HOSTS.length === 0) {
+  console.warn('⚠️ MEDIA_PROXY_HOSTS not set - file URLs are sent unchanged instead of as /media links');
+}
+
+// Streams the file behind a link. Range and If-Range go upstream unchanged,
+// so players can seek without downloading the whole file.
+app.get('/media/:token', asyncRoute(async (req, res) => {
+  const record = await store.getTemp(`media:${req.params.token}`);
+  const session = record ? await store.getSession(record.sessionId) : null;
+  if (!session || (session.mediaEpoch || 0) !== record.epoch) {
+    metrics.mediaRequests.inc({ role: record?.role || 'unknown', status: 'revoked' });
+    return res.status(410).json({ error: 'Media link expired or revoked' });
+  }
+  
+  // Stop pulling from upstream as soon as the player goes away
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+  
+  let file;
+  try {
+    file = await upstream.open(record.url, {
+      method: req.method === 'HEAD' ? 'HEAD' : 'GET',
+      headers: compact({ range: req.headers.range, 'if-range': req.headers['if-range'], 'accept-encoding': 'identity' }),
+      signal: abort.signal
+    });
+  } catch (err) {
+    if (abort.signal.aborted) return;
+    if (err instanceof UpstreamError) {
+      console.log(`🚫 [Media] Refused upstream for session ${record.sessionId.slice(0, 12)}***: ${err.message}`);
+      metrics.mediaRequests.inc({ role: record.role, status: err.reason });
+      return res.status(403).json({ error: 'File host not allowed' });
+    }
+    console.error('❌ [Media] Upstream request failed:', err.message);
+    metrics.mediaRequests.inc({ role: record.role, status: 'upstream_error' });
+    return res.status(502).json({ error: 'Could not load the file' });
+  }
+  
+  metrics.mediaRequests.inc({ role: record.role, status: String(file.statusCode) });
+  res.status(file.statusCode);
+  MEDIA_PROXY_HEADERS.forEach((name) => {
+    const value = file.headers[name];
+    if (value) res.setHeader(name, value);
+  });
+  // Per-audience, revocable links: shared caches must not keep the bytes
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length');
+  
+  if (req.method === 'HEAD') {
+    file.resume();
+    return res.end();
+  }
+  file.on('error', () => res.destroy()).pipe(res);
+}));
+
+// ═══════════════════════════════════════════════════════════════
+// QUEUE - Apply a lib/playlist operation and broadcast the result
+// ═══════════════════════════════════════════════════════════════
+
+// Sends the current file as a cast-update to the whole room, sender included:
+// the server made the change, so nobody has it yet
+const broadcastCurrentFile = async (sessionId, session) => {
+  if (session.currentFile) {
+    await emitMedia(sessionId, 'cast-update', { sessionId, ...session.currentFile }, { session });
+  } else {
+    io.to(sessionId).emit('cast-stop');
+    await revokeMedia(sessionId);
+  }
+};
+
+const applyQueueChange = async (sessionId, change) => {
+  let previousItemId = null;
+  const session = await store.updateSession(sessionId, (current) => {
+    if (!current) return undefined;
+    previousItemId = current.queue?.currentItemId || null;
+    const next = change(current);
+    // ✅ v2.27.0: A new current item goes to every display again
+    if (!next || (next.queue?.currentItemId || null) === previousItemId) return next;
+    return { ...next, displays: mirrorDisplays(next) };
+  });
+  if (!session) throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, 'Session has ended');
+  
+  const queue = playlist.queueState(session);
+  await emitMedia(sessionId, 'queue-updated', { sessionId, ...queue }, { session });
+  if (queue.currentItemId !== previousItemId) {
+    await broadcastCurrentFile(sessionId, session);
+    // New item on screen: its slideshow clock starts now
+    if (session.slideshow?.enabled) await scheduleSlideshow(sessionId);
+  }
+  return { queue };
+};
+
+// ═══════════════════════════════════════════════════════════════
+// SLIDESHOW - Server runs the clock, projectors just render
+// ═══════════════════════════════════════════════════════════════
+
+const newSlideshow = () => ({
+  enabled: false,
+  paused: false,
+  interval: 5,             // seconds per item unless the file has its own `duration`
+  waitForVideos: true,     // videos advance on video-ended instead of the timer
+  nextAdvanceAt: null,     // server time of the next advance, null while waiting/paused
+  remainingMs: null        // time left on the current item while paused
+});
+
+// Timers are local to this node. Each one remembers the nextAdvanceAt it was
+// armed for, so a timer made stale by a change on another node does nothing.
+const slideshowTimers = new Map();
+
+const slideshowState = (session) => {
+  const show = { ...newSlideshow(), ...session.slideshow };
+  return {
+    enabled: show.enabled,
+    paused: show.paused,
+    interval: show.interval,
+    waitForVideos: show.waitForVideos,
+    nextAdvanceAt: show.nextAdvanceAt
+  };
+};
+
+const clearSlideshowTimer = (sessionId) => {
+  clearTimeout(slideshowTimers.get(sessionId));
+  slideshowTimers.delete(sessionId);
+};
+
+const isVideoFile = (file) => {
+  if (!file) return false;
+  if (file.mimeType?.startsWith('video/') || file.type === 'video') return true;
+  return /\.(mp4|webm|mov|m4v|mkv|avi)$/i.test(file.fileName || file.url || '');
+};
+
+const currentQueueFile = (session) => {
+  const itemId = session.queue?.currentItemId;
+  return session.fileList?.find(f => f.itemId === itemId) || session.currentFile;
+};
+
+const broadcastSlideshow = (sessionId, session) => {
+  const state = slideshowState(session);
+  io.to(sessionId).emit('slideshow-state', { sessionId, ...state });
+  // Older projectors only listen for slideshow-control; serverDriven tells
+  // them not to run a timer of their own
+  io.to(sessionId).emit('slideshow-control', { enabled: state.enabled, interval: state.interval, serverDriven: true });
+};
+
+// Arms the timer for the current item. delayMs overrides the item's duration
+// (used when resuming with time left). Video items wait for video-ended.
+const scheduleSlideshow = async (sessionId, delayMs) => {
+  clearSlideshowTimer(sessionId);
+  let nextAdvanceAt = null;
+  
+  const session = await store.updateSession(sessionId, (current) => {
+    const show = current && { ...newSlideshow(), ...current.slideshow };
+    if (!show?.enabled || show.paused) return undefined;
+    
+    const file = currentQueueFile(current);
+    const waiting = show.waitForVideos && isVideoFile(file);
+    const ms = delayMs ?? (file?.duration || show.interval) * 1000;
+    nextAdvanceAt = waiting ? null : Date.now() + ms;
+    return { ...current, slideshow: { ...show, nextAdvanceAt, remainingMs: null } };
+  });
+  if (!session?.slideshow?.enabled || session.slideshow.paused) return;
+  
+  if (nextAdvanceAt) {
+    const armedFor = nextAdvanceAt;
+    slideshowTimers.set(sessionId, setTimeout(
+      asyncHandler('Slideshow', () => advanceSlideshow(sessionId, armedFor)),
+      nextAdvanceAt - Date.now()
+    ));
+  }
+  broadcastSlideshow(sessionId, session);
+};
+
+// armedFor: the nextAdvanceAt the timer was set for, or null when a video ended
+const advanceSlideshow = async (sessionId, armedFor) => {
+  if (armedFor) slideshowTimers.delete(sessionId);
+  const session = await store.getSession(sessionId);
+  const show = session?.slideshow;
+  if (!show?.enabled || show.paused || show.nextAdvanceAt !== armedFor) return;
+  
+  const fromItemId = session.queue?.currentItemId;
+  let finished = false;
+  let stale = false;
+  
+  const { queue } = await applyQueueChange(sessionId, (current) => {
+    // Paused, stopped or re-armed since the read above
+    const latest = current.slideshow;
+    if (!latest?.enabled || latest.paused || latest.nextAdvanceAt !== armedFor) {
+      stale = true;
+      return undefined;
+    }
+    const next = playlist.stepQueue(current, 1, { auto: true });
+    if (next !== current) return next;
+    // End of the list with repeat off
+    finished = true;
+    return { ...current, slideshow: { ...current.slideshow, enabled: false, nextAdvanceAt: null } };
+  });
+  
+  if (stale) return;
+  const latest = await store.getSession(sessionId);
+  if (!latest) return;
+  
+  if (finished) {
+    console.log(`🎞️ [Slideshow] Reached the end of session ${sessionId}`);
+    broadcastSlideshow(sessionId, latest);
+  } else if (queue.currentItemId === fromItemId) {
+    // repeat 'one': same item again, applyQueueChange saw no change
+    await broadcastCurrentFile(sessionId, latest);
+    await scheduleSlideshow(sessionId);
+  }
+};
+
+// Turns the slideshow on/off and/or changes settings, then (re)arms the clock
+const configureSlideshow = async (sessionId, changes) => {
+  const session = await store.updateSession(sessionId, (current) => {
+    if (!current) throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, 'Session has ended');
+    const show = { ...newSlideshow(), ...current.slideshow };
+    const enabled = changes.enabled ?? show.enabled;
+    return {
+      ...current,
+      slideshow: {
+        ...show,
+        ...changes,
+        enabled,
+        paused: enabled ? show.paused && changes.enabled === undefined : false,
+        nextAdvanceAt: enabled ? show.nextAdvanceAt : null
+      }
+    };
+  });
+  
+  if (session.slideshow.enabled && !session.slideshow.paused) {
+    await scheduleSlideshow(sessionId);
+  } else {
+    clearSlideshowTimer(sessionId);
+    broadcastSlideshow(sessionId, session);
+  }
+  return { slideshow: slideshowState(await store.getSession(sessionId)) };
+};
+
+// ═══════════════════════════════════════════════════════════════
+// RECONNECT GRACE - Projector/host slots survive short disconnects
+// ═══════════════════════════════════════════════════════════════
+
+const buildSessionSnapshot = (sessionId, session) => ({
+  sessionId,
+  currentFile: session.currentFile,
+  fileList: session.fileList,
+  queue: playlist.queueState(session),
+  slideshow: slideshowState(session),
+  admission: admissionState(session),
+  chat: chatState(session),
+  markup: markupOf(session, session.currentFile?.url),
+  recording: session.recording || null,
+  replay: session.replay || null,
+  playback: session.playback ? playbackInstruction(session.playback) : null,
+  viewerCount: session.viewers?.length || 0,
+  viewers: session.viewerInfo || [],
+  hasProjector: hasDisplay(session),
+  displays: displayStatus(session),
+  hasHost: !!session.host,
+  away: Object.keys(session.away || {})
+});
+
+// Puts the socket into the host slot. A matching resumeToken
+// reclaims an away slot and gets the full state back in session-state.
+const claimRoleSlot = async (socket, sessionId, role, resumeToken) => {
+  const freshToken = crypto.randomBytes(16).toString('hex');
+  let resumed = false;
+  let wasAway = false;
+  
+  const session = await store.updateSession(sessionId, (current) => {
+    if (!current) {
+      resumed = false;
+      wasAway = false;
+      return newSession({
+        [role]: socket.id,
+        owner: socket.castAuth.userId,
+        resumeTokens: { [role]: freshToken }
+      });
+    }
+    
+    const { [role]: awaySince, ...away } = current.away || {};
+    wasAway = !!awaySince;
+    resumed = !!resumeToken && current.resumeTokens?.[role] === resumeToken;
+    
+    return {
+      ...current,
+      [role]: socket.id,
+      away,
+      resumeTokens: { ...current.resumeTokens, [role]: resumed ? resumeToken : freshToken },
+      lastUpdate: Date.now()
+    };
+  });
+  
+  socket.emit('session-resume-token', { sessionId, role, resumeToken: session.resumeTokens[role] });
+  
+  if (wasAway) {
+    console.log(`🔁 [Cast] ${role} back for session ${sessionId} (resumed: ${resumed})`);
+    socket.to(sessionId).emit(`${role}-back`, { sessionId });
+  }
+  if (resumed) {
+    socket.emit('session-state', await signMedia(sessionId, mediaKind(role), buildSessionSnapshot(sessionId, session), session));
+  }
+  
+  return session;
+};
+
+// Node-local timers stop() has to clear: grace periods and pointer flushes.
+// None are armed once the server is closed.
+const localTimers = new Set();
+
+const setLocalTimer = (fn, ms) => {
+  if (draining?.closed) return null;
+  const timer = setTimeout(() => {
+    localTimers.delete(timer);
+    fn();
+  }, ms);
+  localTimers.add(timer);
+  return timer;
+};
+
+const clearLocalTimer = (timer) => {
+  clearTimeout(timer);
+  localTimers.delete(timer);
+};
+
+// Called when the host socket drops: keep the session, tell the room,
+// and only tear down if the role has not come back within the grace period.
+const markRoleAway = async (socket, sessionId, role) => {
+  const since = Date.now();
+  const session = await store.updateSession(sessionId, (current) => {
+    // Slot already taken over by another socket
+    if (!current || current[role] !== socket.id) return undefined;
+    return { ...current, [role]: null, away: { ...current.away, [role]: since } };
+  });
+  if (session?.away?.[role] !== since) return;
+  
+  console.log(`⏳ [Cast] ${role} away for session ${sessionId}, grace ${RECONNECT_GRACE_MS}ms`);
+  io.to(sessionId).emit(`${role}-away`, { sessionId, graceMs: RECONNECT_GRACE_MS });
+  
+  setLocalTimer(asyncHandler('Cast', () => expireAwayRole(sessionId, role, since)), RECONNECT_GRACE_MS);
+};
+
+const expireAwayRole = async (sessionId, role, since) => {
+  const session = await store.getSession(sessionId);
+  if (session?.away?.[role] !== since) return;
+  
+  console.log(`⌛ [Cast] ${role} did not come back to session ${sessionId}`);
+  
+  io.to(sessionId).emit('cast-stop');
+  const updated = await store.updateSession(sessionId, (current) => {
+    if (!current || current.away?.[role] !== since) return undefined;
+    const { [role]: _, ...away } = current.away;
+    return { ...current, away, currentFile: null, fileList: [], mediaEpoch: (current.mediaEpoch || 0) + 1 };
+  });
+  if (updated && !hasDisplay(updated) && !updated.host && !updated.main) {
+    await store.deleteSession(sessionId);
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// DISPLAYS - Several named projector screens per session
+// ═══════════════════════════════════════════════════════════════
+
+// session.displays: displayId -> {
+//   socketId, name, groups,
+//   currentFile   null while the display mirrors session.currentFile
+//   awaySince     set while its socket is gone (RECONNECT_GRACE_MS)
+//   resumeToken
+// }
+const displaysOf = (session) => session?.displays || {};
+
+// Any screen with a live socket (what `session.projector` used to mean)
+const hasDisplay = (session) => Object.values(displaysOf(session)).some(display => !display.awaySince);
+
+const displayFile = (session, displayId) => displaysOf(session)[displayId]?.currentFile || session.currentFile;
+
+// What /sessions, the admin API and snapshots show; resume tokens stay on the server
+const displayStatus = (session) => Object.entries(displaysOf(session)).map(([displayId, display]) => ({
+  displayId,
+  name: display.name,
+  groups: display.groups,
+  connected: !display.awaySince,
+  awaySince: display.awaySince || null,
+  mirrored: !display.currentFile,
+  currentFile: displayFile(session, displayId) || null
+}));
+
+const broadcastDisplays = async (sessionId, session) => {
+  const payload = await signMedia(sessionId, 'control', { sessionId, displays: displayStatus(session) }, session);
+  io.to(controlRoom(sessionId)).emit('displays-updated', payload);
+};
+
+// Back to mirror mode: every display shows session.currentFile again
+const mirrorDisplays = (session) => Object.fromEntries(
+  Object.entries(displaysOf(session)).map(([displayId, display]) => [displayId, { ...display, currentFile: null }])
+);
+
+// displayIds named in `displays` plus every member of `group`
+const resolveDisplayTargets = (session, { displays = [], group }) => {
+  const known = displaysOf(session);
+  const unknown = displays.find(displayId => !known[displayId]);
+  if (unknown) throw new CastError(ERROR_CODES.DISPLAY_NOT_FOUND, `No display ${unknown}`);
+  
+  const members = group ? Object.keys(known).filter(displayId => known[displayId].groups.includes(group)) : [];
+  if (group && members.length === 0) {
+    throw new CastError(ERROR_CODES.DISPLAY_NOT_FOUND, `No display in group ${group}`);
+  }
+  const targets = [...new Set([...displays, ...members])];
+  if (targets.length === 0) throw new CastError(ERROR_CODES.DISPLAY_NOT_FOUND, 'No displays selected');
+  return targets;
+};
+
+const nextDisplayId = (displays) => {
+  let n = 1;
+  while (displays[`display-${n}`]) n++;
+  return `display-${n}`;
+};
+
+// Puts the socket into a display slot: `displayId` when given, otherwise the
+// display whose resumeToken it presents, otherwise a new one. A second screen
+// no longer replaces the first.
+const claimDisplay = async (socket, sessionId, { displayId, displayName, groups, resumeToken }) => {
+  const freshToken = crypto.randomBytes(16).toString('hex');
+  let claimedId = null;
+  let resumed = false;
+  let wasAway = false;
+  
+  const session = await store.updateSession(sessionId, (current) => {
+    const base = current || newSession({ owner: socket.castAuth.userId });
+    const displays = displaysOf(base);
+    const ids = Object.keys(displays);
+    
+    claimedId = displayId
+      || ids.find(id => resumeToken && displays[id].resumeToken === resumeToken)
+      || nextDisplayId(displays);
+    const existing = displays[claimedId];
+    if (!existing && ids.length >= MAX_DISPLAYS_PER_SESSION) {
+      throw new CastError(ERROR_CODES.SESSION_FULL, `At most ${MAX_DISPLAYS_PER_SESSION} displays per session`);
+    }
+    wasAway = !!existing?.awaySince;
+    resumed = !!resumeToken && existing?.resumeToken === resumeToken;
+    // ✅ v2.35.1: A display that is connected or within its grace period is only
+    // taken over with its resume token; every projector of the session has the same cast token
+    const held = existing && existing.socketId !== socket.id
+      && (existing.socketId || Date.now() - existing.awaySince < RECONNECT_GRACE_MS);
+    if (held && !resumed) {
+      throw new CastError(ERROR_CODES.DISPLAY_IN_USE, `Display ${claimedId} is in use; rejoin with its resumeToken`);
+    }
+    
+    const display = {
+      name: displayName || existing?.name || `Display ${ids.length + 1}`,
+      groups: groups || existing?.groups || [],
+      currentFile: existing?.currentFile || null,
+      socketId: socket.id,
+      awaySince: null,
+      resumeToken: resumed ? resumeToken : freshToken
+    };
+    return { ...base, displays: { ...displays, [claimedId]: display }, lastUpdate: Date.now() };
+  });
+  
+  const { resumeToken: token } = session.displays[claimedId];
+  socket.emit('session-resume-token', { sessionId, role: 'projector', displayId: claimedId, resumeToken: token });
+  
+  if (wasAway) {
+    console.log(`🔁 [Cast] Display ${claimedId} back for session ${sessionId} (resumed: ${resumed})`);
+    socket.to(sessionId).emit('projector-back', { sessionId, displayId: claimedId });
+  }
+  if (resumed) {
+    socket.emit('session-state', await signMedia(sessionId, 'projector', buildSessionSnapshot(sessionId, session), session));
+  }
+  
+  return { session, displayId: claimedId };
+};
+
+// Like markRoleAway, per display: the others keep playing meanwhile
+const markDisplayAway = async (socket, sessionId, displayId) => {
+  const since = Date.now();
+  const session = await store.updateSession(sessionId, (current) => {
+    const display = displaysOf(current)[displayId];
+    // Display already taken over by another socket
+    if (!display || display.socketId !== socket.id) return undefined;
+    return { ...current, displays: { ...current.displays, [displayId]: { ...display, socketId: null, awaySince: since } } };
+  });
+  if (displaysOf(session)[displayId]?.awaySince !== since) return;
+  
+  console.log(`⏳ [Cast] Display ${displayId} away for session ${sessionId}, grace ${RECONNECT_GRACE_MS}ms`);
+  io.to(sessionId).emit('projector-away', { sessionId, displayId, graceMs: RECONNECT_GRACE_MS });
+  await broadcastDisplays(sessionId, session);
+  
+  setLocalTimer(asyncHandler('Cast', () => expireAwayDisplay(sessionId, displayId, since)), RECONNECT_GRACE_MS);
+};
+
+const expireAwayDisplay = async (sessionId, displayId, since) => {
+  const session = await store.updateSession(sessionId, (current) => {
+    if (displaysOf(current)[displayId]?.awaySince !== since) return undefined;
+    const { [displayId]: _, ...displays } = current.displays;
+    return { ...current, displays };
+  });
+  if (!session || session.displays[displayId]) return;
+  
+  console.log(`⌛ [Cast] Display ${displayId} did not come back to session ${sessionId}`);
+  io.to(sessionId).emit('display-disconnected', { sessionId, displayId });
+  
+  // The session ends with its last display, as it did with a single projector
+  if (Object.keys(session.displays).length > 0) {
+    await broadcastDisplays(sessionId, session);
+    return;
+  }
+  io.to(sessionId).emit('projector-disconnected');
+  await store.deleteSession(sessionId);
+};
+
+// cast-update with `displays` and/or `group`: only those screens change and
+// leave mirror mode until the next untargeted cast-update
+const castToDisplays = async (sessionId, data) => {
+  const { url, fileName, mimeType, index, total, group } = data;
+  const currentFile = compact({ url, fileName, mimeType, index, total });
+  let targets = [];
+  
+  const session = await store.updateSession(sessionId, (current) => {
+    targets = resolveDisplayTargets(current, data);
+    const displays = { ...current.displays };
+    targets.forEach(displayId => { displays[displayId] = { ...displays[displayId], currentFile }; });
+    return { ...current, displays, lastUpdate: Date.now() };
+  });
+  
+  console.log(`📤 Cast update: ${currentFile.fileName} to display(s) ${targets.join(', ')} in ${sessionId}`);
+  const socketIds = targets.map(displayId => session.displays[displayId].socketId).filter(Boolean);
+  if (socketIds.length > 0) {
+    const update = compact({ sessionId, ...currentFile, displays: targets, group });
+    io.to(socketIds).emit('cast-update', await signMedia(sessionId, 'projector', update, session));
+  }
+  await broadcastDisplays(sessionId, session);
+  return { displays: targets };
+};
+
+// ═══════════════════════════════════════════════════════════════
+// HELPER: Send viewer count to a socket
+// ═══════════════════════════════════════════════════════════════
+
+const sendViewerCount = async (socket, sessionId) => {
+  const session = await store.getSession(sessionId);
+  const viewerCount = session?.viewers?.length || 0;
+  const viewers = session?.viewerInfo || [];
+  console.log(`👁️ [Cast] Sending viewer count to ${socket.id}: ${viewerCount} viewers`);
+  socket.emit('viewer-count', { count: viewerCount, sessionId, viewers });
+};
+
+// Removes a viewer socket from the session and pushes the new count to the room
+const removeViewer = async (socket, sessionId) => {
+  let wasWaiting = false;
+  let hadHandUp = false;
+  const session = await store.updateSession(sessionId, (current) => {
+    if (!current) return undefined;
+    wasWaiting = (current.pendingViewers || []).some(v => v.socketId === socket.id);
+    hadHandUp = (current.raisedHands || []).some(h => h.socketId === socket.id);
+    return {
+      ...current,
+      viewers: (current.viewers || []).filter(id => id !== socket.id),
+      viewerInfo: (current.viewerInfo || []).filter(v => v.socketId !== socket.id),
+      pendingViewers: (current.pendingViewers || []).filter(v => v.socketId !== socket.id),
+      raisedHands: (current.raisedHands || []).filter(h => h.socketId !== socket.id)
+    };
+  });
+  if (!session) return;
+  if (wasWaiting) sendAdmissionQueue(sessionId, session);
+  if (hadHandUp) broadcastRaisedHands(sessionId, session);
+  
+  // ✅ v2.10.0: Send updated viewer count with viewer info on disconnect
+  io.to(sessionId).emit('viewer-count', { 
+    count: session.viewers.length, 
+    sessionId,
+    viewers: session.viewerInfo
+  });
+};
+
+// ═══════════════════════════════════════════════════════════════
+// VIEWER ADMISSION - Waiting room, passcode and viewer cap
+// ═══════════════════════════════════════════════════════════════
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const newAdmission = () => ({
+  mode: 'open',       // 'approval': viewers wait until host/controller/main accepts them
+  maxViewers: 0,      // 0 = no limit
+  passcode: null      // { salt, hash } - the plain passcode is never stored
+});
+
+const admissionOf = (session) => ({ ...newAdmission(), ...session.admission });
+
+// What clients and the admin API get to see
+const admissionState = (session) => {
+  const admission = admissionOf(session);
+  return {
+    mode: admission.mode,
+    maxViewers: admission.maxViewers,
+    hasPasscode: !!admission.passcode,
+    pendingCount: session.pendingViewers?.length || 0
+  };
+};
+
+// Open sessions without a passcode keep the old behaviour: any viewer token can watch
+const canViewerSee = (session, socketId) => {
+  const admission = admissionOf(session);
+  if (admission.mode === 'open' && !admission.passcode) return true;
+  return (session.viewers || []).includes(socketId);
+};
+
+const isSessionFull = (session) => {
+  const { maxViewers } = admissionOf(session);
+  const viewers = session.viewers?.length || 0;
+  return viewers >= MAX_VIEWERS_PER_SESSION || (maxViewers > 0 && viewers >= maxViewers);
+};
+
+const hashPasscode = async (passcode, salt = crypto.randomBytes(16).toString('hex')) => ({
+  salt,
+  hash: (await scrypt(passcode, salt, 32)).toString('hex')
+});
+
+const checkPasscode = async (session, passcode) => {
+  const stored = session && admissionOf(session).passcode;
+  if (!stored) return true;
+  if (!passcode) return false;
+  const { hash } = await hashPasscode(passcode, stored.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(stored.hash, 'hex'));
+};
+
+// Host, controllers and main: the ones who decide who gets in
+const controlRoom = (sessionId) => `${sessionId}:control`;
+
+const publicViewer = ({ userId, ...viewer }) => viewer;
+
+const sendAdmissionQueue = (sessionId, session) => {
+  const pending = (session?.pendingViewers || []).map(publicViewer);
+  io.to(controlRoom(sessionId)).emit('admission-queue', { sessionId, pending });
+};
+
+const joinControlRoom = (socket, sessionId, session) => {
+  socket.join(controlRoom(sessionId));
+  if (session?.pendingViewers?.length) {
+    socket.emit('admission-queue', { sessionId, pending: session.pendingViewers.map(publicViewer) });
+  }
+};
+
+// Moves a viewer (new or waiting) into viewers/viewerInfo
+const withViewer = (session, viewer) => {
+  const viewers = session.viewers || [];
+  const admittedUsers = session.admittedUsers || [];
+  const { socketId, viewerId, displayName, location, joinedAt } = viewer;
+  return {
+    ...session,
+    viewers: viewers.includes(socketId) ? viewers : [...viewers, socketId],
+    viewerInfo: [
+      ...(session.viewerInfo || []).filter(v => v.socketId !== socketId),
+      { socketId, viewerId, displayName, location, joinedAt }
+    ],
+    pendingViewers: (session.pendingViewers || []).filter(v => v.socketId !== socketId),
+    admittedUsers: !viewer.userId || admittedUsers.includes(viewer.userId)
+      ? admittedUsers
+      : [...admittedUsers, viewer.userId],
+    lastUpdate: Date.now()
+  };
+};
+
+// Everyone in the room hears about a viewer once it is in
+const announceViewer = (sessionId, session, viewer) => {
+  io.to(sessionId).emit('viewer-count', {
+    count: session.viewers.length,
+    sessionId,
+    viewers: session.viewerInfo
+  });
+  io.to(sessionId).except(viewer.socketId).emit('viewer-joined', {
+    sessionId,
+    viewerId: viewer.viewerId,
+    timestamp: viewer.joinedAt,
+    userAgent: viewer.userAgent,
+    viewerName: viewer.viewerName,
+    location: viewer.location
+  });
+};
+
+// socketId wins; otherwise the most recent request with that viewerId
+const findPending = (session, { viewerId, socketId }) => {
+  const pending = session.pendingViewers || [];
+  if (socketId) return pending.find(v => v.socketId === socketId) || null;
+  return [...pending].reverse().find(v => v.viewerId === viewerId) || null;
+};
+
+// Returns the admitted viewer, or null when nobody matching was waiting
+const admitPendingViewer = async (sessionId, target) => {
+  let viewer = null;
+  const session = await store.updateSession(sessionId, (current) => {
+    viewer = current && findPending(current, target);
+    if (!viewer) return undefined;
+    if (isSessionFull(current)) throw new CastError(ERROR_CODES.SESSION_FULL, 'Session is full');
+    return withViewer(current, viewer);
+  });
+  if (!viewer) return null;
+  
+  console.log(`✅ [Admission] Viewer ${viewer.viewerId.slice(0, 8)}*** let into ${sessionId}`);
+  // Works across nodes with the Redis adapter
+  io.in(viewer.socketId).socketsJoin([sessionId, mediaRoom(sessionId, 'viewer')]);
+  io.to(viewer.socketId).emit('admission-approved', await signMedia(sessionId, 'viewer', { sessionId, ...joinResult(sessionId, session) }, session));
+  announceViewer(sessionId, session, viewer);
+  sendAdmissionQueue(sessionId, session);
+  return viewer;
+};
+
+const rejectPendingViewer = async (sessionId, target, reason) => {
+  let viewer = null;
+  const session = await store.updateSession(sessionId, (current) => {
+    viewer = current && findPending(current, target);
+    if (!viewer) return undefined;
+    return { ...current, pendingViewers: current.pendingViewers.filter(v => v.socketId !== viewer.socketId) };
+  });
+  if (!viewer) return null;
+  
+  console.log(`🚫 [Admission] Viewer ${viewer.viewerId.slice(0, 8)}*** turned away from ${sessionId}`);
+  io.to(viewer.socketId).emit('admission-rejected', { sessionId, reason });
+  io.in(viewer.socketId).disconnectSockets(true);
+  sendAdmissionQueue(sessionId, session);
+  return viewer;
+};
+
+// ═══════════════════════════════════════════════════════════════
+// VIEWER INTERACTION - Reactions, chat and raised hands
+// ═══════════════════════════════════════════════════════════════
+
+const newChat = () => ({
+  messages: [],      // last CHAT_HISTORY_LIMIT messages, oldest first
+  mutedViewers: [],  // viewerIds that may not chat or react
+  mutedUsers: []     // token userIds behind them; never sent to clients
+});
+
+const chatOf = (session) => ({ ...newChat(), ...session.chat });
+
+// Late joiners get this in the session snapshot
+const chatState = (session) => ({
+  messages: chatOf(session).messages,
+  mutedViewers: chatOf(session).mutedViewers,
+  raisedHands: session.raisedHands || []
+});
+
+const SENDER_NAMES = { host: 'Host', controller: 'Presenter', main: 'Presenter' };
+
+// Viewers show up under the server-generated name, everyone else by role
+const senderOf = (socket, session) => {
+  const { role } = socket.castAuth;
+  if (role !== 'viewer') {
+    return { socketId: socket.id, role, displayName: SENDER_NAMES[role] };
+  }
+  const info = session.viewerInfo?.find(v => v.socketId === socket.id);
+  return {
+    socketId: socket.id,
+    role,
+    viewerId: socket.viewerId,
+    displayName: info?.displayName || getViewerDisplayName(socket.viewerName, null, socket.viewerId || socket.id)
+  };
+};
+
+// ✅ v2.35.1: The token's userId counts too, so another viewerId or connection doesn't lift a mute
+const requireUnmuted = (socket, session) => {
+  if (socket.castAuth.role !== 'viewer') return;
+  const { mutedViewers, mutedUsers } = chatOf(session);
+  if (mutedViewers.includes(socket.viewerId) || mutedUsers.includes(socket.castAuth.userId)) {
+    throw new CastError(ERROR_CODES.MUTED, 'You have been muted by the host');
+  }
+};
+
+// Token userIds of the viewers (in the room or waiting) that go by `viewerId`.
+// socket.data comes along with fetchSockets() from other nodes too.
+const usersOfViewer = async (sessionId, viewerId) => {
+  const sockets = await io.in(sessionId).fetchSockets();
+  const session = await store.getSession(sessionId);
+  const users = [
+    ...sockets.filter(s => s.data.viewerId === viewerId).map(s => s.data.userId),
+    ...(session?.pendingViewers || []).filter(v => v.viewerId === viewerId).map(v => v.userId)
+  ];
+  return [...new Set(users.filter(Boolean))];
+};
+
+// Sliding window per socket; reactions are cheap to send and fan out to the whole room
+const allowReaction = (socket) => {
+  const now = Date.now();
+  socket.reactionTimes = (socket.reactionTimes || []).filter(at => now - at < REACTION_WINDOW_MS);
+  if (socket.reactionTimes.length >= REACTION_LIMIT) return false;
+  socket.reactionTimes.push(now);
+  return true;
+};
+
+// One or more emoji (with skin tones / ZWJ sequences), nothing else
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\u200d|\ufe0f)+$/u;
+
+const broadcastRaisedHands = (sessionId, session) => {
+  io.to(sessionId).emit('raised-hands', { sessionId, raisedHands: session.raisedHands || [] });
+};
+
+// ═══════════════════════════════════════════════════════════════
+// POINTER & ANNOTATIONS - Laser pointer, per-file markup, viewport
+// ═══════════════════════════════════════════════════════════════
+
+// Pointer positions go out at most every POINTER_INTERVAL_MS per socket, as
+// volatile packets. The last position of an interval is sent when it ends, so
+// the pointer comes to rest where the presenter left it.
+const relayPointer = (socket, pointer) => {
+  const throttle = socket.pointerThrottle || (socket.pointerThrottle = { sentAt: 0, latest: null, timer: null });
+  throttle.latest = pointer;
+  if (throttle.timer) return;
+  
+  const flush = () => {
+    throttle.timer = null;
+    throttle.sentAt = Date.now();
+    socket.volatile.to(throttle.latest.sessionId).emit('pointer', throttle.latest);
+  };
+  const waitMs = throttle.sentAt + POINTER_INTERVAL_MS - Date.now();
+  if (waitMs <= 0) flush();
+  else throttle.timer = setLocalTimer(flush, waitMs);
+};
+
+// session.markup: file url -> { strokes, viewport }, so every file keeps its
+// own drawing and zoom when the presenter moves on and comes back
+const newMarkup = () => ({
+  strokes: [],      // { strokeId, points, color, width, tool, socketId, at }, oldest first
+  viewport: null    // { zoom, panX, panY, rotation } or null for the default view
+});
+
+const markupOf = (session, url) => ({ ...newMarkup(), ...(url ? session.markup?.[url] : null) });
+
+// The file an annotation event is about
+const markupUrl = (session, url) => {
+  const target = url || session.currentFile?.url;
+  if (!target) throw new CastError(ERROR_CODES.INVALID_PAYLOAD, 'No file on screen; pass url');
+  return target;
+};
+
+// Applies `change(markup)` to one file. Recently touched files are kept; past
+// ANNOTATION_FILE_LIMIT the markup of the longest untouched ones is dropped.
+const withMarkup = (session, url, change) => {
+  const { [url]: _, ...others } = session.markup || {};
+  const markup = { ...others, [url]: change(markupOf(session, url)) };
+  const urls = Object.keys(markup);
+  urls.slice(0, Math.max(0, urls.length - ANNOTATION_FILE_LIMIT)).forEach(old => delete markup[old]);
+  return { ...session, markup };
+};
+
+// ═══════════════════════════════════════════════════════════════
+// CAST SOCKET HANDLERS
+// ═══════════════════════════════════════════════════════════════
+
+io.use(limitHandshake);
+
+io.use((socket, next) => {
+  const token = socket.handshake.auth?.sessionToken;
+  
+  if (!token) {
+    console.log('🔌 [Cast] No session token provided');
+    metrics.authFailures.inc({ source: 'cast-handshake', reason: 'missing_token' });
+    return next(handshakeError(ERROR_CODES.UNAUTHENTICATED, 'Session token required'));
+  }
+  
+  try {
+    socket.castAuth = verifyCastToken(token);
+    next();
+  } catch (err) {
+    console.error('🔌 [Cast] Auth error:', err.message);
+    metrics.authFailures.inc({ source: 'cast-handshake', reason: 'invalid_token' });
+    next(handshakeError(ERROR_CODES.UNAUTHENTICATED, 'Invalid session token'));
+  }
+});
+
+const handleCastConnection = (socket) => {
+  console.log('🔌 Connected:', socket.id, 'role:', socket.castAuth.role);
+
+  onCastEvent(socket, 'join-projector', async ({ sessionId, resumeToken, displayId, displayName, groups }) => {
+    console.log(`📺 Projector joined: ${sessionId}`);
+    joinSession(socket, sessionId);
+    
+    // ✅ v2.29.0: A registered device is always the same display, under its own name
+    const { deviceId } = socket.castAuth;
+    const device = deviceId ? await devices.get(deviceId) : null;
+    if (deviceId && !device) {
+      throw new CastError(ERROR_CODES.UNAUTHENTICATED, 'Device is no longer registered');
+    }
+    
+    // ✅ v2.27.0: Each projector is its own display
+    const { session, displayId: claimedId } = await claimDisplay(socket, sessionId, {
+      displayId: deviceId || displayId,
+      displayName: displayName || device?.name,
+      groups,
+      resumeToken
+    });
+    if (device) await markDeviceOnline(socket, deviceId, sessionId);
+    
+    socket.sessionId = sessionId;
+    socket.role = 'projector';
+    socket.displayId = claimedId;
+    socket.to(sessionId).emit('projector-ready', { sessionId, displayId: claimedId });
+    await broadcastDisplays(sessionId, session);
+    console.log(`📤 Sent projector-ready to session ${sessionId} (display ${claimedId})`);
+    
+    // A display that was showing its own file picks that up, not the mirrored one
+    const result = joinResult(sessionId, session);
+    return { ...result, displayId: claimedId, state: { ...result.state, currentFile: displayFile(session, claimedId) } };
+  });
+
+  onCastEvent(socket, 'register-host', async ({ sessionId, resumeToken }) => {
+    console.log(`🎬 Host registered: ${sessionId}`);
+    joinSession(socket, sessionId);
+    
+    const session = await claimRoleSlot(socket, sessionId, 'host', resumeToken);
+    
+    socket.sessionId = sessionId;
+    socket.role = 'host';
+    joinControlRoom(socket, sessionId, session);
+    
+    // ✅ v2.9.0: Send current viewer count to new host
+    await sendViewerCount(socket, sessionId);
+    
+    console.log(`✅ Host ${socket.id} registered for session ${sessionId}`);
+    return joinResult(sessionId, session);
+  });
+
+  onCastEvent(socket, 'join-controller', async ({ sessionId }) => {
     console.log(`📱 Controller joined: ${sessionId}`);
-    socket.join(sessionId);
-    
-    if (!sessions.has(sessionId)) {
-      sessions.set(sessionId, { 
-        projector: null, 
-        controllers: [socket.id],
-        viewers: [],
-        main: null,
-        host: null,
-        createdAt: Date.now(),
-        lastUpdate: Date.now(),
-        currentFile: null,
-        fileList: []
-      });
-    } else {
-      const session = sessions.get(sessionId);
-      if (!session.controllers.includes(socket.id)) {
-        session.controllers.push(socket.id);
-      }
-      session.lastUpdate = Date.now();
-      
-      if (session.projector) {
-        console.log(`📤 Projector exists! Sending projector-ready to controller ${socket.id}`);
-        socket.emit('projector-ready', { sessionId, timestamp: Date.now() });
-      }
+    joinSession(socket, sessionId);
+    
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) return newSession({ controllers: [socket.id], owner: socket.castAuth.userId });
+      const controllers = current.controllers.includes(socket.id)
+        ? current.controllers
+        : [...current.controllers, socket.id];
+      return { ...current, controllers, lastUpdate: Date.now() };
+    });
+    
+    if (hasDisplay(session)) {
+      console.log(`📤 Projector exists! Sending projector-ready to controller ${socket.id}`);
+      socket.emit('projector-ready', { sessionId, timestamp: Date.now() });
     }
     
     socket.sessionId = sessionId;
     socket.role = 'controller';
+    joinControlRoom(socket, sessionId, session);
     
     // ✅ v2.9.0: Send current viewer count to new controller
-    sendViewerCount(socket, sessionId);
+    await sendViewerCount(socket, sessionId);
     
     socket.to(sessionId).emit('controller-joined', { socketId: socket.id });
+    return joinResult(sessionId, session);
   });
 
-  socket.on('join-main', ({ sessionId }) => {
+  onCastEvent(socket, 'join-main', async ({ sessionId }) => {
     console.log(`🖥️ Main app joined: ${sessionId}`);
-    socket.join(sessionId);
-    
-    if (!sessions.has(sessionId)) {
-      sessions.set(sessionId, { 
-        projector: null, 
-        controllers: [],
-        viewers: [],
-        main: socket.id,
-        host: null,
-        createdAt: Date.now(),
-        lastUpdate: Date.now(),
-        currentFile: null,
-        fileList: []
-      });
-    } else {
-      const session = sessions.get(sessionId);
-      session.main = socket.id;
-      session.lastUpdate = Date.now();
-      
-      if (session.projector) {
-        console.log(`📤 Projector exists! Sending projector-ready to main ${socket.id}`);
-        socket.emit('projector-ready', { sessionId, timestamp: Date.now() });
-      }
+    joinSession(socket, sessionId);
+    
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) return newSession({ main: socket.id, owner: socket.castAuth.userId });
+      return { ...current, main: socket.id, lastUpdate: Date.now() };
+    });
+    
+    if (hasDisplay(session)) {
+      console.log(`📤 Projector exists! Sending projector-ready to main ${socket.id}`);
+      socket.emit('projector-ready', { sessionId, timestamp: Date.now() });
     }
     
     socket.sessionId = sessionId;
     socket.role = 'main';
+    joinControlRoom(socket, sessionId, session);
     
     // ✅ v2.9.0: Send current viewer count to new main
-    sendViewerCount(socket, sessionId);
+    await sendViewerCount(socket, sessionId);
     
     socket.to(sessionId).emit('main-joined', { socketId: socket.id });
+    return joinResult(sessionId, session);
   });
 
-  socket.on('join-room', ({ room, role }) => {
+  onCastEvent(socket, 'join-room', async ({ room, role }) => {
+    if (role !== socket.castAuth.role) {
+      throw new CastError(ERROR_CODES.FORBIDDEN_ROLE, `Token role is ${socket.castAuth.role}, not ${role}`);
+    }
+    const session = await store.getSession(room);
+    // ✅ v2.23.0: Viewers of a gated session come in through viewer-joined
+    if (role === 'viewer' && session && !canViewerSee(session, socket.id)) {
+      throw new CastError(ERROR_CODES.NOT_ADMITTED, 'Join with viewer-joined to be let in');
+    }
+    
     console.log(`🚪 Socket ${socket.id} joining room ${room} as ${role}`);
-    socket.join(room);
+    joinSession(socket, room);
     
-    if ((role === 'controller' || role === 'main') && sessions.has(room)) {
-      const session = sessions.get(room);
-      if (session.projector) {
+    if ((role === 'controller' || role === 'main') && session) {
+      joinControlRoom(socket, room, session);
+      if (hasDisplay(session)) {
         socket.emit('projector-ready', { sessionId: room, timestamp: Date.now() });
       }
       // ✅ v2.9.0: Send viewer count when joining room as controller/main
-      sendViewerCount(socket, room);
+      await sendViewerCount(socket, room);
     }
+    return joinResult(room, session);
   });
 
-  socket.on('ping-projector', ({ sessionId }) => {
+  onCastEvent(socket, 'ping-projector', async ({ sessionId }) => {
     console.log(`🏓 Ping for session: ${sessionId}`);
-    if (sessions.has(sessionId) && sessions.get(sessionId).projector) {
+    const session = await store.getSession(sessionId);
+    if (hasDisplay(session)) {
       socket.emit('projector-ready', { sessionId, timestamp: Date.now() });
     }
+    return { projectorReady: hasDisplay(session) };
+  });
+  
+  // Projector asks for a new code once the previous one expired or was used
+  onCastEvent(socket, 'pairing-code-request', async ({ sessionId }) => {
+    const { code, expiresAt } = await issuePairingCode(sessionId);
+    console.log(`🔢 [Pair] Refreshed code for session ${sessionId.slice(0, 12)}***`);
+    socket.emit('pairing-code', { sessionId, code, expiresAt });
+    return { code, expiresAt };
   });
   
   // ✅ v2.9.0: Request viewer count explicitly
-  socket.on('get-viewer-count', ({ sessionId }) => {
+  onCastEvent(socket, 'get-viewer-count', async ({ sessionId }) => {
     console.log(`👁️ Viewer count requested for: ${sessionId}`);
-    sendViewerCount(socket, sessionId);
+    await sendViewerCount(socket, sessionId);
   });
 
-socket.on('viewer-joined', (data) => {
-  const { sessionId, viewerId, timestamp, userAgent, viewerName, location } = data;
+onCastEvent(socket, 'viewer-joined', async (data) => {
+  const { sessionId, viewerId, timestamp, userAgent, viewerName, location, passcode } = data;
+  // ✅ v2.35.1: A connection keeps the viewerId it first joined with
+  if (socket.viewerId && socket.viewerId !== viewerId) {
+    throw new CastError(ERROR_CODES.INVALID_PAYLOAD, 'viewerId cannot change on this connection');
+  }
   console.log(`👁️ Viewer joined: ${viewerId?.slice(0, 8)}*** for session ${sessionId?.slice(0, 12)}***`);
-  socket.join(sessionId);
   
-  if (sessions.has(sessionId)) {
-    const session = sessions.get(sessionId);
-    if (!session.viewers) session.viewers = [];
-    if (!session.viewerInfo) session.viewerInfo = [];
-    
-    // Store socket.id for counting
-    if (!session.viewers.includes(socket.id)) session.viewers.push(socket.id);
-    
-    // ✅ v2.10.1: Generate displayName on server (single source of truth)
-    const displayName = getViewerDisplayName(viewerName, location, viewerId);
-    
-    // Store viewer info object with pre-computed displayName
-    const existingIndex = session.viewerInfo.findIndex(v => v.socketId === socket.id);
-    const viewerData = {
-      socketId: socket.id,
-      viewerId,
-      displayName,  // ✅ Pre-computed display name
-      location: location || null,
-      joinedAt: timestamp || Date.now()
-    };
+  // ✅ v2.10.1: Generate displayName on server (single source of truth)
+  const displayName = getViewerDisplayName(viewerName, location, viewerId);
+  
+  // Store viewer info object with pre-computed displayName
+  const viewerData = {
+    socketId: socket.id,
+    viewerId,
+    displayName,  // ✅ Pre-computed display name
+    location: location || null,
+    joinedAt: timestamp || Date.now(),
+    userAgent,
+    viewerName,
+    userId: socket.castAuth.userId
+  };
+  
+  // ✅ v2.23.0: Passcode, viewer cap and waiting room before any file URL is sent
+  if (!await checkPasscode(await store.getSession(sessionId), passcode)) {
+    throw new CastError(ERROR_CODES.INVALID_PASSCODE, 'Wrong or missing passcode');
+  }
+  
+  let waiting = false;
+  const session = await store.updateSession(sessionId, (current) => {
+    if (!current) throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, 'Session has ended');
+    const known = (current.viewers || []).includes(socket.id);
+    const approvedBefore = !!viewerData.userId && (current.admittedUsers || []).includes(viewerData.userId);
     
-    if (existingIndex === -1) {
-      session.viewerInfo.push(viewerData);
-    } else {
-      session.viewerInfo[existingIndex] = viewerData;
+    waiting = admissionOf(current).mode === 'approval' && !known && !approvedBefore;
+    if (waiting) {
+      const pendingViewers = (current.pendingViewers || []).filter(v => v.socketId !== socket.id);
+      return { ...current, pendingViewers: [...pendingViewers, viewerData], lastUpdate: Date.now() };
     }
-    
-    session.lastUpdate = Date.now();
-    
-    // Send viewer count AND viewer info to everyone
-    const viewerCount = session.viewers.length;
-    io.to(sessionId).emit('viewer-count', { 
-      count: viewerCount, 
-      sessionId,
-      viewers: session.viewerInfo 
-    });
-  }
+    if (!known && isSessionFull(current)) {
+      throw new CastError(ERROR_CODES.SESSION_FULL, 'Session is full');
+    }
+    return withViewer(current, viewerData);
+  });
   
   socket.sessionId = sessionId;
   socket.role = 'viewer';
   socket.viewerId = viewerId;
   socket.viewerName = viewerName;
+  socket.data.viewerId = viewerId;
+  socket.data.userId = socket.castAuth.userId;
   
-  // Relay to others in the room (for UI notification)
-  socket.to(sessionId).emit('viewer-joined', { sessionId, viewerId, timestamp, userAgent, viewerName, location });
+  if (waiting) {
+    console.log(`⏳ Viewer ${viewerId.slice(0, 8)}*** waiting for approval in ${sessionId.slice(0, 12)}***`);
+    io.to(controlRoom(sessionId)).emit('viewer-waiting', { sessionId, ...publicViewer(viewerData) });
+    sendAdmissionQueue(sessionId, session);
+    return { admitted: false, serverTime: Date.now() };
+  }
+  
+  joinSession(socket, sessionId);
+  // Send viewer count AND viewer info to everyone, relay the join for UI notification
+  announceViewer(sessionId, session, viewerData);
+  return { admitted: true, ...joinResult(sessionId, session) };
 });
 
-  socket.on('viewer-accepted', (data) => {
-    const { sessionId, viewerId, timestamp } = data;
+  onCastEvent(socket, 'viewer-accepted', async (data) => {
+    const { sessionId, viewerId, socketId, timestamp } = data;
     console.log(`✅ Viewer accepted: ${viewerId}`);
+    // ✅ v2.23.0: Lets a waiting viewer in; in open sessions it is only relayed
+    const viewer = await admitPendingViewer(sessionId, { viewerId, socketId });
     socket.to(sessionId).emit('viewer-accepted', { sessionId, viewerId, timestamp });
+    return { admitted: !!viewer };
+  });
+
+  onCastEvent(socket, 'viewer-rejected', async ({ sessionId, viewerId, socketId, reason }) => {
+    console.log(`🚫 Viewer rejected: ${viewerId}`);
+    const viewer = await rejectPendingViewer(sessionId, { viewerId, socketId }, reason || 'The host declined your request');
+    if (!viewer) throw new CastError(ERROR_CODES.NOT_ADMITTED, 'No such viewer is waiting');
+    return { rejected: true };
+  });
+
+  onCastEvent(socket, 'admission-settings', async ({ sessionId, mode, maxViewers, passcode }) => {
+    console.log(`🚪 Admission settings for ${sessionId}: mode ${mode ?? '-'}, cap ${maxViewers ?? '-'}`);
+    const passcodeChange = passcode === undefined ? {} : { passcode: passcode ? await hashPasscode(passcode) : null };
+    
+    let session = await store.updateSession(sessionId, (current) => {
+      if (!current) throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, 'Session has ended');
+      return {
+        ...current,
+        admission: { ...admissionOf(current), ...compact({ mode, maxViewers }), ...passcodeChange },
+        lastUpdate: Date.now()
+      };
+    });
+    
+    // Opening the doors lets everyone who was waiting in, as far as the cap allows
+    if (admissionOf(session).mode === 'open') {
+      for (const viewer of session.pendingViewers || []) {
+        const target = { socketId: viewer.socketId };
+        try {
+          await admitPendingViewer(sessionId, target);
+        } catch (err) {
+          if (err.code !== ERROR_CODES.SESSION_FULL) throw err;
+          await rejectPendingViewer(sessionId, target, 'Session is full');
+        }
+      }
+      session = await store.getSession(sessionId);
+    }
+    
+    const admission = admissionState(session);
+    io.to(sessionId).emit('admission-updated', { sessionId, ...admission });
+    return { admission };
   });
 
-  socket.on('viewer-navigate', (data) => {
+  onCastEvent(socket, 'viewer-navigate', async (data) => {
     const { sessionId, viewerId, index, fileName } = data;
     console.log(`🔄 Viewer navigate: ${viewerId} to index ${index}`);
     socket.to(sessionId).emit('viewer-navigate', { sessionId, viewerId, index, fileName });
+    
+    // ✅ v2.28.0: The viewer sees the presenter's markup on that file too
+    const session = await store.getSession(sessionId);
+    const file = session?.fileList?.[index];
+    return { markup: markupOf(session || {}, file?.url) };
   });
 
-  socket.on('viewer-left', (data) => {
+  onCastEvent(socket, 'viewer-left', async (data) => {
     const { sessionId, viewerId } = data;
     console.log(`👋 Viewer left: ${viewerId}`);
-    if (sessions.has(sessionId)) {
-      const session = sessions.get(sessionId);
-if (session.viewers) {
-  session.viewers = session.viewers.filter(id => id !== socket.id);
-}
-if (session.viewerInfo) {
-  session.viewerInfo = session.viewerInfo.filter(v => v.socketId !== socket.id);
-}
-// ✅ v2.10.0: Send updated viewer count with viewer info on disconnect
-const viewerCount = session.viewers?.length || 0;
-io.to(socket.sessionId).emit('viewer-count', { 
-  count: viewerCount, 
-  sessionId: socket.sessionId,
-  viewers: session.viewerInfo || []
-});
-    }
+    await removeViewer(socket, sessionId);
     socket.to(sessionId).emit('viewer-left', { viewerId });
   });
 
-  socket.on('cast-update', (data) => {
-    const { sessionId, url, fileName, index, total } = data;
-    console.log(`📤 Cast update: ${fileName} (${index + 1}/${total}) to ${sessionId}`);
+  // ═══════════════════════════════════════════════════════════════
+  // POINTER & ANNOTATIONS
+  // ═══════════════════════════════════════════════════════════════
+
+  // ✅ v2.28.0: Not stored, not logged, thinned out to POINTER_INTERVAL_MS
+  onCastEvent(socket, 'pointer-move', async ({ sessionId, x, y, visible = true }) => {
+    relayPointer(socket, { sessionId, socketId: socket.id, x, y, visible });
+  });
+
+  onCastEvent(socket, 'annotation-stroke', async ({ sessionId, url, points, color, width, tool }) => {
+    if (points.length < 2 || points.length % 2 !== 0) {
+      throw new CastError(ERROR_CODES.INVALID_PAYLOAD, 'points must be x, y pairs');
+    }
+    
+    let target = null;
+    const stroke = {
+      strokeId: crypto.randomUUID(),
+      points,
+      color: color || '#ff3b30',
+      width: width || 4,
+      tool: tool || 'pen',
+      socketId: socket.id,
+      at: Date.now()
+    };
+    await store.updateSession(sessionId, (current) => {
+      target = markupUrl(current, url);
+      return withMarkup(current, target, (markup) => ({
+        ...markup,
+        strokes: [...markup.strokes, stroke].slice(-ANNOTATION_STROKE_LIMIT)
+      }));
+    });
+    
+    await emitMedia(sessionId, 'annotation-stroke', { sessionId, url: target, stroke }, { except: socket.id });
+    return { url: target, stroke };
+  });
+
+  // Removes `strokeId`, or the newest stroke when it is omitted
+  onCastEvent(socket, 'annotation-undo', async ({ sessionId, url, strokeId }) => {
+    let target = null;
+    let removed = null;
+    await store.updateSession(sessionId, (current) => {
+      target = markupUrl(current, url);
+      const { strokes } = markupOf(current, target);
+      removed = strokeId ? strokes.find(s => s.strokeId === strokeId) : strokes[strokes.length - 1];
+      if (!removed) return undefined;
+      return withMarkup(current, target, (markup) => ({
+        ...markup,
+        strokes: markup.strokes.filter(s => s.strokeId !== removed.strokeId)
+      }));
+    });
+    if (!removed) return { url: target, strokeId: null };
+    
+    await emitMedia(sessionId, 'annotation-removed', { sessionId, url: target, strokeId: removed.strokeId });
+    return { url: target, strokeId: removed.strokeId };
+  });
+
+  onCastEvent(socket, 'annotation-clear', async ({ sessionId, url }) => {
+    let target = null;
+    await store.updateSession(sessionId, (current) => {
+      target = markupUrl(current, url);
+      return withMarkup(current, target, (markup) => ({ ...markup, strokes: [] }));
+    });
+    console.log(`🧽 Annotations cleared in ${sessionId.slice(0, 12)}***`);
+    await emitMedia(sessionId, 'annotations-cleared', { sessionId, url: target });
+    return { url: target };
+  });
+
+  // Zoom/pan/rotate; fields that are left out keep their value
+  onCastEvent(socket, 'viewport-change', async ({ sessionId, url, zoom, panX, panY, rotation }) => {
+    let target = null;
+    const session = await store.updateSession(sessionId, (current) => {
+      target = markupUrl(current, url);
+      return withMarkup(current, target, (markup) => ({
+        ...markup,
+        viewport: { zoom: 1, panX: 0, panY: 0, rotation: 0, ...markup.viewport, ...compact({ zoom, panX, panY, rotation }) }
+      }));
+    });
+    
+    const { viewport } = markupOf(session, target);
+    await emitMedia(sessionId, 'viewport', { sessionId, url: target, viewport }, { session, except: socket.id });
+    return { url: target, viewport };
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // RECORDING & REPLAY
+  // ═══════════════════════════════════════════════════════════════
+
+  onCastEvent(socket, 'recording-start', async ({ sessionId }) => {
+    const session = await store.getSession(sessionId);
+    if (session.recording) return session.recording;
+    
+    const recording = await journal.start({ sessionId, owner: session.owner });
+    // Start from what is on screen now so a replay begins in the same place
+    if (session.fileList?.length) {
+      await journal.append(recording.recordingId, 'cast-file-list', {
+        files: session.fileList.map(({ itemId, ...file }) => file)
+      });
+    }
+    if (session.currentFile) {
+      const { url, fileName, index, total } = session.currentFile;
+      await journal.append(recording.recordingId, 'cast-update', compact({ url, fileName, index, total }));
+    }
+    
+    const updated = await store.updateSession(sessionId, (current) => {
+      if (!current || current.recording) return undefined;
+      return { ...current, recording };
+    });
+    // Someone else started one at the same time: keep theirs
+    if (updated?.recording?.recordingId !== recording.recordingId) {
+      await journal.stop(recording.recordingId);
+      return updated.recording;
+    }
+    
+    console.log(`⏺️ Recording ${recording.recordingId} started for ${sessionId}`);
+    io.to(sessionId).emit('recording-state', { sessionId, recording: true, ...recording });
+    return recording;
+  });
+
+  onCastEvent(socket, 'recording-stop', async ({ sessionId }) => {
+    let recording = null;
+    await store.updateSession(sessionId, (current) => {
+      if (!current) return undefined;
+      recording = current.recording;
+      if (!recording) return undefined;
+      return { ...current, recording: null };
+    });
+    if (!recording) return { recordingId: null };
     
-    if (sessions.has(sessionId)) {
-      const session = sessions.get(sessionId);
-      session.currentFile = { url, fileName, index, total };
-      session.lastUpdate = Date.now();
+    await journal.stop(recording.recordingId);
+    console.log(`⏹️ Recording ${recording.recordingId} stopped for ${sessionId}`);
+    io.to(sessionId).emit('recording-state', { sessionId, recording: false, recordingId: recording.recordingId });
+    return { recordingId: recording.recordingId };
+  });
+
+  onCastEvent(socket, 'replay-stop', async ({ sessionId }) => {
+    console.log(`⏹️ Replay stopped for ${sessionId}`);
+    stopReplay(sessionId);
+    // Clearing session.replay also stops a runner on another node
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) return undefined;
+      return { ...current, replay: null };
+    });
+    if (session) io.to(sessionId).emit('replay-ended', { sessionId });
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // VIEWER INTERACTION
+  // ═══════════════════════════════════════════════════════════════
+  
+  // ✅ v2.24.0: Reactions are relayed, not stored
+  onCastEvent(socket, 'reaction-send', async ({ sessionId, emoji }) => {
+    if (!EMOJI_PATTERN.test(emoji)) {
+      throw new CastError(ERROR_CODES.INVALID_PAYLOAD, 'emoji must be an emoji');
     }
-    socket.to(sessionId).emit('cast-update', data);
+    const session = await store.getSession(sessionId);
+    requireUnmuted(socket, session);
+    if (!allowReaction(socket)) {
+      throw new CastError(ERROR_CODES.RATE_LIMITED, 'Too many reactions, slow down');
+    }
+    
+    io.to(sessionId).emit('reaction', { sessionId, emoji, ...senderOf(socket, session), at: Date.now() });
+  });
+
+  onCastEvent(socket, 'chat-send', async ({ sessionId, text }) => {
+    const trimmed = text.trim();
+    if (!trimmed) throw new CastError(ERROR_CODES.INVALID_PAYLOAD, 'text is empty');
+    
+    let message = null;
+    await store.updateSession(sessionId, (current) => {
+      if (!current) throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, 'Session has ended');
+      requireUnmuted(socket, current);
+      const chat = chatOf(current);
+      message = { id: crypto.randomUUID(), ...senderOf(socket, current), text: trimmed, at: Date.now() };
+      return {
+        ...current,
+        chat: { ...chat, messages: [...chat.messages, message].slice(-CHAT_HISTORY_LIMIT) }
+      };
+    });
+    
+    console.log(`💬 Chat in ${sessionId.slice(0, 12)}*** from ${message.displayName}`);
+    io.to(sessionId).emit('chat-message', { sessionId, ...message });
+    return { message };
+  });
+
+  onCastEvent(socket, 'hand-raise', async ({ sessionId, raised }) => {
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, 'Session has ended');
+      const others = (current.raisedHands || []).filter(h => h.socketId !== socket.id);
+      const hand = raised ? [{ ...senderOf(socket, current), at: Date.now() }] : [];
+      return { ...current, raisedHands: [...others, ...hand] };
+    });
+    console.log(`✋ Hand ${raised ? 'raised' : 'lowered'} by ${socket.viewerId} in ${sessionId.slice(0, 12)}***`);
+    broadcastRaisedHands(sessionId, session);
+    return { raised };
+  });
+
+  onCastEvent(socket, 'hand-lower', async ({ sessionId, socketId }) => {
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) return undefined;
+      return { ...current, raisedHands: socketId ? (current.raisedHands || []).filter(h => h.socketId !== socketId) : [] };
+    });
+    if (session) broadcastRaisedHands(sessionId, session);
+  });
+
+  // Moderation
+  onCastEvent(socket, 'chat-mute', async ({ sessionId, viewerId, muted }) => {
+    console.log(`🔇 Viewer ${viewerId} ${muted ? 'muted' : 'unmuted'} in ${sessionId.slice(0, 12)}***`);
+    const users = await usersOfViewer(sessionId, viewerId);
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) return undefined;
+      const chat = chatOf(current);
+      const others = chat.mutedViewers.filter(id => id !== viewerId);
+      const otherUsers = chat.mutedUsers.filter(id => !users.includes(id));
+      return {
+        ...current,
+        chat: {
+          ...chat,
+          mutedViewers: muted ? [...others, viewerId] : others,
+          mutedUsers: muted ? [...otherUsers, ...users] : otherUsers
+        }
+      };
+    });
+    if (session) io.to(sessionId).emit('viewer-muted', { sessionId, viewerId, muted });
+  });
+
+  onCastEvent(socket, 'chat-clear', async ({ sessionId }) => {
+    console.log(`🧽 Chat cleared in ${sessionId.slice(0, 12)}***`);
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) return undefined;
+      return { ...current, chat: { ...chatOf(current), messages: [] } };
+    });
+    if (session) io.to(sessionId).emit('chat-cleared', { sessionId });
+  });
+
+  onCastEvent(socket, 'cast-update', async (data) => {
+    const { sessionId, url, fileName, mimeType, index, total, displays, group } = data;
+    if (displays || group) return castToDisplays(sessionId, data);
+    console.log(`📤 Cast update: ${fileName} (${index + 1}/${total}) to ${sessionId}`);
+    // ✅ v2.35.1: Only known file fields are kept and relayed
+    const file = compact({ url, fileName, mimeType, index, total });
+    
+    const session = await store.updateSession(sessionId, (stored) => {
+      if (!stored) return undefined;
+      // ✅ v2.27.0: Untargeted updates put every display back in mirror mode
+      const current = { ...stored, displays: mirrorDisplays(stored) };
+      // Same file again: keep playback where it is
+      if (current.currentFile?.url === url) {
+        if (current.queue?.currentItemId) return { ...current, lastUpdate: Date.now() };
+        return { ...current, currentFile: file, lastUpdate: Date.now() };
+      }
+      // ✅ v2.17.0: A file from the queue becomes the queue's current item,
+      // so index/total come from the server instead of the client
+      return playlist.adoptCurrentFile(current, url) || {
+        ...current,
+        currentFile: file,
+        queue: { ...current.queue, currentItemId: null },
+        playback: null,
+        lastUpdate: Date.now()
+      };
+    });
+    await emitMedia(sessionId, 'cast-update', { sessionId, ...session.currentFile }, { session, except: socket.id });
+    // Multi-screen controllers show what each display is on
+    if (Object.keys(displaysOf(session)).length > 1) await broadcastDisplays(sessionId, session);
+    if (session.slideshow?.enabled) await scheduleSlideshow(sessionId);
+  });
+  
+  onCastEvent(socket, 'display-settings', async ({ sessionId, displayId, displayName, groups }) => {
+    console.log(`🖥️ Display ${displayId} settings in ${sessionId}`);
+    const session = await store.updateSession(sessionId, (current) => {
+      const display = displaysOf(current)[displayId];
+      if (!display) throw new CastError(ERROR_CODES.DISPLAY_NOT_FOUND, `No display ${displayId}`);
+      const changes = compact({ name: displayName, groups });
+      return { ...current, displays: { ...current.displays, [displayId]: { ...display, ...changes } } };
+    });
+    await broadcastDisplays(sessionId, session);
+    return { displays: displayStatus(session) };
   });
 
-  socket.on('cast-file-list', (data) => {
+  onCastEvent(socket, 'cast-file-list', async (data) => {
     const { sessionId, files } = data;
     console.log(`📋 Cast file list: ${files?.length || 0} files`);
-    if (sessions.has(sessionId)) {
-      sessions.get(sessionId).fileList = files;
-    }
-    socket.to(sessionId).emit('cast-file-list', data);
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) return undefined;
+      return playlist.setFileList(current, files);
+    });
+    // Relay the list with server-assigned itemIds
+    await emitMedia(sessionId, 'cast-file-list', { sessionId, files: playlist.queueState(session).files }, { session, except: socket.id });
+    await emitMedia(sessionId, 'queue-updated', { sessionId, ...playlist.queueState(session) }, { session });
+    return { queue: playlist.queueState(session) };
   });
 
-  socket.on('cast-stop', ({ sessionId }) => {
+  onCastEvent(socket, 'cast-stop', async ({ sessionId }) => {
     console.log(`⏹️ Cast stopped: ${sessionId}`);
-    if (sessions.has(sessionId)) {
-      const session = sessions.get(sessionId);
-      session.currentFile = null;
-      session.fileList = [];
-    }
+    await store.updateSession(sessionId, (session) => {
+      if (!session) return undefined;
+      return {
+        ...session,
+        currentFile: null,
+        fileList: [],
+        queue: playlist.newQueue(),
+        playback: null,
+        slideshow: { ...newSlideshow(), interval: session.slideshow?.interval || newSlideshow().interval },
+        displays: mirrorDisplays(session),
+        markup: {},
+        // ✅ v2.30.0: Links to what was on screen stop working
+        mediaEpoch: (session.mediaEpoch || 0) + 1
+      };
+    });
+    clearSlideshowTimer(sessionId);
     socket.to(sessionId).emit('cast-stop');
   });
 
@@ -612,114 +3589,396 @@ io.to(socket.sessionId).emit('viewer-count', {
   // VIDEO CONTROL RELAY HANDLERS
   // ═══════════════════════════════════════════════════════════════
 
-  socket.on('video-play', ({ sessionId }) => {
+  // ✅ v2.15.0: Every control event updates session.playback and goes out
+  // as a "be at position P at server time T" instruction
+
+  onCastEvent(socket, 'video-play', async ({ sessionId, position }) => {
     console.log(`▶️ Video play: ${sessionId}`);
-    socket.to(sessionId).emit('video-play');
+    const playback = await updatePlayback(sessionId, (current, now) => ({
+      ...current,
+      playing: true,
+      position: typeof position === 'number' ? position : playbackPosition(current, now),
+      updatedAt: now + PLAYBACK_LEAD_MS
+    }));
+    socket.to(sessionId).emit('video-play', { playback });
+    return { playback };
   });
 
-  socket.on('video-pause', ({ sessionId }) => {
+  onCastEvent(socket, 'video-pause', async ({ sessionId }) => {
     console.log(`⏸️ Video pause: ${sessionId}`);
-    socket.to(sessionId).emit('video-pause');
+    const playback = await updatePlayback(sessionId, (current, now) => ({
+      ...current,
+      playing: false,
+      position: playbackPosition(current, now),
+      updatedAt: now
+    }));
+    socket.to(sessionId).emit('video-pause', { playback });
+    return { playback };
   });
 
-  socket.on('video-mute', ({ sessionId, muted }) => {
+  onCastEvent(socket, 'video-mute', async ({ sessionId, muted }) => {
     console.log(`🔇 Video mute: ${muted} for ${sessionId}`);
-    socket.to(sessionId).emit('video-mute', { muted });
+    const playback = await updatePlayback(sessionId, (current) => ({ ...current, muted: !!muted }));
+    socket.to(sessionId).emit('video-mute', { muted, playback });
+    return { playback };
   });
 
-  socket.on('video-seek', ({ sessionId, time }) => {
+  onCastEvent(socket, 'video-seek', async ({ sessionId, time }) => {
     console.log(`⏩ Video seek: ${time}s for ${sessionId}`);
-    socket.to(sessionId).emit('video-seek', { time });
+    const playback = await updatePlayback(sessionId, (current, now) => ({
+      ...current,
+      position: time,
+      updatedAt: current.playing ? now + PLAYBACK_LEAD_MS : now
+    }));
+    socket.to(sessionId).emit('video-seek', { time, playback });
+    return { playback };
+  });
+
+  onCastEvent(socket, 'video-rate', async ({ sessionId, rate }) => {
+    console.log(`⏩ Video rate: ${rate}x for ${sessionId}`);
+    // Re-anchor at the current position so the rate change doesn't jump
+    const playback = await updatePlayback(sessionId, (current, now) => ({
+      ...current,
+      position: playbackPosition(current, now),
+      rate,
+      updatedAt: now
+    }));
+    socket.to(sessionId).emit('video-rate', { rate, playback });
+    return { playback };
+  });
+
+  // Clock sync: clients compute offset = serverTime - (clientTime + rtt / 2)
+  onCastEvent(socket, 'time-sync', async ({ clientTime }, hasAck) => {
+    const reply = { clientTime: clientTime ?? null, serverTime: Date.now() };
+    if (!hasAck) socket.emit('time-sync', reply);
+    return reply;
+  });
+
+  onCastEvent(socket, 'get-playback', async ({ sessionId }, hasAck) => {
+    const session = await store.getSession(sessionId);
+    const playback = session?.playback ? playbackInstruction(session.playback) : null;
+    if (!hasAck) socket.emit('playback-state', { sessionId, playback });
+    return { playback };
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // QUEUE HANDLERS - Server-owned playlist
+  // ═══════════════════════════════════════════════════════════════
+
+  onCastEvent(socket, 'queue-add', async ({ sessionId, files, position }) => {
+    console.log(`➕ Queue add: ${files.length} files to ${sessionId}`);
+    return applyQueueChange(sessionId, (session) => playlist.enqueue(session, files, position));
+  });
+
+  onCastEvent(socket, 'queue-remove', async ({ sessionId, itemId }) => {
+    console.log(`➖ Queue remove: ${itemId} from ${sessionId}`);
+    return applyQueueChange(sessionId, (session) => playlist.removeItem(session, itemId));
+  });
+
+  onCastEvent(socket, 'queue-move', async ({ sessionId, itemId, toIndex }) => {
+    console.log(`↕️ Queue move: ${itemId} to ${toIndex} in ${sessionId}`);
+    return applyQueueChange(sessionId, (session) => playlist.moveItem(session, itemId, toIndex));
+  });
+
+  onCastEvent(socket, 'queue-next', async ({ sessionId }) => {
+    console.log(`⏭️ Queue next: ${sessionId}`);
+    return applyQueueChange(sessionId, (session) => playlist.stepQueue(session, 1));
+  });
+
+  onCastEvent(socket, 'queue-previous', async ({ sessionId }) => {
+    console.log(`⏮️ Queue previous: ${sessionId}`);
+    return applyQueueChange(sessionId, (session) => playlist.stepQueue(session, -1));
+  });
+
+  onCastEvent(socket, 'queue-jump', async ({ sessionId, index }) => {
+    console.log(`🎯 Queue jump: index ${index} in ${sessionId}`);
+    return applyQueueChange(sessionId, (session) => playlist.jumpTo(session, index));
+  });
+
+  onCastEvent(socket, 'queue-shuffle', async ({ sessionId, enabled }) => {
+    console.log(`🔀 Queue shuffle: ${enabled} for ${sessionId}`);
+    return applyQueueChange(sessionId, (session) => playlist.setShuffle(session, enabled));
+  });
+
+  onCastEvent(socket, 'queue-repeat', async ({ sessionId, mode }) => {
+    console.log(`🔁 Queue repeat: ${mode} for ${sessionId}`);
+    return applyQueueChange(sessionId, (session) => playlist.setRepeat(session, mode));
+  });
+
+  onCastEvent(socket, 'queue-get', async ({ sessionId }) => {
+    const session = await store.getSession(sessionId);
+    return { queue: playlist.queueState(session) };
   });
 
   // ═══════════════════════════════════════════════════════════════
   // SLIDESHOW CONTROL RELAY HANDLERS
   // ═══════════════════════════════════════════════════════════════
 
-  socket.on('slideshow-toggle', ({ sessionId, enabled, interval }) => {
+  // ✅ v2.18.0: The server runs the slideshow clock and sends cast-update itself
+
+  onCastEvent(socket, 'slideshow-toggle', async ({ sessionId, enabled, interval, waitForVideos }) => {
     console.log(`🎞️ Slideshow toggle: ${enabled} (${interval}s) for ${sessionId}`);
-    socket.to(sessionId).emit('slideshow-control', { enabled, interval });
+    // No `enabled` means flip the current state
+    const session = await store.getSession(sessionId);
+    const next = enabled ?? !session?.slideshow?.enabled;
+    return configureSlideshow(sessionId, compact({ enabled: next, interval, waitForVideos }));
   });
 
-  socket.on('slideshow-control', ({ sessionId, enabled, interval }) => {
+  onCastEvent(socket, 'slideshow-control', async ({ sessionId, enabled, interval, waitForVideos }) => {
     console.log(`🎞️ Slideshow control: ${enabled} (${interval}s) for ${sessionId}`);
-    socket.to(sessionId).emit('slideshow-control', { enabled, interval });
+    return configureSlideshow(sessionId, compact({ enabled, interval, waitForVideos }));
   });
 
-  socket.on('slideshow-interval', ({ sessionId, interval }) => {
+  onCastEvent(socket, 'slideshow-interval', async ({ sessionId, interval }) => {
     console.log(`⏱️ Slideshow interval: ${interval}s for ${sessionId}`);
-    socket.to(sessionId).emit('slideshow-interval', { interval });
+    io.to(sessionId).emit('slideshow-interval', { interval });
+    return configureSlideshow(sessionId, { interval });
+  });
+
+  onCastEvent(socket, 'slideshow-pause', async ({ sessionId }) => {
+    console.log(`⏸️ Slideshow pause: ${sessionId}`);
+    clearSlideshowTimer(sessionId);
+    const session = await store.updateSession(sessionId, (current) => {
+      if (!current) throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, 'Session has ended');
+      const show = { ...newSlideshow(), ...current.slideshow };
+      if (!show.enabled || show.paused) return undefined;
+      const remainingMs = show.nextAdvanceAt ? Math.max(0, show.nextAdvanceAt - Date.now()) : null;
+      return { ...current, slideshow: { ...show, paused: true, nextAdvanceAt: null, remainingMs } };
+    });
+    broadcastSlideshow(sessionId, session);
+    return { slideshow: slideshowState(session) };
+  });
+
+  onCastEvent(socket, 'slideshow-resume', async ({ sessionId }) => {
+    console.log(`▶️ Slideshow resume: ${sessionId}`);
+    let resumed = false;
+    let remainingMs = null;
+    await store.updateSession(sessionId, (current) => {
+      resumed = false;
+      if (!current) throw new CastError(ERROR_CODES.SESSION_NOT_FOUND, 'Session has ended');
+      const show = { ...newSlideshow(), ...current.slideshow };
+      if (!show.enabled || !show.paused) return undefined;
+      resumed = true;
+      remainingMs = show.remainingMs;
+      return { ...current, slideshow: { ...show, paused: false, remainingMs: null } };
+    });
+    // ✅ v2.35.1: A running slideshow keeps its clock; only a paused one is re-armed
+    if (resumed) {
+      await scheduleSlideshow(sessionId, remainingMs ?? undefined);
+    }
+    return { slideshow: slideshowState(await store.getSession(sessionId)) };
+  });
+
+  // Projector reports the end of a video so a waiting slideshow can move on
+  onCastEvent(socket, 'video-ended', async ({ sessionId, itemId }) => {
+    console.log(`🏁 Video ended: ${sessionId}`);
+    const session = await store.getSession(sessionId);
+    const show = session?.slideshow;
+    if (!show?.enabled || show.paused || show.nextAdvanceAt !== null) return { advanced: false };
+    if (itemId && itemId !== session.queue?.currentItemId) return { advanced: false };
+    await advanceSlideshow(sessionId, null);
+    return { advanced: true };
   });
 
   // ═══════════════════════════════════════════════════════════════
   // DISCONNECT HANDLER
   // ═══════════════════════════════════════════════════════════════
 
-socket.on('disconnect', () => {
+socket.on('disconnect', asyncHandler('Cast', async (reason) => {
     console.log('🔌 Disconnected:', socket.id, 'role:', socket.role);
+    metrics.disconnects.inc({ namespace: '/', reason });
+    clearLocalTimer(socket.pointerThrottle?.timer);
     
     if (socket.sessionId) {
-      const session = sessions.get(socket.sessionId);
+      const sessionId = socket.sessionId;
+      const session = await store.getSession(sessionId);
       if (session) {
         if (socket.role === 'projector') {
-          socket.to(socket.sessionId).emit('projector-disconnected');
-          sessions.delete(socket.sessionId);
+          // ✅ v2.27.0: Per display, so the other screens are unaffected
+          await markDisplayAway(socket, sessionId, socket.displayId);
+          if (socket.castAuth.deviceId) await store.removeSocket('device', socket.castAuth.deviceId, socket.id);
         } else if (socket.role === 'host') {
-          socket.to(socket.sessionId).emit('cast-stop');
-          session.currentFile = null;
-          session.fileList = [];
-          session.host = null;
-          setTimeout(() => {
-            const s = sessions.get(socket.sessionId);
-            if (s && !s.projector && !s.host && !s.main) sessions.delete(socket.sessionId);
-          }, 5000);
+          // ✅ v2.14.0: Grace period instead of killing the cast on a Wi-Fi blip
+          await markRoleAway(socket, sessionId, socket.role);
         } else if (socket.role === 'main') {
-          socket.to(socket.sessionId).emit('cast-stop');
-          session.currentFile = null;
-          session.main = null;
-        } else if (socket.role === 'viewer') {
-          if (session.viewers) {
-            session.viewers = session.viewers.filter(id => id !== socket.id);
-          }
-          if (session.viewerInfo) {
-            session.viewerInfo = session.viewerInfo.filter(v => v.socketId !== socket.id);
-          }
-          // ✅ v2.10.0: Send updated viewer count with viewer info on disconnect
-          const viewerCount = session.viewers?.length || 0;
-          io.to(socket.sessionId).emit('viewer-count', { 
-            count: viewerCount, 
-            sessionId: socket.sessionId,
-            viewers: session.viewerInfo || []
+          socket.to(sessionId).emit('cast-stop');
+          await store.updateSession(sessionId, (current) => {
+            if (!current) return undefined;
+            return { ...current, currentFile: null, main: null, mediaEpoch: (current.mediaEpoch || 0) + 1 };
           });
-          socket.to(socket.sessionId).emit('viewer-left', { viewerId: socket.viewerId });
+        } else if (socket.role === 'viewer') {
+          await removeViewer(socket, sessionId);
+          socket.to(sessionId).emit('viewer-left', { viewerId: socket.viewerId });
         } else {
-          session.controllers = session.controllers?.filter(id => id !== socket.id) || [];
+          await store.updateSession(sessionId, (current) => {
+            if (!current) return undefined;
+            return { ...current, controllers: current.controllers?.filter(id => id !== socket.id) || [] };
+          });
         }
       }
     }
-  });
-}); // <-- ADD THIS LINE to close io.on('connection')
+  }));
+}; // <-- ADD THIS LINE to close io.on('connection')
+
+io.on('connection', handleCastConnection);
+
 
+// Ends stale sessions; start() runs it every CLEANUP_INTERVAL_MS
+let cleanupTimer = null;
 
-// Cleanup stale sessions every 60 seconds
-setInterval(() => {
+const sweepSessions = async () => {
   const now = Date.now();
   let cleaned = 0;
-  for (const [sessionId, session] of sessions.entries()) {
-    if (!session.projector && !session.host && (now - session.createdAt > 10 * 60 * 1000)) {
-      sessions.delete(sessionId);
+  for (const [sessionId, session] of await store.listSessions()) {
+    const awayWithinGrace = Object.values(session.away || {}).some(since => now - since < RECONNECT_GRACE_MS);
+    const liveDisplay = Object.values(displaysOf(session))
+      .some(display => !display.awaySince || now - display.awaySince < RECONNECT_GRACE_MS);
+    if (!liveDisplay && !session.host && !awayWithinGrace && (now - session.createdAt > STALE_SESSION_MS)) {
+      stopReplay(sessionId);
+      clearSlideshowTimer(sessionId);
+      await store.deleteSession(sessionId);
       cleaned++;
     }
   }
-  if (cleaned > 0) console.log(`🧹 Cleaned ${cleaned} stale sessions`);
-}, 60000);
+  if (cleaned > 0) {
+    metrics.staleSessionsCleaned.inc(cleaned);
+    console.log(`🧹 Cleaned ${cleaned} stale sessions`);
+  }
+  
+  // ✅ v2.26.0: Hard cap - the least recently used sessions above MAX_SESSIONS are ended
+  const remaining = (await store.listSessions()).sort(([, a], [, b]) => a.lastUpdate - b.lastUpdate);
+  const excess = remaining.slice(0, Math.max(0, remaining.length - MAX_SESSIONS));
+  for (const [sessionId] of excess) {
+    await forceEndSession(sessionId);
+  }
+  if (excess.length > 0) {
+    metrics.sessionsEvicted.inc(excess.length);
+    console.log(`🧹 Over MAX_SESSIONS: ended ${excess.length} least recently used sessions`);
+  }
+  
+  pruneRateLimits();
+};
+
+// ═══════════════════════════════════════════════════════════════
+// GRACEFUL SHUTDOWN - Drain sockets before a deploy takes the node away
+// ═══════════════════════════════════════════════════════════════
+
+// stop() (SIGTERM/SIGINT when run directly): refuse new sockets and sessions,
+// report not-ready on /health, ask every local socket to reconnect (to another
+// node, once the load balancer has taken this one out), and close once they are
+// gone or after SHUTDOWN_DRAIN_MS. Sessions live in the store, so with Redis
+// they carry on elsewhere; disconnected projectors and hosts get the usual
+// reconnect grace there.
+
+let draining = null;   // { reason, startedAt, deadline, done, closed } once stop() has begun
+
+const localSocketCount = () => io.of('/').sockets.size + notificationsNsp.sockets.size;
+
+// Spread the reconnects over the first half of the drain so the remaining
+// nodes don't get every client in the same second
+const announceDrain = () => {
+  const spreadMs = Math.floor(SHUTDOWN_DRAIN_MS / 2);
+  [io.of('/'), notificationsNsp].forEach((nsp) => {
+    for (const socket of nsp.sockets.values()) {
+      socket.emit('server-draining', {
+        deadline: draining.deadline,
+        reconnectInMs: Math.floor(Math.random() * spreadMs)
+      });
+    }
+  });
+};
+
+const waitForSockets = async () => {
+  while (localSocketCount() > 0 && Date.now() < draining.deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+};
+
+const drain = async () => {
+  console.log(`🛑 ${draining.reason}: draining ${localSocketCount()} sockets (up to ${SHUTDOWN_DRAIN_MS}ms)`);
+  
+  clearInterval(cleanupTimer);
+  announceDrain();
+  await waitForSockets();
+  
+  const remaining = localSocketCount();
+  if (remaining > 0) console.log(`🛑 ${remaining} sockets still connected, closing them`);
+  // Node-local timers would fire into a closed server
+  [...replays.keys()].forEach(stopReplay);
+  [...slideshowTimers.keys()].forEach(clearSlideshowTimer);
+  
+  // Closes the HTTP server too. ✅ v2.35.1: Once past the deadline, connections still
+  // open (a long /media stream, say) are cut instead of holding the close open
+  const closed = new Promise(resolve => io.close(resolve));
+  const cutoff = setTimeout(() => server.closeAllConnections(), Math.max(0, draining.deadline - Date.now()));
+  await closed;
+  clearTimeout(cutoff);
+  draining.closed = true;
+  localTimers.forEach(clearTimeout);
+  localTimers.clear();
+  await Promise.all(adapterClients.map(client => client.quit()));
+  await store.close();
+  console.log('👋 Shutdown complete');
+};
+
+// Resolves once the server is closed; calling it again waits for the same drain
+const stop = (reason = 'stop') => {
+  if (!draining) {
+    draining = { reason, startedAt: Date.now(), deadline: Date.now() + SHUTDOWN_DRAIN_MS };
+    draining.done = drain();
+  }
+  return draining.done;
+};
 
 // ═══════════════════════════════════════════════════════════════
 // START SERVER
 // ═══════════════════════════════════════════════════════════════
 
-const PORT = process.env.PORT || 10000;
-server.listen(PORT, () => {
-console.log(`🚀 DriveX Cast Server v2.10.1 running on port ${PORT}`);
-  console.log(`   Features: Cast + Notifications + Video Seek + Viewer Sync`);
+// Resolves with the port once listening (port 0 picks a free one)
+const start = (port = env.PORT || 10000) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  server.listen(port, () => {
+    cleanupTimer = setInterval(asyncHandler('Cleanup', sweepSessions), CLEANUP_INTERVAL_MS);
+    const { port: listening } = server.address();
+    console.log(`🚀 DriveX Cast Server v${VERSION} running on port ${listening}`);
+    console.log(`   Features: Cast + Notifications + Video Seek + Viewer Sync`);
+    resolve(listening);
+  });
 });
+
+return { app, server, io, store, start, stop, sweepSessions };
+};
+
+// `node server.js` / npm start: listen on PORT, drain on SIGTERM/SIGINT
+if (require.main === module) {
+  let castServer;
+  try {
+    castServer = createCastServer();
+  } catch (err) {
+    console.error('❌ [Start] Error:', err.message);
+    process.exit(1);
+  }
+  let stopping = false;
+  
+  castServer.start().catch((err) => {
+    console.error('❌ [Start] Error:', err.message);
+    process.exit(1);
+  });
+  
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.on(signal, () => {
+      // A second signal doesn't wait for the drain
+      if (stopping) {
+        console.log(`🛑 ${signal} again, exiting now`);
+        process.exit(1);
+      }
+      stopping = true;
+      castServer.stop(signal).then(() => process.exit(0), (err) => {
+        console.error('❌ [Shutdown] Error:', err.message);
+        process.exit(1);
+      });
+    });
+  });
+}
+
+module.exports = { createCastServer };
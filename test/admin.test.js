@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, waitFor } = require('./helpers');
+
+const ADMIN_API_TOKEN = 'test-admin-token';
+
+describe('admin API', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ ADMIN_API_TOKEN });
+  });
+
+  after(() => server.stop());
+
+  const admin = async (method, route, { token = ADMIN_API_TOKEN, body } = {}) => {
+    const headers = { 'content-type': 'application/json' };
+    if (token) headers.authorization = `Bearer ${token}`;
+    const res = await fetch(`${server.url}/admin${route}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  // A session with a projector, a controller and an admitted viewer
+  const liveSession = async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const projector = await server.joinCast('projector', { sessionId });
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    return { sessionId, controller: controller.socket, projector: projector.socket, viewer: viewer.socket };
+  };
+
+  it('refuses requests without the admin token', async () => {
+    const { sessionId } = await liveSession();
+    assert.equal((await admin('GET', `/sessions/${sessionId}`, { token: null })).status, 401);
+    assert.equal((await admin('GET', `/sessions/${sessionId}`, { token: 'x'.repeat(ADMIN_API_TOKEN.length) })).status, 401);
+    assert.equal((await admin('DELETE', `/sessions/${sessionId}`, { token: 'wrong' })).status, 401);
+    assert.ok(await server.store.getSession(sessionId));
+  });
+
+  it('is off without ADMIN_API_TOKEN', async () => {
+    const unconfigured = await startServer();
+    try {
+      const res = await fetch(`${unconfigured.url}/admin/sessions/any`, { headers: { authorization: 'Bearer ' } });
+      assert.equal(res.status, 503);
+    } finally {
+      await unconfigured.stop();
+    }
+  });
+
+  it('shows a session with its sockets but without resume tokens', async () => {
+    const { sessionId, controller, projector, viewer } = await liveSession();
+    const { status, body } = await admin('GET', `/sessions/${sessionId}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.session.roles.controllers, [controller.id]);
+    assert.deepEqual(body.session.roles.displays, [projector.id]);
+    assert.deepEqual(body.session.roles.viewers, [viewer.id]);
+    assert.deepEqual([...body.session.connectedSockets].sort(), [controller.id, projector.id, viewer.id].sort());
+    assert.equal(JSON.stringify(body).includes('resumeToken'), false);
+
+    assert.equal((await admin('GET', '/sessions/no-such-session')).status, 404);
+  });
+
+  it('force-ends a session and tells its sockets', async () => {
+    const { sessionId, controller, projector } = await liveSession();
+    const stopped = nextEvent(projector, 'cast-stop');
+    const gone = nextEvent(controller, 'projector-disconnected');
+
+    assert.deepEqual((await admin('DELETE', `/sessions/${sessionId}`)).body, { success: true, sessionId });
+    await stopped;
+    await gone;
+    assert.equal(await server.store.getSession(sessionId), null);
+    assert.equal((await admin('GET', `/sessions/${sessionId}`)).status, 404);
+    assert.equal((await admin('DELETE', `/sessions/${sessionId}`)).status, 404);
+    // The sockets stay connected but are out of the session
+    assert.equal(projector.connected, true);
+    assert.equal((await controller.timeout(2000).emitWithAck('queue-get', { sessionId })).error, 'SESSION_NOT_FOUND');
+  });
+
+  it('kicks a viewer and answers 404 for sockets that are not in the session', async () => {
+    const { sessionId, projector, viewer } = await liveSession();
+    const kicked = nextEvent(viewer, 'kicked');
+    const { status, body } = await admin('POST', `/sessions/${sessionId}/kick`, { body: { socketId: viewer.id, reason: 'Spam' } });
+    assert.equal(status, 200);
+    assert.equal(body.role, 'viewer');
+    assert.deepEqual(await kicked, { sessionId, reason: 'Spam' });
+    await waitFor(() => !viewer.connected);
+    await waitFor(async () => (await server.store.getSession(sessionId)).viewers.length === 0);
+
+    // Displays are not kicked this way
+    assert.equal((await admin('POST', `/sessions/${sessionId}/kick`, { body: { socketId: projector.id } })).status, 404);
+  });
+
+  it('sends a system message to the session', async () => {
+    const { sessionId, viewer } = await liveSession();
+    assert.equal((await admin('POST', `/sessions/${sessionId}/message`, { body: { message: ' ' } })).status, 400);
+    assert.equal((await admin('POST', `/sessions/${sessionId}/message`, { body: { message: 'Hi', level: 'loud' } })).status, 400);
+
+    const message = nextEvent(viewer, 'system-message');
+    assert.equal((await admin('POST', `/sessions/${sessionId}/message`, { body: { message: 'Restarting soon', level: 'warning' } })).status, 200);
+    const received = await message;
+    assert.equal(received.message, 'Restarting soon');
+    assert.equal(received.level, 'warning');
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent } = require('./helpers');
+
+describe('viewer admission', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const send = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+
+  // A controller's session with `settings` applied and a file on screen
+  const gatedSession = async (settings) => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    await send(controller.socket, 'cast-update', { sessionId, url: 'https://files.example/secret.png', fileName: 'secret.png' });
+    assert.equal((await send(controller.socket, 'admission-settings', { sessionId, ...settings })).ok, true);
+    return controller;
+  };
+
+  it('turns away viewers without the passcode', async () => {
+    const { sessionId } = await gatedSession({ passcode: 'open sesame' });
+
+    const wrong = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a', passcode: 'nope' });
+    assert.equal(wrong.ack.error, 'INVALID_PASSCODE');
+    const missing = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    assert.equal(missing.ack.error, 'INVALID_PASSCODE');
+
+    const right = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a', passcode: 'open sesame' });
+    assert.equal(right.ack.ok, true);
+    assert.equal(right.ack.admitted, true);
+  });
+
+  it('keeps viewers waiting without the file until the host lets them in', async () => {
+    const controller = await gatedSession({ mode: 'approval' });
+    const { sessionId } = controller;
+
+    const waiting = nextEvent(controller.socket, 'viewer-waiting');
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    assert.equal(viewer.ack.admitted, false);
+    assert.equal(JSON.stringify(viewer.ack).includes('secret.png'), false);
+    assert.equal((await waiting).viewerId, 'viewer-a');
+    assert.equal((await waiting).userId, undefined);
+
+    assert.equal((await send(viewer.socket, 'queue-get', { sessionId })).error, 'NOT_ADMITTED');
+
+    const approved = nextEvent(viewer.socket, 'admission-approved');
+    assert.equal((await send(controller.socket, 'viewer-accepted', { sessionId, viewerId: 'viewer-a' })).admitted, true);
+    assert.equal((await approved).state.currentFile.fileName, 'secret.png');
+  });
+
+  it('tells a rejected viewer why', async () => {
+    const controller = await gatedSession({ mode: 'approval' });
+    const { sessionId } = controller;
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+
+    const rejected = nextEvent(viewer.socket, 'admission-rejected');
+    await send(controller.socket, 'viewer-rejected', { sessionId, viewerId: 'viewer-a', reason: 'Invite only' });
+    assert.deepEqual(await rejected, { sessionId, reason: 'Invite only' });
+    assert.equal((await send(controller.socket, 'viewer-rejected', { sessionId, viewerId: 'viewer-a' })).error, 'NOT_ADMITTED');
+  });
+
+  it('lets waiting viewers in up to the cap when the session opens', async () => {
+    const controller = await gatedSession({ mode: 'approval', maxViewers: 1 });
+    const { sessionId } = controller;
+    const first = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    const second = await server.joinCast('viewer', { sessionId, userId: 'viewer-2', viewerId: 'viewer-b' });
+
+    const approved = nextEvent(first.socket, 'admission-approved');
+    const rejected = nextEvent(second.socket, 'admission-rejected');
+    await send(controller.socket, 'admission-settings', { sessionId, mode: 'open' });
+    await approved;
+    assert.equal((await rejected).reason, 'Session is full');
+
+    const third = await server.joinCast('viewer', { sessionId, userId: 'viewer-3', viewerId: 'viewer-c' });
+    assert.equal(third.ack.error, 'SESSION_FULL');
+  });
+
+  it('leaves admission settings to control roles', async () => {
+    const { sessionId } = await gatedSession({});
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    assert.equal((await send(viewer.socket, 'admission-settings', { sessionId, mode: 'open' })).error, 'FORBIDDEN_ROLE');
+  });
+});
@@ -0,0 +1,298 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, userToken, received, nextEvent, noEvent, waitFor } = require('./helpers');
+
+describe('cast roles', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  describe('joins', () => {
+    it('acks each role join with the session state', async () => {
+      const controller = await server.joinCast('controller');
+      assert.equal(controller.ack.ok, true);
+      assert.equal(controller.ack.state.sessionId, controller.sessionId);
+      assert.equal(typeof controller.ack.serverTime, 'number');
+
+      const { sessionId } = controller;
+      const host = await server.joinCast('host', { sessionId });
+      assert.equal(host.ack.ok, true);
+
+      const session = await server.store.getSession(sessionId);
+      assert.deepEqual(session.controllers, [controller.socket.id]);
+      assert.equal(session.host, host.socket.id);
+    });
+
+    it('tells controllers about a projector, before and after they join', async () => {
+      const early = await server.joinCast('controller');
+      const { sessionId } = early;
+
+      const ready = nextEvent(early.socket, 'projector-ready');
+      const projector = await server.joinCast('projector', { sessionId, displayName: 'Hall' });
+      assert.equal(projector.ack.ok, true);
+      assert.ok(projector.ack.displayId);
+      assert.deepEqual(await ready, { sessionId, displayId: projector.ack.displayId });
+
+      const late = await server.joinCast('controller', { sessionId });
+      assert.equal(received(late.socket, 'projector-ready').length, 1);
+    });
+
+    it('relays main-joined to the room', async () => {
+      const controller = await server.joinCast('controller');
+      const joined = nextEvent(controller.socket, 'main-joined');
+      const main = await server.joinCast('main', { sessionId: controller.sessionId });
+      assert.deepEqual(await joined, { socketId: main.socket.id });
+    });
+
+    it('refuses a join event the token role may not send', async () => {
+      const { sessionId, token } = await server.castToken('controller');
+      const socket = await server.connectCast(token);
+      const ack = await socket.timeout(2000).emitWithAck('join-projector', { sessionId });
+      assert.equal(ack.ok, false);
+      assert.equal(ack.error, 'FORBIDDEN_ROLE');
+    });
+
+    it('refuses an invalid payload', async () => {
+      const { token } = await server.castToken('controller');
+      const socket = await server.connectCast(token);
+      const ack = await socket.timeout(2000).emitWithAck('join-controller', { sessionId: 42 });
+      assert.equal(ack.ok, false);
+      assert.equal(ack.error, 'INVALID_PAYLOAD');
+    });
+
+    it('refuses a handshake without a valid cast token', async () => {
+      await assert.rejects(server.connectCast('not-a-token'), (err) => err.data?.code === 'UNAUTHENTICATED');
+    });
+  });
+
+  describe('session tokens', () => {
+    const requestToken = async (body, userId = 'owner-1') => {
+      const res = await fetch(`${server.url}/cast/token`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: `Bearer ${userToken(userId)}` },
+        body: JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    };
+
+    it('starts a new session under an id of its own', async () => {
+      const { status, body } = await requestToken({ role: 'controller' });
+      assert.equal(status, 200);
+      assert.match(body.sessionId, /^[0-9a-f-]{36}$/);
+      assert.equal((await server.store.getSession(body.sessionId)).owner, 'owner-1');
+    });
+
+    it('does not hand out an id nobody is using', async () => {
+      const { status } = await requestToken({ role: 'controller', sessionId: 'chosen-by-me' }, 'squatter');
+      assert.equal(status, 404);
+      assert.equal(await server.store.getSession('chosen-by-me'), null);
+    });
+
+    it('does not bring back an ended session', async () => {
+      const { sessionId } = await server.castToken('controller');
+      await server.store.deleteSession(sessionId);
+      assert.equal((await requestToken({ role: 'controller', sessionId }, 'squatter')).status, 404);
+    });
+
+    it('answers 400 for a sessionId that is not a short string', async () => {
+      for (const sessionId of [42, { id: 'x' }, '', 'x'.repeat(129), 'has spaces']) {
+        assert.equal((await requestToken({ role: 'viewer', sessionId })).status, 400, JSON.stringify(sessionId));
+      }
+    });
+
+    it('gives other users viewer tokens only', async () => {
+      const { sessionId } = await server.castToken('controller');
+      assert.equal((await requestToken({ role: 'viewer', sessionId }, 'viewer-1')).status, 200);
+      assert.equal((await requestToken({ role: 'controller', sessionId }, 'viewer-1')).status, 403);
+    });
+  });
+
+  describe('viewer count', () => {
+    it('is sent to controllers, mains and hosts as they join', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const main = await server.joinCast('main', { sessionId });
+      const host = await server.joinCast('host', { sessionId });
+
+      for (const { socket } of [controller, main, host]) {
+        assert.deepEqual(received(socket, 'viewer-count'), [{ count: 0, sessionId, viewers: [] }]);
+      }
+    });
+
+    it('is pushed to the whole room when viewers come in', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const main = await server.joinCast('main', { sessionId });
+
+      const counts = [controller, main].map(({ socket }) => nextEvent(socket, 'viewer-count'));
+      const relayed = nextEvent(controller.socket, 'viewer-joined');
+      const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a', viewerName: 'Ana' });
+      assert.equal(viewer.ack.ok, true);
+      assert.equal(viewer.ack.admitted, true);
+
+      for (const count of await Promise.all(counts)) {
+        assert.equal(count.count, 1);
+        assert.equal(count.viewers[0].viewerId, 'viewer-a');
+        assert.equal(count.viewers[0].displayName, 'Ana');
+      }
+      assert.equal((await relayed).viewerId, 'viewer-a');
+
+      const second = nextEvent(controller.socket, 'viewer-count');
+      await server.joinCast('viewer', { sessionId, userId: 'viewer-2', viewerId: 'viewer-b' });
+      assert.equal((await second).count, 2);
+    });
+
+    it('answers get-viewer-count', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+
+      const count = nextEvent(controller.socket, 'viewer-count');
+      const ack = await controller.socket.timeout(2000).emitWithAck('get-viewer-count', { sessionId });
+      assert.equal(ack.ok, true);
+      assert.equal((await count).count, 1);
+    });
+  });
+
+  describe('disconnect cleanup', () => {
+    it('removes a viewer and pushes the new count', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+
+      const count = nextEvent(controller.socket, 'viewer-count');
+      const left = nextEvent(controller.socket, 'viewer-left');
+      viewer.socket.disconnect();
+
+      assert.deepEqual(await count, { count: 0, sessionId, viewers: [] });
+      assert.deepEqual(await left, { viewerId: 'viewer-a' });
+      assert.deepEqual((await server.store.getSession(sessionId)).viewers, []);
+    });
+
+    it('drops a controller from the session', async () => {
+      const first = await server.joinCast('controller');
+      const { sessionId } = first;
+      const second = await server.joinCast('controller', { sessionId });
+
+      first.socket.disconnect();
+      await waitFor(async () => (await server.store.getSession(sessionId)).controllers.length === 1);
+      assert.deepEqual((await server.store.getSession(sessionId)).controllers, [second.socket.id]);
+    });
+
+    it('stops the cast when the main app leaves', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const main = await server.joinCast('main', { sessionId });
+
+      const stopped = nextEvent(controller.socket, 'cast-stop');
+      main.socket.disconnect();
+      await stopped;
+      await waitFor(async () => (await server.store.getSession(sessionId)).main === null);
+    });
+
+    it('keeps a held display from being taken over without its resume token', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const projector = await server.joinCast('projector', { sessionId, displayId: 'lobby' });
+      const { resumeToken } = received(projector.socket, 'session-resume-token')[0];
+
+      const grab = await server.joinCast('projector', { sessionId, displayId: 'lobby' });
+      assert.equal(grab.ack.error, 'DISPLAY_IN_USE');
+      const guess = await server.joinCast('projector', { sessionId, displayId: 'lobby', resumeToken: 'f'.repeat(32) });
+      assert.equal(guess.ack.error, 'DISPLAY_IN_USE');
+
+      const away = nextEvent(controller.socket, 'projector-away');
+      projector.socket.disconnect();
+      await away;
+      const inGrace = await server.joinCast('projector', { sessionId, displayId: 'lobby' });
+      assert.equal(inGrace.ack.error, 'DISPLAY_IN_USE');
+      const resumed = await server.joinCast('projector', { sessionId, displayId: 'lobby', resumeToken });
+      assert.equal(resumed.ack.displayId, 'lobby');
+    });
+
+    it('gives a projector the grace period to resume its display', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const projector = await server.joinCast('projector', { sessionId });
+      const { displayId } = projector.ack;
+      const { resumeToken } = received(projector.socket, 'session-resume-token')[0];
+
+      const away = nextEvent(controller.socket, 'projector-away');
+      projector.socket.disconnect();
+      assert.deepEqual(await away, { sessionId, displayId, graceMs: 300 });
+
+      const back = nextEvent(controller.socket, 'projector-back');
+      const again = await server.joinCast('projector', { sessionId, displayId, resumeToken });
+      assert.equal(again.ack.displayId, displayId);
+      assert.deepEqual(await back, { sessionId, displayId });
+
+      await noEvent(controller.socket, 'display-disconnected', 400);
+      assert.ok(await server.store.getSession(sessionId));
+    });
+
+    it('ends the session when its last projector does not come back', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const projector = await server.joinCast('projector', { sessionId });
+
+      const gone = nextEvent(controller.socket, 'display-disconnected');
+      const ended = nextEvent(controller.socket, 'projector-disconnected');
+      projector.socket.disconnect();
+
+      assert.deepEqual(await gone, { sessionId, displayId: projector.ack.displayId });
+      await ended;
+      assert.equal(await server.store.getSession(sessionId), null);
+    });
+
+    it('stops the cast when the host does not come back', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const host = await server.joinCast('host', { sessionId });
+
+      const away = nextEvent(controller.socket, 'host-away');
+      const stopped = nextEvent(controller.socket, 'cast-stop');
+      host.socket.disconnect();
+
+      assert.deepEqual(await away, { sessionId, graceMs: 300 });
+      await stopped;
+      await waitFor(async () => (await server.store.getSession(sessionId)) === null);
+    });
+  });
+});
+
+describe('stale session sweep', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ STALE_SESSION_MS: '50' });
+  });
+
+  after(() => server.stop());
+
+  it('ends sessions without a display or host once they are stale', async () => {
+    const idle = await server.joinCast('controller');
+    const hosted = await server.joinCast('host');
+    const projected = await server.joinCast('projector');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await server.sweepSessions();
+
+    assert.equal(await server.store.getSession(idle.sessionId), null);
+    assert.ok(await server.store.getSession(hosted.sessionId));
+    assert.ok(await server.store.getSession(projected.sessionId));
+  });
+
+  it('keeps a session whose host is away within the grace period', async () => {
+    const { socket, sessionId } = await server.joinCast('host');
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    socket.disconnect();
+    await waitFor(async () => (await server.store.getSession(sessionId))?.away?.host);
+    await server.sweepSessions();
+    assert.ok(await server.store.getSession(sessionId));
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent } = require('./helpers');
+
+describe('chat and moderation', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const send = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+
+  it('relays chat messages under the server-made name', async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a', viewerName: 'Ana' });
+
+    const message = nextEvent(controller.socket, 'chat-message');
+    const ack = await send(viewer.socket, 'chat-send', { sessionId, text: '  hello  ' });
+    assert.equal(ack.ok, true);
+    const relayed = await message;
+    assert.equal(relayed.text, 'hello');
+    assert.equal(relayed.displayName, 'Ana');
+    assert.equal(relayed.role, 'viewer');
+  });
+
+  it('keeps muted viewers from chatting and reacting until unmuted', async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+
+    const muted = nextEvent(viewer.socket, 'viewer-muted');
+    assert.equal((await send(controller.socket, 'chat-mute', { sessionId, viewerId: 'viewer-a', muted: true })).ok, true);
+    assert.deepEqual(await muted, { sessionId, viewerId: 'viewer-a', muted: true });
+
+    assert.equal((await send(viewer.socket, 'chat-send', { sessionId, text: 'hi' })).error, 'MUTED');
+    assert.equal((await send(viewer.socket, 'reaction-send', { sessionId, emoji: '👍' })).error, 'MUTED');
+
+    await send(controller.socket, 'chat-mute', { sessionId, viewerId: 'viewer-a', muted: false });
+    assert.equal((await send(viewer.socket, 'chat-send', { sessionId, text: 'hi' })).ok, true);
+  });
+
+  it('does not let a muted viewer switch to another viewerId', async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    await send(controller.socket, 'chat-mute', { sessionId, viewerId: 'viewer-a', muted: true });
+
+    const rejoin = await send(viewer.socket, 'viewer-joined', { sessionId, viewerId: 'viewer-b' });
+    assert.equal(rejoin.ok, false);
+    assert.equal(rejoin.error, 'INVALID_PAYLOAD');
+    assert.equal((await send(viewer.socket, 'chat-send', { sessionId, text: 'hi' })).error, 'MUTED');
+  });
+
+  it('keeps the mute on the account across connections', async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    await send(controller.socket, 'chat-mute', { sessionId, viewerId: 'viewer-a', muted: true });
+    viewer.socket.disconnect();
+
+    const again = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-new' });
+    assert.equal((await send(again.socket, 'chat-send', { sessionId, text: 'hi' })).error, 'MUTED');
+
+    const other = await server.joinCast('viewer', { sessionId, userId: 'viewer-2', viewerId: 'viewer-c' });
+    assert.equal((await send(other.socket, 'chat-send', { sessionId, text: 'hi' })).ok, true);
+  });
+
+  it('leaves moderation to control roles', async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+
+    assert.equal((await send(viewer.socket, 'chat-mute', { sessionId, viewerId: 'viewer-a', muted: false })).error, 'FORBIDDEN_ROLE');
+    assert.equal((await send(viewer.socket, 'chat-clear', { sessionId })).error, 'FORBIDDEN_ROLE');
+
+    await send(viewer.socket, 'chat-send', { sessionId, text: 'hi' });
+    const cleared = nextEvent(viewer.socket, 'chat-cleared');
+    assert.equal((await send(controller.socket, 'chat-clear', { sessionId })).ok, true);
+    await cleared;
+    assert.deepEqual((await server.store.getSession(sessionId)).chat.messages, []);
+  });
+});
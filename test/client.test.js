@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, userToken, nextEvent } = require('./helpers');
+const { createController, createProjector, createViewer, createNotificationClient, CastError } = require('../client');
+
+// Quick reconnects so dropped connections come back within the test
+const socketOptions = { reconnectionDelay: 50, reconnectionDelayMax: 100 };
+
+describe('client', () => {
+  let server;
+  const clients = [];
+
+  before(async () => {
+    server = await startServer({ RECONNECT_GRACE_MS: '2000' });
+  });
+
+  after(async () => {
+    clients.forEach(client => client.close());
+    await server.stop();
+  });
+
+  const open = (create, options) => {
+    const client = create({ url: server.url, socketOptions, ...options });
+    clients.push(client);
+    return client;
+  };
+
+  // A controller client that joined a new session
+  const controllerClient = async () => {
+    const { sessionId, token } = await server.castToken('controller');
+    const controller = open(createController, { sessionId, sessionToken: token });
+    await controller.join();
+    return controller;
+  };
+
+  it('sends events with the session filled in and resolves with the ack', async () => {
+    const controller = await controllerClient();
+    await controller.castFileList({ files: [{ url: 'https://files.example/a.png', fileName: 'a.png' }] });
+    const { queue } = await controller.queueGet();
+    assert.equal(queue.files[0].fileName, 'a.png');
+  });
+
+  it('only has methods for what the role may send', async () => {
+    const controller = await controllerClient();
+    const { token } = await server.castToken('viewer', { sessionId: controller.sessionId, userId: 'viewer-1' });
+    const viewer = open(createViewer, { sessionId: controller.sessionId, sessionToken: token });
+    assert.equal(typeof viewer.chatSend, 'function');
+    assert.equal(viewer.castUpdate, undefined);
+    await assert.rejects(viewer.send('cast-update', { url: 'https://files.example/a.png' }), { code: 'FORBIDDEN_ROLE' });
+  });
+
+  it('checks payloads before sending them', async () => {
+    const controller = await controllerClient();
+    const sent = [];
+    controller.socket.onAnyOutgoing((event) => sent.push(event));
+    await assert.rejects(controller.queueJump({ index: -1 }), (err) => err instanceof CastError && err.code === 'INVALID_PAYLOAD');
+    assert.deepEqual(sent, []);
+  });
+
+  it('turns refused events into CastErrors with the server\'s code', async () => {
+    const controller = await controllerClient();
+    await assert.rejects(controller.queueRemove({ itemId: 'no-such-item' }), { code: 'ITEM_NOT_FOUND' });
+  });
+
+  it('rejoins a projector on its display after the connection drops', async () => {
+    const controller = await controllerClient();
+    const { token } = await server.castToken('projector', { sessionId: controller.sessionId });
+    const projector = open(createProjector, { sessionId: controller.sessionId, sessionToken: token });
+    const { displayId } = await projector.join({ displayId: 'lobby' });
+    assert.equal(displayId, 'lobby');
+
+    const rejoined = new Promise(resolve => projector.on('rejoined', resolve));
+    const back = new Promise(resolve => controller.on('projector-back', resolve));
+    projector.socket.io.engine.close();
+    assert.equal((await rejoined).displayId, 'lobby');
+    assert.deepEqual(await back, { sessionId: controller.sessionId, displayId: 'lobby' });
+  });
+
+  it('asks a token function for a token on every connect', async () => {
+    let calls = 0;
+    const notifications = open(createNotificationClient, {
+      token: async () => {
+        calls++;
+        return userToken('client-1');
+      },
+      clientType: 'desktop'
+    });
+    await nextEvent(notifications.socket, 'notifications:unread');
+    notifications.socket.io.engine.close();
+    await nextEvent(notifications.socket, 'connect');
+    assert.equal(calls, 2);
+  });
+
+  it('subscribes a notification client again after a reconnect', async () => {
+    const notifications = open(createNotificationClient, { token: userToken('client-2') });
+    await nextEvent(notifications.socket, 'connect');
+    await notifications.subscribe({ channels: ['team/design'] });
+
+    const resubscribed = new Promise(resolve => notifications.on('resubscribed', resolve));
+    notifications.socket.io.engine.close();
+    assert.deepEqual((await resubscribed).subscribed.channels, ['team/design']);
+  });
+
+  it('refuses an unknown clientType up front', () => {
+    assert.throws(() => createNotificationClient({ url: server.url, token: 't', clientType: 'fridge' }), TypeError);
+  });
+});
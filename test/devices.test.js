@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+const { startServer, userToken, nextEvent, waitFor } = require('./helpers');
+const { createRedisStore } = require('../lib/store');
+const { createStoreDevices, createFileDevices } = require('../lib/devices');
+const { JOIN_EVENTS } = require('../lib/protocol');
+
+describe('device registry', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const send = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+
+  const api = async (method, route, token, body) => {
+    const headers = { 'content-type': 'application/json' };
+    if (token) headers.authorization = `Bearer ${token}`;
+    const res = await fetch(`${server.url}${route}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const register = (ownerId, name = 'Board Room TV') => api('POST', '/devices', userToken(ownerId), { name, location: 'Floor 2' });
+
+  // The device's projector socket, joined to its session
+  const connectDevice = async (deviceId, credential) => {
+    const { body } = await api('POST', `/devices/${deviceId}/connect`, credential, { capabilities: { video: true } });
+    const socket = await server.connectCast(body.token);
+    const ack = await send(socket, JOIN_EVENTS.projector, { sessionId: body.sessionId });
+    return { socket, sessionId: body.sessionId, ack };
+  };
+
+  it('registers a device and lists it for its owner only, without the credential', async () => {
+    const { status, body } = await register('owner-1');
+    assert.equal(status, 201);
+    assert.equal(typeof body.credential, 'string');
+    assert.equal(body.device.name, 'Board Room TV');
+    assert.equal(body.device.credentialHash, undefined);
+
+    const own = await api('GET', '/devices', userToken('owner-1'));
+    const listed = own.body.devices.find(device => device.deviceId === body.device.deviceId);
+    assert.equal(listed.online, false);
+    assert.equal(JSON.stringify(own.body).includes(body.credential), false);
+    assert.equal(JSON.stringify(own.body).includes('credentialHash'), false);
+
+    const other = await api('GET', '/devices', userToken('someone-else'));
+    assert.deepEqual(other.body.devices, []);
+    assert.equal((await api('POST', '/devices', null, { name: 'TV' })).status, 401);
+  });
+
+  it('lets the device in with its credential and shows it online as its own display', async () => {
+    const { body: { device, credential } } = await register('owner-1');
+    const { sessionId, ack } = await connectDevice(device.deviceId, credential);
+    assert.equal(ack.ok, true);
+    assert.equal(ack.displayId, device.deviceId);
+
+    const { body } = await api('GET', '/devices?online=true', userToken('owner-1'));
+    const listed = body.devices.find(entry => entry.deviceId === device.deviceId);
+    assert.equal(listed.online, true);
+    assert.equal(listed.sessionId, sessionId);
+    assert.deepEqual(listed.capabilities, { video: true });
+  });
+
+  it('refuses unknown devices and wrong or missing credentials', async () => {
+    const { body: { device, credential } } = await register('owner-1');
+    assert.equal((await api('POST', `/devices/${device.deviceId}/connect`, 'not-the-credential', {})).status, 401);
+    assert.equal((await api('POST', `/devices/${device.deviceId}/connect`, null, {})).status, 401);
+    assert.equal((await api('POST', '/devices/no-such-device/connect', credential, {})).status, 401);
+  });
+
+  it('revokes a device: its socket is dropped and its credential and tokens stop working', async () => {
+    const { body: { device, credential } } = await register('owner-1');
+    const { socket, sessionId } = await connectDevice(device.deviceId, credential);
+    const { body: { token } } = await api('POST', `/devices/${device.deviceId}/connect`, credential, {});
+
+    assert.equal((await api('DELETE', `/devices/${device.deviceId}`, userToken('someone-else'))).status, 404);
+    const removed = nextEvent(socket, 'device-removed');
+    assert.equal((await api('DELETE', `/devices/${device.deviceId}`, userToken('owner-1'))).status, 200);
+    assert.deepEqual(await removed, { deviceId: device.deviceId });
+    await waitFor(() => !socket.connected);
+
+    assert.equal((await api('POST', `/devices/${device.deviceId}/connect`, credential, {})).status, 401);
+    const again = await server.connectCast(token);
+    assert.equal((await send(again, JOIN_EVENTS.projector, { sessionId })).error, 'UNAUTHENTICATED');
+    assert.equal((await api('GET', '/devices', userToken('owner-1'))).body.devices.some(d => d.deviceId === device.deviceId), false);
+  });
+
+  it('renames a device for its owner', async () => {
+    const { body: { device } } = await register('owner-1');
+    const { status, body } = await api('PATCH', `/devices/${device.deviceId}`, userToken('owner-1'), { name: 'Lobby TV' });
+    assert.equal(status, 200);
+    assert.equal(body.device.name, 'Lobby TV');
+    assert.equal((await api('PATCH', `/devices/${device.deviceId}`, userToken('owner-1'), { name: ' ' })).status, 400);
+    assert.equal((await api('PATCH', `/devices/${device.deviceId}`, userToken('someone-else'), { name: 'Mine' })).status, 404);
+  });
+});
+
+describe('device registry backends', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drivex-devices-'));
+  // ioredis-mock clients share their data, like two nodes on one Redis
+  const stores = [createRedisStore(new RedisMock(), { prefix: 'devices-test:' }), createRedisStore(new RedisMock(), { prefix: 'devices-test:' })];
+
+  after(async () => {
+    await Promise.all(stores.map(store => store.close()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('knows a device registered on another node, and forgets it once removed there', async () => {
+    const [a, b] = stores.map(store => createStoreDevices(store));
+    const { device, credential } = await a.register({ ownerId: 'owner-1', name: 'Hall' });
+
+    assert.equal((await b.authenticate(device.deviceId, credential)).name, 'Hall');
+    assert.equal(await b.authenticate(device.deviceId, 'wrong'), null);
+    assert.deepEqual((await b.listByOwner('owner-1')).map(d => d.deviceId), [device.deviceId]);
+    assert.equal((await b.update(device.deviceId, { name: 'Great Hall' })).name, 'Great Hall');
+    assert.equal((await a.get(device.deviceId)).name, 'Great Hall');
+
+    assert.equal(await a.remove(device.deviceId), true);
+    assert.equal(await b.authenticate(device.deviceId, credential), null);
+    assert.equal(await b.remove(device.deviceId), false);
+    assert.equal(await b.update(device.deviceId, { name: 'Back' }), null);
+  });
+
+  it('reads the registry file again instead of keeping the first read', async () => {
+    const file = path.join(dir, 'devices.json');
+    const first = createFileDevices(file);
+    assert.deepEqual(await first.listByOwner('owner-1'), []);
+
+    const { device, credential } = await createFileDevices(file).register({ ownerId: 'owner-1', name: 'Hall' });
+    assert.ok(await first.authenticate(device.deviceId, credential));
+    await createFileDevices(file).remove(device.deviceId);
+    assert.equal(await first.get(device.deviceId), null);
+  });
+});
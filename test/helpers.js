@@ -0,0 +1,159 @@
+/**
+ * DriveX Cast Server - Test helpers
+ *
+ * startServer() runs a server in-process on a free port, with its files in a
+ * temporary directory. Sockets made with connectCast() / connectNotifications()
+ * are closed by server.stop(), so each test file only has to stop its server.
+ * They record every event they get from the start, so received(socket, event)
+ * also sees what arrived before the join ack did.
+ *
+ * The server's console.log and console.warn output is hidden; TEST_LOGS=1 shows it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { io } = require('socket.io-client');
+const { createCastServer } = require('../server');
+const { webhookHeaders } = require('../lib/webhook');
+const { JOIN_EVENTS } = require('../lib/protocol');
+
+const JWT_SECRET = 'test-jwt-secret';
+const NOTIFY_SECRET = 'test-notify-secret';
+
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drivex-test-'));
+  const castServer = createCastServer({
+    JWT_SECRET,
+    NOTIFY_SECRET,
+    SUBSCRIPTION_AUTH: 'open',
+    NOTIFICATION_INBOX_DIR: path.join(dir, 'notifications'),
+    PREFERENCES_FILE: path.join(dir, 'preferences.json'),
+    RECORDINGS_DIR: path.join(dir, 'recordings'),
+    DEVICE_REGISTRY_FILE: path.join(dir, 'devices.json'),
+    RECONNECT_GRACE_MS: '300',
+    SHUTDOWN_DRAIN_MS: '200',
+    // Every test client connects from 127.0.0.1
+    MAX_SESSIONS_PER_IP: '1000',
+    IP_RATE_BURST: '1000',
+    ...env
+  });
+  const port = await castServer.start(0);
+  const url = `http://127.0.0.1:${port}`;
+  const sockets = new Set();
+
+  const track = (socket) => {
+    sockets.add(socket);
+    socket.received = [];
+    socket.onAny((event, payload) => socket.received.push({ event, payload }));
+    return socket;
+  };
+
+  const connectCast = (token) => connected(track(io(url, {
+    auth: { sessionToken: token },
+    forceNew: true,
+    reconnection: false
+  })));
+
+  // { sessionId, token } for `role`; owner tokens create the session when sessionId is left out
+  const castToken = async (role, { sessionId, userId = 'owner-1' } = {}) => {
+    const res = await fetch(`${url}/cast/token`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${userToken(userId)}` },
+      body: JSON.stringify({ role, sessionId })
+    });
+    if (!res.ok) throw new Error(`POST /cast/token answered ${res.status}`);
+    return res.json();
+  };
+
+  return {
+    ...castServer,
+    url,
+    connectCast,
+    castToken,
+
+    // Token, connect and the role's join event in one; `payload` goes with the join
+    joinCast: async (role, { sessionId, userId, ...payload } = {}) => {
+      const { sessionId: id, token } = await castToken(role, { sessionId, userId });
+      const socket = await connectCast(token);
+      const ack = await socket.timeout(2000).emitWithAck(JOIN_EVENTS[role], { sessionId: id, ...payload });
+      return { socket, sessionId: id, ack };
+    },
+
+    // Resolves once the server has registered the socket and sent what was queued
+    connectNotifications: (token, clientType) => connected(track(io(`${url}/notifications`, {
+      auth: { token, clientType },
+      forceNew: true,
+      reconnection: false
+    })), 'notifications:unread'),
+
+    // Signed like the main backend signs /notify and /chat/broadcast
+    postSigned: async (route, payload) => {
+      const body = JSON.stringify(payload);
+      const res = await fetch(`${url}${route}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...webhookHeaders(NOTIFY_SECRET, body) },
+        body
+      });
+      return { status: res.status, body: await res.json() };
+    },
+
+    async stop() {
+      sockets.forEach(socket => socket.disconnect());
+      await castServer.stop('test');
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+};
+
+const userToken = (id, email) => jwt.sign({ id, email }, JWT_SECRET);
+
+const connected = (socket, readyEvent = 'connect') => new Promise((resolve, reject) => {
+  socket.once(readyEvent, () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+// Payloads of `event` the socket got so far
+const received = (socket, event) => socket.received.filter(entry => entry.event === event).map(entry => entry.payload);
+
+// Resolves with the next `event` payload; rejects after timeoutMs
+const nextEvent = (socket, event, timeoutMs = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    socket.off(event, onEvent);
+    reject(new Error(`No ${event} within ${timeoutMs}ms`));
+  }, timeoutMs);
+  const onEvent = (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  };
+  socket.once(event, onEvent);
+});
+
+// Resolves once no `event` arrived for `ms` (for "nothing was sent" checks)
+const noEvent = (socket, event, ms = 200) => new Promise((resolve, reject) => {
+  const onEvent = () => reject(new Error(`Unexpected ${event}`));
+  socket.once(event, onEvent);
+  setTimeout(() => {
+    socket.off(event, onEvent);
+    resolve();
+  }, ms);
+});
+
+// Polls `check` until it returns something truthy
+const waitFor = async (check, { timeoutMs = 2000, intervalMs = 20 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+module.exports = { startServer, userToken, received, nextEvent, noEvent, waitFor };
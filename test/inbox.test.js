@@ -0,0 +1,43 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+const { createRedisStore } = require('../lib/store');
+const { createStoreInbox, createFileInbox } = require('../lib/inbox');
+
+describe('notification inbox', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drivex-inbox-'));
+  // ioredis-mock clients share their data, like two nodes on one Redis
+  const stores = [createRedisStore(new RedisMock(), { prefix: 'inbox-test:' }), createRedisStore(new RedisMock(), { prefix: 'inbox-test:' })];
+
+  after(async () => {
+    await Promise.all(stores.map(store => store.close()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('hands a node what another node queued', async () => {
+    const [a, b] = stores.map(store => createStoreInbox(store));
+    const entry = await a.add('user:u1', { event: 'share:new', data: { fileName: 'a.png' } });
+
+    assert.deepEqual((await b.pending(['user:u1'])).map(n => n.id), [entry.id]);
+    assert.deepEqual(await b.markDelivered(['user:u1'], null), [entry.id]);
+    assert.deepEqual(await a.pending(['user:u1']), []);
+    assert.equal(await a.unreadCount(['user:u1']), 1);
+  });
+
+  it('merges keys, keeps the newest within the limit per key and reports what it stamped', async () => {
+    const box = createFileInbox(dir, { limit: 2 });
+    const first = await box.add('user:u2', { event: 'e', data: 1 });
+    const second = await box.add('email:u2@example.com', { event: 'e', data: 2 });
+    await box.add('user:u2', { event: 'e', data: 3 });
+    await box.add('user:u2', { event: 'e', data: 4 });
+
+    const listed = await box.list(['user:u2', 'email:u2@example.com']);
+    // The oldest of user:u2 fell off; entries made within the same millisecond have no set order
+    assert.deepEqual(listed.map(n => n.data).sort(), [2, 3, 4]);
+    assert.deepEqual(await box.markRead(['user:u2', 'email:u2@example.com'], [second.id, first.id]), [second.id]);
+    assert.deepEqual(await box.markRead(['email:u2@example.com'], [second.id]), []);
+  });
+});
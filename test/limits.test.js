@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io } = require('socket.io-client');
+const { startServer, userToken, nextEvent } = require('./helpers');
+
+const newSession = (server, userId = 'owner-1', headers = {}) => fetch(`${server.url}/cast/token`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', authorization: `Bearer ${userToken(userId)}`, ...headers },
+  body: JSON.stringify({ role: 'controller' })
+});
+
+// Resolves with the handshake's error code, or null once connected
+const handshake = (server, token, headers) => new Promise((resolve) => {
+  const socket = io(server.url, { auth: { sessionToken: token }, extraHeaders: headers, forceNew: true, reconnection: false });
+  socket.once('connect', () => {
+    socket.disconnect();
+    resolve(null);
+  });
+  socket.once('connect_error', (err) => resolve(err.data?.code));
+});
+
+describe('session quota', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ MAX_SESSIONS_PER_IP: '2' });
+  });
+
+  after(() => server.stop());
+
+  it('refuses an address that created MAX_SESSIONS_PER_IP sessions in the window', async () => {
+    assert.equal((await newSession(server)).status, 200);
+    assert.equal((await newSession(server, 'owner-2')).status, 200);
+
+    const refused = await newSession(server, 'owner-3');
+    assert.equal(refused.status, 429);
+    assert.match((await refused.json()).error, /new sessions per address/);
+  });
+
+  it('lets tokens for existing sessions through', async () => {
+    const viewer = await fetch(`${server.url}/cast/token`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${userToken('viewer-1')}` },
+      body: JSON.stringify({ role: 'viewer', sessionId: (await server.store.listSessions())[0][0] })
+    });
+    assert.equal(viewer.status, 200);
+  });
+});
+
+describe('session cap', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ MAX_SESSIONS: '1' });
+  });
+
+  after(() => server.stop());
+
+  it('refuses new sessions once MAX_SESSIONS exist', async () => {
+    assert.equal((await newSession(server)).status, 200);
+    const refused = await newSession(server);
+    assert.equal(refused.status, 429);
+    assert.equal((await refused.json()).error, 'Server is at its session limit');
+  });
+});
+
+describe('behind a proxy', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ MAX_SESSIONS_PER_IP: '1', IP_RATE_BURST: '1', IP_RATE_PER_SECOND: '0.01', TRUST_PROXY: 'loopback' });
+  });
+
+  after(() => server.stop());
+
+  it('counts sessions per forwarded client', async () => {
+    const from = (ip) => ({ 'x-forwarded-for': ip });
+    assert.equal((await newSession(server, 'owner-1', from('203.0.113.1'))).status, 200);
+    assert.equal((await newSession(server, 'owner-1', from('203.0.113.1'))).status, 429);
+    assert.equal((await newSession(server, 'owner-1', from('203.0.113.2'))).status, 200);
+  });
+
+  it('rate-limits socket handshakes per forwarded client', async () => {
+    const { token } = await server.castToken('controller');
+    assert.equal(await handshake(server, token, { 'x-forwarded-for': '198.51.100.1' }), null);
+    assert.equal(await handshake(server, token, { 'x-forwarded-for': '198.51.100.1' }), 'RATE_LIMITED');
+    assert.equal(await handshake(server, token, { 'x-forwarded-for': '198.51.100.2' }), null);
+  });
+});
+
+describe('without TRUST_PROXY', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ MAX_SESSIONS_PER_IP: '1' });
+  });
+
+  after(() => server.stop());
+
+  it('ignores X-Forwarded-For', async () => {
+    assert.equal((await newSession(server, 'owner-1', { 'x-forwarded-for': '203.0.113.1' })).status, 200);
+    assert.equal((await newSession(server, 'owner-1', { 'x-forwarded-for': '203.0.113.2' })).status, 429);
+  });
+});
+
+describe('event rate limits', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      CAST_RATE_LIMITS: JSON.stringify({ 'get-viewer-count': { burst: 2, perSecond: 0.01 }, 'ping-projector': { burst: 0 } }),
+      RATE_LIMIT_STRIKES: '2'
+    });
+  });
+
+  after(() => server.stop());
+
+  const ask = (socket, sessionId) => socket.timeout(2000).emitWithAck('get-viewer-count', { sessionId });
+
+  it('refuses events over the bucket with RATE_LIMITED, per socket', async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    assert.equal((await ask(controller.socket, sessionId)).ok, true);
+    assert.equal((await ask(controller.socket, sessionId)).ok, true);
+    assert.equal((await ask(controller.socket, sessionId)).error, 'RATE_LIMITED');
+
+    const other = await server.joinCast('controller', { sessionId });
+    assert.equal((await ask(other.socket, sessionId)).ok, true);
+  });
+
+  it('kicks a socket that keeps going once its strikes are used up', async () => {
+    const { socket, sessionId } = await server.joinCast('controller');
+    await ask(socket, sessionId);
+    await ask(socket, sessionId);
+    const kicked = nextEvent(socket, 'kicked');
+    const disconnected = nextEvent(socket, 'disconnect');
+    for (let i = 0; i < 3; i++) socket.emit('get-viewer-count', { sessionId });
+    assert.equal((await kicked).reason, 'Too many requests');
+    await disconnected;
+  });
+
+  it('keeps the default for an entry without a positive burst', async () => {
+    const { socket, sessionId } = await server.joinCast('controller');
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await socket.timeout(2000).emitWithAck('ping-projector', { sessionId })).ok, true);
+    }
+  });
+});
+
+describe('CAST_RATE_LIMITS that is not JSON', () => {
+  let server;
+  const warnings = [];
+  const warn = console.warn;
+
+  before(async () => {
+    console.warn = (message) => warnings.push(message);
+    try {
+      server = await startServer({ CAST_RATE_LIMITS: '{"video-seek":' });
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  after(() => server.stop());
+
+  it('is reported and the server starts with the default limits', async () => {
+    assert.ok(warnings.some(message => message.includes('CAST_RATE_LIMITS is not valid JSON')));
+    const { ack } = await server.joinCast('controller');
+    assert.equal(ack.ok, true);
+  });
+});
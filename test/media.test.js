@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, nextEvent } = require('./helpers');
+const { isPublicAddress } = require('../lib/upstream');
+
+const FILE = Buffer.from('0123456789abcdefghij');
+
+// Stands in for the file host: /video.mp4 with Range support, plus redirects
+const startFileHost = () => new Promise((resolve) => {
+  const host = http.createServer((req, res) => {
+    const { port } = host.address();
+    if (req.url === '/hop') {
+      res.writeHead(302, { location: '/video.mp4' });
+      return res.end();
+    }
+    if (req.url === '/elsewhere') {
+      res.writeHead(302, { location: `http://localhost:${port}/video.mp4` });
+      return res.end();
+    }
+    const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+    if (range) {
+      const [start, end] = [Number(range[1]), Number(range[2])];
+      res.writeHead(206, {
+        'content-type': 'video/mp4',
+        'content-range': `bytes ${start}-${end}/${FILE.length}`,
+        'accept-ranges': 'bytes'
+      });
+      return res.end(FILE.subarray(start, end + 1));
+    }
+    res.writeHead(200, { 'content-type': 'video/mp4', 'accept-ranges': 'bytes' });
+    res.end(FILE);
+  });
+  host.listen(0, '127.0.0.1', () => resolve(host));
+});
+
+// Casts `url` and returns the link the projector got for it
+const castLink = async (server, url) => {
+  const controller = await server.joinCast('controller');
+  const projector = await server.joinCast('projector', { sessionId: controller.sessionId });
+  const update = nextEvent(projector.socket, 'cast-update');
+  const ack = await controller.socket.timeout(2000).emitWithAck('cast-update', {
+    sessionId: controller.sessionId,
+    url,
+    fileName: 'video.mp4',
+    index: 0,
+    total: 1
+  });
+  assert.equal(ack.ok, true);
+  return { controller, link: (await update).url };
+};
+
+describe('media links', () => {
+  let fileHost;
+  let fileUrl;
+
+  before(async () => {
+    fileHost = await startFileHost();
+    fileUrl = `http://127.0.0.1:${fileHost.address().port}`;
+  });
+
+  after(() => new Promise(resolve => fileHost.close(resolve)));
+
+  describe('with the file host allowed', () => {
+    let server;
+
+    before(async () => {
+      server = await startServer({ MEDIA_PROXY_HOSTS: '127.0.0.1', MEDIA_PROXY_ALLOW_PRIVATE: 'true' });
+    });
+
+    after(() => server.stop());
+
+    it('sends signed links instead of the file URL', async () => {
+      const { link } = await castLink(server, `${fileUrl}/video.mp4`);
+      assert.match(link, /^\/media\/[\w-]{43}$/);
+    });
+
+    it('streams the file with Range support', async () => {
+      const { link } = await castLink(server, `${fileUrl}/video.mp4`);
+      const res = await fetch(`${server.url}${link}`, { headers: { range: 'bytes=2-5' } });
+      assert.equal(res.status, 206);
+      assert.equal(res.headers.get('content-range'), 'bytes 2-5/20');
+      assert.equal(res.headers.get('cache-control'), 'private, no-store');
+      assert.equal(await res.text(), '2345');
+    });
+
+    it('follows a redirect on an allowed host', async () => {
+      const { link } = await castLink(server, `${fileUrl}/hop`);
+      const res = await fetch(`${server.url}${link}`);
+      assert.equal(res.status, 200);
+      assert.equal(await res.text(), FILE.toString());
+    });
+
+    it('refuses a redirect to a host that is not allowed', async () => {
+      const { link } = await castLink(server, `${fileUrl}/elsewhere`);
+      const res = await fetch(`${server.url}${link}`);
+      assert.equal(res.status, 403);
+    });
+
+    it('drops file fields other than the known ones', async () => {
+      const controller = await server.joinCast('controller');
+      const { sessionId } = controller;
+      const projector = await server.joinCast('projector', { sessionId });
+      const extra = { thumbnailUrl: `${fileUrl}/thumb.jpg`, downloadUrl: `${fileUrl}/video.mp4?dl=1` };
+
+      const list = nextEvent(projector.socket, 'cast-file-list');
+      const queue = nextEvent(projector.socket, 'queue-updated');
+      await controller.socket.timeout(2000).emitWithAck('cast-file-list', {
+        sessionId,
+        files: [{ url: `${fileUrl}/video.mp4`, fileName: 'video.mp4', mimeType: 'video/mp4', ...extra }]
+      });
+      const [file] = (await list).files;
+      assert.deepEqual(Object.keys(file).sort(), ['fileName', 'itemId', 'mimeType', 'url']);
+      assert.deepEqual(Object.keys((await queue).files[0]).sort(), ['fileName', 'itemId', 'mimeType', 'url']);
+
+      const update = nextEvent(projector.socket, 'cast-update');
+      await controller.socket.timeout(2000).emitWithAck('cast-update', { sessionId, url: `${fileUrl}/other.mp4`, ...extra });
+      const cast = await update;
+      assert.equal(cast.thumbnailUrl, undefined);
+      assert.equal(cast.downloadUrl, undefined);
+      assert.match(cast.url, /^\/media\//);
+    });
+
+    it('revokes links on cast-stop', async () => {
+      const { controller, link } = await castLink(server, `${fileUrl}/video.mp4`);
+      await controller.socket.timeout(2000).emitWithAck('cast-stop', { sessionId: controller.sessionId });
+      const res = await fetch(`${server.url}${link}`);
+      assert.equal(res.status, 410);
+    });
+
+    it('answers 410 for an unknown link', async () => {
+      const res = await fetch(`${server.url}/media/${'x'.repeat(43)}`);
+      assert.equal(res.status, 410);
+    });
+  });
+
+  describe('with private addresses refused', () => {
+    let server;
+
+    before(async () => {
+      server = await startServer({ MEDIA_PROXY_HOSTS: '127.0.0.1,localhost' });
+    });
+
+    after(() => server.stop());
+
+    it('refuses an allowed host on a loopback address', async () => {
+      const { link } = await castLink(server, `${fileUrl}/video.mp4`);
+      assert.equal((await fetch(`${server.url}${link}`)).status, 403);
+    });
+
+    it('refuses a name that resolves to a loopback address', async () => {
+      const { link } = await castLink(server, `http://localhost:${fileHost.address().port}/video.mp4`);
+      assert.equal((await fetch(`${server.url}${link}`)).status, 403);
+    });
+  });
+
+  describe('without MEDIA_PROXY_HOSTS', () => {
+    let server;
+
+    before(async () => {
+      server = await startServer({ MEDIA_PROXY_ALLOW_PRIVATE: 'true' });
+    });
+
+    after(() => server.stop());
+
+    it('sends file URLs unchanged instead of links that cannot load', async () => {
+      const { link } = await castLink(server, `${fileUrl}/video.mp4`);
+      assert.equal(link, `${fileUrl}/video.mp4`);
+    });
+  });
+
+  it('tells public addresses from internal ones', () => {
+    ['93.184.216.34', '2606:2800:220:1::1'].forEach(address => assert.equal(isPublicAddress(address), true, address));
+    [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+      '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254', 'not-an-ip'
+    ].forEach(address => assert.equal(isPublicAddress(address), false, address));
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('metrics', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ METRICS_TOKEN: 'test-metrics-token' });
+  });
+
+  after(() => server.stop());
+
+  const scrape = async (token = 'test-metrics-token') => {
+    const res = await fetch(`${server.url}/metrics`, { headers: token ? { authorization: `Bearer ${token}` } : {} });
+    return { status: res.status, text: await res.text() };
+  };
+
+  // The sample lines of `name` (without HELP/TYPE)
+  const samples = (text, name) => text.split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+
+  it('needs METRICS_TOKEN when one is set', async () => {
+    assert.equal((await scrape(null)).status, 401);
+    assert.equal((await scrape('wrong')).status, 401);
+  });
+
+  it('reports viewers per session without a series per session, from one read of the sessions', async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    await server.joinCast('viewer', { sessionId, userId: 'viewer-2', viewerId: 'viewer-b' });
+    await server.joinCast('controller');
+
+    const listSessions = server.store.listSessions;
+    let reads = 0;
+    server.store.listSessions = (...args) => {
+      reads++;
+      return listSessions.apply(server.store, args);
+    };
+    let text;
+    try {
+      const res = await scrape();
+      assert.equal(res.status, 200);
+      text = res.text;
+    } finally {
+      server.store.listSessions = listSessions;
+    }
+    assert.equal(reads, 1);
+
+    assert.equal(text.includes(sessionId), false);
+    assert.equal(text.includes('session_id'), false);
+    assert.deepEqual(samples(text, 'drivex_session_viewers_sum'), ['drivex_session_viewers_sum 2']);
+    assert.deepEqual(samples(text, 'drivex_session_viewers_count'), ['drivex_session_viewers_count 2']);
+    assert.ok(samples(text, 'drivex_session_viewers_bucket').includes('drivex_session_viewers_bucket{le="0"} 1'));
+    assert.ok(samples(text, 'drivex_cast_sessions').includes('drivex_cast_sessions{roles="controller,viewer"} 1'));
+    assert.ok(samples(text, 'drivex_cast_sessions').includes('drivex_cast_sessions{roles="controller"} 1'));
+    assert.ok(samples(text, 'drivex_cast_events_total').includes('drivex_cast_events_total{event="viewer-joined",result="ok"} 2'));
+  });
+
+  it('forgets sessions that ended', async () => {
+    for (const [sessionId] of await server.store.listSessions()) await server.store.deleteSession(sessionId);
+    const { text } = await scrape();
+    assert.deepEqual(samples(text, 'drivex_session_viewers_count'), ['drivex_session_viewers_count 0']);
+    assert.deepEqual(samples(text, 'drivex_cast_sessions'), []);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, userToken, received, nextEvent, noEvent } = require('./helpers');
+
+describe('notifications', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const subscribe = async (socket, subscriptions) => {
+    const ack = await socket.timeout(2000).emitWithAck('notifications:subscribe', subscriptions);
+    assert.equal(ack.ok, true);
+    return ack;
+  };
+
+  describe('POST /notify', () => {
+    it('pushes to every socket of an online user', async () => {
+      const token = userToken('user-1', 'one@example.com');
+      const phone = await server.connectNotifications(token, 'mobile');
+      const laptop = await server.connectNotifications(token, 'web');
+
+      const pushes = [phone, laptop].map(socket => nextEvent(socket, 'file:shared'));
+      const { status, body } = await server.postSigned('/notify', {
+        event: 'file:shared',
+        userId: 'user-1',
+        data: { fileName: 'report.pdf' }
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body, { success: true, delivered: 1, subscribers: 0 });
+
+      const [first, second] = await Promise.all(pushes);
+      assert.equal(first.fileName, 'report.pdf');
+      assert.ok(first.notificationId);
+      assert.equal(second.notificationId, first.notificationId);
+    });
+
+    it('reaches a user by email as well', async () => {
+      const socket = await server.connectNotifications(userToken('user-2', 'two@example.com'));
+      const push = nextEvent(socket, 'file:shared');
+      const { body } = await server.postSigned('/notify', { event: 'file:shared', email: 'Two@Example.com', data: {} });
+      assert.equal(body.delivered, 1);
+      await push;
+    });
+
+    it('queues for an offline user and delivers on connect', async () => {
+      const { body } = await server.postSigned('/notify', {
+        event: 'file:shared',
+        userId: 'user-3',
+        data: { fileName: 'later.pdf' }
+      });
+      assert.deepEqual(body, { success: true, delivered: 0, subscribers: 0 });
+
+      const socket = await server.connectNotifications(userToken('user-3'));
+      const [queued] = received(socket, 'file:shared');
+      assert.equal(queued.fileName, 'later.pdf');
+      assert.deepEqual(received(socket, 'notifications:unread'), [{ count: 1 }]);
+    });
+
+    it('publishes to channel subscribers only', async () => {
+      const member = await server.connectNotifications(userToken('user-4'));
+      const outsider = await server.connectNotifications(userToken('user-5'));
+      await subscribe(member, { channels: ['/team'] });
+
+      const push = nextEvent(member, 'channel:update');
+      const { body } = await server.postSigned('/notify', { event: 'channel:update', channel: '/team', data: { n: 1 } });
+      assert.deepEqual(body, { success: true, delivered: 0, subscribers: 1 });
+      assert.deepEqual(await push, { n: 1 });
+      await noEvent(outsider, 'channel:update');
+    });
+
+    it('delivers a batch in order', async () => {
+      const socket = await server.connectNotifications(userToken('user-6'));
+      const { body } = await server.postSigned('/notify', {
+        events: [
+          { event: 'step', userId: 'user-6', data: { n: 1 } },
+          { event: 'step', userId: 'user-6', data: { n: 2 } },
+          { event: 'step', userId: 'nobody-online', data: { n: 3 } }
+        ]
+      });
+      assert.equal(body.delivered, 2);
+      assert.deepEqual(body.results.map(result => result.delivered), [1, 1, 0]);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.deepEqual(received(socket, 'step').map(payload => payload.n), [1, 2]);
+    });
+
+    it('rejects unsigned and untargeted requests', async () => {
+      const res = await fetch(`${server.url}/notify`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ event: 'file:shared', userId: 'user-1' })
+      });
+      assert.equal(res.status, 401);
+
+      const { status } = await server.postSigned('/notify', { event: 'file:shared' });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('POST /chat/broadcast', () => {
+    const message = { _id: 'm-1', content: 'Hello team', senderName: 'Ana', senderId: 'user-9' };
+
+    it('delivers to the listed recipients and queues for offline ones', async () => {
+      const online = await server.connectNotifications(userToken('user-7'));
+      const push = nextEvent(online, 'chat:message');
+
+      const { status, body } = await server.postSigned('/chat/broadcast', {
+        channelPath: '/general',
+        message,
+        recipients: [{ userId: 'user-7' }, { userId: 'user-8' }]
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(body, { success: true, delivered: 1 });
+
+      const chat = await push;
+      assert.equal(chat.channelName, 'general');
+      assert.equal(chat.messagePreview, 'Hello team');
+      assert.equal(chat.messageId, 'm-1');
+
+      const later = await server.connectNotifications(userToken('user-8'));
+      assert.equal(received(later, 'chat:message')[0].messageId, 'm-1');
+    });
+
+    it('publishes to channel subscribers without a recipient list', async () => {
+      const member = await server.connectNotifications(userToken('user-10'));
+      await subscribe(member, { channels: ['/random'] });
+
+      const push = nextEvent(member, 'chat:message');
+      const { body } = await server.postSigned('/chat/broadcast', { channelPath: '/random', message });
+      assert.deepEqual(body, { success: true, subscribers: 1 });
+      assert.equal((await push).channelPath, '/random');
+    });
+
+    it('requires a message and a target', async () => {
+      const { status } = await server.postSigned('/chat/broadcast', { message });
+      assert.equal(status, 400);
+    });
+  });
+});
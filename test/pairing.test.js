@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, userToken, nextEvent } = require('./helpers');
+const { JOIN_EVENTS } = require('../lib/protocol');
+
+describe('pairing codes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ PAIRING_MAX_FAILURES: '2', TRUST_PROXY: 'loopback' });
+  });
+
+  after(() => server.stop());
+
+  const post = async (route, body, headers = {}) => {
+    const res = await fetch(`${server.url}${route}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${userToken('owner-1')}`, ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const redeem = (code, ip) => post('/cast/pair/redeem', { code }, { 'x-forwarded-for': ip });
+
+  it('pairs a controller with the projector showing the code, once', async () => {
+    const pair = await post('/cast/pair', {});
+    assert.equal(pair.status, 200);
+    assert.match(pair.body.code, /^[A-Z2-9]{6}$/);
+    const projector = await server.connectCast(pair.body.token);
+    await projector.timeout(2000).emitWithAck(JOIN_EVENTS.projector, { sessionId: pair.body.sessionId });
+
+    const redeemed = nextEvent(projector, 'pairing-redeemed');
+    const first = await redeem(pair.body.code.toLowerCase(), '203.0.113.1');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.sessionId, pair.body.sessionId);
+    assert.equal(first.body.role, 'controller');
+    await redeemed;
+
+    assert.equal((await redeem(pair.body.code, '203.0.113.1')).status, 404);
+  });
+
+  it('locks out only the client that kept guessing', async () => {
+    const pair = await post('/cast/pair', {});
+    assert.equal((await redeem('AAAAAA', '203.0.113.7')).status, 404);
+    assert.equal((await redeem('AAAAAA', '203.0.113.7')).status, 404);
+    assert.equal((await redeem(pair.body.code, '203.0.113.7')).status, 429);
+
+    assert.equal((await redeem(pair.body.code, '203.0.113.8')).status, 200);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent } = require('./helpers');
+
+describe('playback and clock sync', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ PLAYBACK_LEAD_MS: '100' });
+  });
+
+  after(() => server.stop());
+
+  const send = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // A host and an admitted viewer on a session showing a video
+  const videoSession = async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const host = await server.joinCast('host', { sessionId });
+    await send(host.socket, 'cast-update', { sessionId, url: 'https://files.example/talk.mp4', fileName: 'talk.mp4' });
+    const viewer = await server.joinCast('viewer', { sessionId, userId: 'viewer-1', viewerId: 'viewer-a' });
+    return { sessionId, host: host.socket, viewer: viewer.socket };
+  };
+
+  it('sends viewers a play instruction they can follow with the synced clock', async () => {
+    const { sessionId, host, viewer } = await videoSession();
+
+    const played = nextEvent(viewer, 'video-play');
+    const ack = await send(host, 'video-play', { sessionId, position: 10 });
+    const { playback } = await played;
+    assert.deepEqual(playback, ack.playback);
+    assert.equal(playback.playing, true);
+    assert.equal(playback.position, 10);
+    // Scheduled PLAYBACK_LEAD_MS ahead so every screen starts together
+    assert.equal(playback.at - playback.serverTime, 100);
+
+    const clientTime = Date.now();
+    const sync = await send(viewer, 'time-sync', { clientTime });
+    assert.equal(sync.clientTime, clientTime);
+    assert.ok(Math.abs(sync.serverTime - Date.now()) < 1000);
+
+    // Half a second after the start the viewer should be half a second in
+    await sleep(playback.at - sync.serverTime + 500);
+    const { playback: now } = await send(viewer, 'get-playback', { sessionId });
+    const expected = 10 + (now.serverTime - playback.at) / 1000;
+    assert.ok(Math.abs(now.position - expected) < 0.01, `at ${now.position}s, expected ${expected}s`);
+    assert.ok(now.position > 10.4 && now.position < 11);
+  });
+
+  it('stops the clock on pause and answers time-sync without an ack too', async () => {
+    const { sessionId, host, viewer } = await videoSession();
+    await send(host, 'video-play', { sessionId, position: 0 });
+    await sleep(300);
+
+    const paused = nextEvent(viewer, 'video-pause');
+    const { playback } = await send(host, 'video-pause', { sessionId });
+    assert.deepEqual((await paused).playback, playback);
+    assert.equal(playback.playing, false);
+
+    await sleep(200);
+    assert.equal((await send(viewer, 'get-playback', { sessionId })).playback.position, playback.position);
+
+    const reply = nextEvent(viewer, 'time-sync');
+    viewer.emit('time-sync', { clientTime: 42 });
+    assert.equal((await reply).clientTime, 42);
+  });
+
+  it('leaves playback to control roles', async () => {
+    const { sessionId, viewer } = await videoSession();
+    assert.equal((await send(viewer, 'video-play', { sessionId })).error, 'FORBIDDEN_ROLE');
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent } = require('./helpers');
+const playlist = require('../lib/playlist');
+
+const file = (name) => ({ url: `https://files.example/${name}.png`, fileName: `${name}.png` });
+
+// A session with files a..e (or `names`), the first one current
+const sessionWith = (names = ['a', 'b', 'c', 'd', 'e']) => {
+  const session = playlist.setFileList({ fileList: [] }, names.map(file));
+  return playlist.jumpTo(session, 0);
+};
+
+const names = (session) => session.fileList.map(f => f.fileName);
+const current = (session) => session.currentFile?.fileName ?? null;
+const itemId = (session, name) => session.fileList.find(f => f.fileName === `${name}.png`).itemId;
+
+describe('playlist', () => {
+  it('adds at a position and keeps the current file\'s index right', () => {
+    const session = playlist.enqueue(sessionWith(['a', 'b']), [file('x'), file('y')], 0);
+    assert.deepEqual(names(session), ['x.png', 'y.png', 'a.png', 'b.png']);
+    assert.equal(current(session), 'a.png');
+    assert.equal(session.currentFile.index, 2);
+    assert.equal(session.currentFile.total, 4);
+  });
+
+  it('moves an item and refuses unknown ones', () => {
+    const session = sessionWith(['a', 'b', 'c']);
+    const moved = playlist.moveItem(session, itemId(session, 'a'), 2);
+    assert.deepEqual(names(moved), ['b.png', 'c.png', 'a.png']);
+    assert.equal(moved.currentFile.index, 2);
+    assert.throws(() => playlist.moveItem(session, 'no-such-item', 0), { code: 'ITEM_NOT_FOUND' });
+  });
+
+  it('moves on to the next item when the current one is removed', () => {
+    const session = sessionWith(['a', 'b', 'c']);
+    const removed = playlist.removeItem(session, itemId(session, 'a'));
+    assert.deepEqual(names(removed), ['b.png', 'c.png']);
+    assert.equal(current(removed), 'b.png');
+    assert.equal(removed.currentFile.index, 0);
+
+    // Nothing after the last item: the screen goes empty
+    const last = playlist.jumpTo(session, 2);
+    const emptied = playlist.removeItem(last, itemId(last, 'c'));
+    assert.equal(emptied.currentFile, null);
+    assert.equal(emptied.queue.currentItemId, null);
+  });
+
+  it('stops at either end unless repeating all', () => {
+    const session = sessionWith(['a', 'b']);
+    assert.equal(playlist.stepQueue(session, -1), session);
+    const last = playlist.stepQueue(session, 1);
+    assert.equal(current(last), 'b.png');
+    assert.equal(playlist.stepQueue(last, 1), last);
+
+    const wrapped = playlist.stepQueue(playlist.setRepeat(last, 'all'), 1);
+    assert.equal(current(wrapped), 'a.png');
+    assert.equal(current(playlist.stepQueue(playlist.setRepeat(session, 'all'), -1)), 'b.png');
+  });
+
+  it('replays the same item on auto-advance with repeat one, but not on next', () => {
+    const session = playlist.setRepeat(sessionWith(['a', 'b']), 'one');
+    const replayed = playlist.stepQueue(session, 1, { auto: true });
+    assert.equal(current(replayed), 'a.png');
+    assert.equal(replayed.playback, null);
+    assert.equal(current(playlist.stepQueue(session, 1)), 'b.png');
+  });
+
+  it('shuffles with the current item first and plays items added later after the shuffled ones', () => {
+    const session = playlist.setShuffle(sessionWith(), true);
+    const { order } = playlist.queueState(session);
+    assert.equal(order[0], itemId(session, 'a'));
+    assert.deepEqual([...order].sort(), session.fileList.map(f => f.itemId).sort());
+
+    const added = playlist.enqueue(session, [file('f')], 0);
+    const after = playlist.queueState(added).order;
+    assert.deepEqual(after.slice(0, 5), order);
+    assert.equal(after[5], itemId(added, 'f'));
+
+    // Stepping follows the shuffled order
+    let stepped = added;
+    for (const id of after.slice(1)) {
+      stepped = playlist.stepQueue(stepped, 1);
+      assert.equal(stepped.queue.currentItemId, id);
+    }
+
+    assert.deepEqual(playlist.queueState(playlist.setShuffle(added, false)).order, added.fileList.map(f => f.itemId));
+  });
+
+  it('keeps showing the same file when the list is replaced around it', () => {
+    const session = playlist.jumpTo(sessionWith(['a', 'b']), 1);
+    const replaced = playlist.setFileList(session, [file('x'), file('b')]);
+    assert.equal(current(replaced), 'b.png');
+    assert.equal(replaced.currentFile.index, 1);
+    assert.equal(playlist.setFileList(session, [file('x')]).queue.currentItemId, null);
+  });
+});
+
+describe('queue events', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const send = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+  const fileNames = (queue) => queue.files.map(f => f.fileName);
+
+  it('edits the queue and tells the whole session', async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const projector = await server.joinCast('projector', { sessionId });
+    await send(controller.socket, 'cast-file-list', { sessionId, files: [file('a'), file('b')] });
+
+    const { queue: added } = await send(controller.socket, 'queue-add', { sessionId, files: [file('c')] });
+    assert.deepEqual(fileNames(added), ['a.png', 'b.png', 'c.png']);
+
+    const shown = nextEvent(projector.socket, 'cast-update');
+    const { queue: jumped } = await send(controller.socket, 'queue-jump', { sessionId, index: 0 });
+    assert.equal(jumped.currentIndex, 0);
+    assert.equal((await shown).fileName, 'a.png');
+
+    const updated = nextEvent(projector.socket, 'queue-updated');
+    const c = added.files[2].itemId;
+    const { queue: moved } = await send(controller.socket, 'queue-move', { sessionId, itemId: c, toIndex: 0 });
+    assert.deepEqual(fileNames(moved), ['c.png', 'a.png', 'b.png']);
+    assert.deepEqual(fileNames(await updated), ['c.png', 'a.png', 'b.png']);
+
+    const next = nextEvent(projector.socket, 'cast-update');
+    const { queue: removed } = await send(controller.socket, 'queue-remove', { sessionId, itemId: jumped.currentItemId });
+    assert.deepEqual(fileNames(removed), ['c.png', 'b.png']);
+    assert.equal((await next).fileName, 'b.png');
+
+    assert.equal((await send(controller.socket, 'queue-next', { sessionId })).queue.currentIndex, 1);
+    assert.equal((await send(controller.socket, 'queue-previous', { sessionId })).queue.currentIndex, 0);
+    assert.equal((await send(controller.socket, 'queue-repeat', { sessionId, mode: 'all' })).queue.repeat, 'all');
+    const { queue: shuffled } = await send(controller.socket, 'queue-shuffle', { sessionId, enabled: true });
+    assert.equal(shuffled.shuffle, true);
+    assert.equal(shuffled.order[0], shuffled.currentItemId);
+
+    // Same queue, with the projector's own media links
+    const { queue } = await send(projector.socket, 'queue-get', { sessionId });
+    assert.deepEqual(queue.order, shuffled.order);
+    assert.deepEqual(fileNames(queue), fileNames(shuffled));
+  });
+
+  it('answers ITEM_NOT_FOUND for items that are not in the queue', async () => {
+    const { socket, sessionId } = await server.joinCast('controller');
+    assert.equal((await send(socket, 'queue-remove', { sessionId, itemId: 'no-such-item' })).error, 'ITEM_NOT_FOUND');
+    assert.equal((await send(socket, 'queue-jump', { sessionId, index: 3 })).error, 'ITEM_NOT_FOUND');
+  });
+});
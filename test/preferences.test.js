@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+const { startServer, userToken, nextEvent, noEvent } = require('./helpers');
+const { createRedisStore } = require('../lib/store');
+const { suppression, createStorePreferences, createFilePreferences } = require('../lib/preferences');
+
+const prefs = (changes) => ({ mutedEvents: [], mutedChannels: [], quietHours: null, clientTypes: null, ...changes });
+
+describe('suppression', () => {
+  const note = { event: 'file:shared', data: { channelPath: 'team/design' } };
+
+  it('lets everything through without preferences', () => {
+    assert.equal(suppression(null, note), null);
+    assert.equal(suppression(prefs(), note), null);
+  });
+
+  it('holds back muted events and channels', () => {
+    assert.equal(suppression(prefs({ mutedEvents: ['file:shared'] }), note), 'muted-event');
+    assert.equal(suppression(prefs({ mutedChannels: ['team/design'] }), note), 'muted-channel');
+    assert.equal(suppression(prefs({ mutedChannels: ['team/other'] }), note), null);
+  });
+
+  it('holds back pushes in quiet hours on the user\'s clock, across midnight', () => {
+    const quietHours = { start: '22:00', end: '07:00', timeZone: 'Europe/Berlin' };
+    // 21:30 UTC is 22:30 in Berlin in January; 06:30 UTC is 07:30
+    assert.equal(suppression(prefs({ quietHours }), note, Date.UTC(2026, 0, 15, 21, 30)), 'quiet-hours');
+    assert.equal(suppression(prefs({ quietHours }), note, Date.UTC(2026, 0, 15, 4, 0)), 'quiet-hours');
+    assert.equal(suppression(prefs({ quietHours }), note, Date.UTC(2026, 0, 15, 6, 30)), null);
+    assert.equal(suppression(prefs({ quietHours: { start: '09:00', end: '09:00' } }), note, Date.UTC(2026, 0, 15, 9, 0)), null);
+  });
+});
+
+describe('notification preferences', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const send = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+
+  it('saves changes and tells the user\'s other sockets', async () => {
+    const token = userToken('prefs-1');
+    const phone = await server.connectNotifications(token, 'mobile');
+    const laptop = await server.connectNotifications(token, 'desktop');
+
+    const changed = nextEvent(laptop, 'notifications:preferences-changed');
+    const ack = await send(phone, 'notifications:preferences-update', { mutedEvents: ['share:new'], quietHours: { start: '22:00', end: '07:00' } });
+    assert.equal(ack.ok, true);
+    assert.deepEqual(ack.preferences.mutedEvents, ['share:new']);
+    assert.equal(ack.preferences.quietHours.timeZone, 'UTC');
+    assert.deepEqual((await changed).preferences.mutedEvents, ['share:new']);
+
+    const read = await send(laptop, 'notifications:preferences', {});
+    assert.deepEqual(read.preferences.mutedEvents, ['share:new']);
+    assert.equal(read.clientType, 'desktop');
+  });
+
+  it('refuses an unknown time zone', async () => {
+    const socket = await server.connectNotifications(userToken('prefs-2'));
+    const ack = await send(socket, 'notifications:preferences-update', { quietHours: { start: '22:00', end: '07:00', timeZone: 'Mars/Olympus' } });
+    assert.equal(ack.error, 'INVALID_PAYLOAD');
+  });
+
+  it('keeps muted notifications in the inbox without pushing them', async () => {
+    const socket = await server.connectNotifications(userToken('prefs-3'));
+    await send(socket, 'notifications:preferences-update', { mutedEvents: ['file:shared'] });
+
+    const quiet = noEvent(socket, 'file:shared');
+    const { body } = await server.postSigned('/notify', { event: 'file:shared', userId: 'prefs-3', data: { fileName: 'a.pdf' } });
+    assert.equal(body.delivered, 0);
+    await quiet;
+
+    const { notifications } = await send(socket, 'notifications:list', {});
+    assert.equal(notifications[0].event, 'file:shared');
+    assert.equal(notifications[0].suppressed, 'muted-event');
+  });
+
+  it('pushes only to the chosen client types', async () => {
+    const token = userToken('prefs-4');
+    const desktop = await server.connectNotifications(token, 'desktop');
+    const web = await server.connectNotifications(token, 'web');
+    await send(desktop, 'notifications:preferences-update', { clientTypes: ['desktop'] });
+
+    const pushed = nextEvent(desktop, 'file:shared');
+    const skipped = noEvent(web, 'file:shared');
+    await server.postSigned('/notify', { event: 'file:shared', userId: 'prefs-4', data: {} });
+    await pushed;
+    await skipped;
+  });
+
+  it('refuses an empty clientTypes', async () => {
+    const socket = await server.connectNotifications(userToken('prefs-5'));
+    const ack = await send(socket, 'notifications:preferences-update', { clientTypes: [] });
+    assert.equal(ack.error, 'INVALID_PAYLOAD');
+  });
+});
+
+describe('preferences saved before empty clientTypes were refused', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drivex-prefs-'));
+  const file = path.join(dir, 'preferences.json');
+  let server;
+
+  before(async () => {
+    const alice = { mutedEvents: [], mutedChannels: [], quietHours: null, clientTypes: [], updatedAt: 1 };
+    fs.writeFileSync(file, JSON.stringify({ users: { alice } }));
+    server = await startServer({ PREFERENCES_FILE: file });
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('pushes a notification nowhere instead of to everyone', async () => {
+    const alice = await server.connectNotifications(userToken('alice'), 'desktop');
+    const bob = await server.connectNotifications(userToken('bob'), 'desktop');
+
+    const notPushed = Promise.all([noEvent(alice, 'file:shared'), noEvent(bob, 'file:shared')]);
+    const { body } = await server.postSigned('/notify', { event: 'file:shared', userId: 'alice', data: { fileName: 'a.pdf' } });
+    assert.equal(body.delivered, 0);
+    await notPushed;
+
+    const { notifications } = await alice.timeout(2000).emitWithAck('notifications:list', {});
+    assert.equal(notifications[0].event, 'file:shared');
+  });
+});
+
+describe('preference backends', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drivex-prefs-'));
+  // ioredis-mock clients share their data, like two nodes on one Redis
+  const stores = [createRedisStore(new RedisMock(), { prefix: 'prefs-test:' }), createRedisStore(new RedisMock(), { prefix: 'prefs-test:' })];
+
+  after(async () => {
+    await Promise.all(stores.map(store => store.close()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('applies on one node what was saved on another', async () => {
+    const [a, b] = stores.map(store => createStorePreferences(store));
+    assert.equal((await b.get('u1')).quietHours, null);
+    await a.update('u1', { quietHours: { start: '22:00', end: '07:00', timeZone: 'UTC' }, clientTypes: ['mobile'] });
+    await b.update('u1', { mutedEvents: ['share:new'] });
+
+    const seen = await a.get('u1');
+    assert.deepEqual(seen.clientTypes, ['mobile']);
+    assert.equal(seen.quietHours.start, '22:00');
+    assert.deepEqual(seen.mutedEvents, ['share:new']);
+  });
+
+  it('reads the preferences file again instead of keeping the first read', async () => {
+    const file = path.join(dir, 'preferences.json');
+    const first = createFilePreferences(file);
+    assert.deepEqual((await first.get('u1')).mutedEvents, []);
+    await createFilePreferences(file).update('u1', { mutedEvents: ['share:new'] });
+    assert.deepEqual((await first.get('u1')).mutedEvents, ['share:new']);
+  });
+});
+
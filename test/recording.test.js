@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, userToken, waitFor } = require('./helpers');
+const { JOIN_EVENTS } = require('../lib/protocol');
+
+describe('recording and replay', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const send = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+
+  const api = async (method, route, userId, body) => {
+    const res = await fetch(`${server.url}${route}`, {
+      method,
+      headers: { 'content-type': 'application/json', authorization: `Bearer ${userToken(userId)}` },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  // Records `steps(controller)` and returns the recordingId
+  const record = async (steps) => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    await send(controller.socket, 'cast-update', { sessionId, url: 'https://files.example/a.png', fileName: 'a.png' });
+    const { recordingId } = await send(controller.socket, 'recording-start', { sessionId });
+    await steps(controller);
+    await send(controller.socket, 'recording-stop', { sessionId });
+    return recordingId;
+  };
+
+  it('exports a recording to the session owner only', async () => {
+    const recordingId = await record(async ({ socket, sessionId }) => {
+      await send(socket, 'cast-update', { sessionId, url: 'https://files.example/b.png', fileName: 'b.png' });
+    });
+
+    const own = await api('GET', `/cast/recordings/${recordingId}`, 'owner-1');
+    assert.equal(own.status, 200);
+    const events = own.body.recording.events.map(entry => entry.event);
+    assert.deepEqual(events, ['cast-update', 'cast-update']);
+    assert.equal(own.body.recording.events[1].data.sessionId, undefined);
+
+    assert.equal((await api('GET', `/cast/recordings/${recordingId}`, 'someone-else')).status, 404);
+  });
+
+  it('replays an undo against the stroke the replay drew', async () => {
+    const stroke = { points: [0.1, 0.1, 0.5, 0.5] };
+    const recordingId = await record(async ({ socket, sessionId }) => {
+      const first = await send(socket, 'annotation-stroke', { sessionId, ...stroke, color: '#000000' });
+      await send(socket, 'annotation-stroke', { sessionId, ...stroke, color: '#ffffff' });
+      await send(socket, 'annotation-undo', { sessionId, strokeId: first.stroke.strokeId });
+    });
+
+    const { status, body } = await api('POST', '/cast/replay', 'owner-1', { recordingId });
+    assert.equal(status, 200);
+    const session = await waitFor(async () => {
+      const current = await server.store.getSession(body.sessionId);
+      return current && !current.replay && current;
+    });
+    const { strokes } = session.markup['https://files.example/a.png'];
+    assert.deepEqual(strokes.map(s => s.color), ['#ffffff']);
+  });
+
+  it('leaves a replay stopped with replay-stop', async () => {
+    const recordingId = await record(async ({ socket, sessionId }) => {
+      await new Promise(resolve => setTimeout(resolve, 400));
+      await send(socket, 'cast-update', { sessionId, url: 'https://files.example/late.png', fileName: 'late.png' });
+    });
+
+    const { body } = await api('POST', '/cast/replay', 'owner-1', { recordingId, loop: true });
+    const projector = await server.connectCast(body.token);
+    await send(projector, JOIN_EVENTS.projector, { sessionId: body.sessionId });
+    const host = await server.joinCast('controller', { sessionId: body.sessionId });
+
+    assert.equal((await send(host.socket, 'replay-stop', { sessionId: body.sessionId })).ok, true);
+    await new Promise(resolve => setTimeout(resolve, 600));
+    const session = await server.store.getSession(body.sessionId);
+    assert.equal(session.replay, null);
+    assert.notEqual(session.currentFile?.url, 'https://files.example/late.png');
+  });
+});
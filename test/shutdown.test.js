@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { io } = require('socket.io-client');
+const { startServer, userToken, nextEvent, waitFor } = require('./helpers');
+
+const pendingTimers = () => process.getActiveResourcesInfo().filter(type => type === 'Timeout').length;
+
+// Rejects when `promise` takes longer than ms
+const within = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Still pending after ${ms}ms`)), ms))
+]);
+
+// A /notifications socket the helpers don't track, so server.stop() leaves it connected
+const untrackedSocket = (server) => new Promise((resolve, reject) => {
+  const socket = io(`${server.url}/notifications`, { auth: { token: userToken('drain-1') }, forceNew: true, reconnection: false });
+  socket.once('notifications:unread', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+describe('stop()', () => {
+  it('leaves no grace or pointer timers behind', async () => {
+    const before = pendingTimers();
+    const server = await startServer({ RECONNECT_GRACE_MS: '60000', POINTER_INTERVAL_MS: '60000' });
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const projector = await server.joinCast('projector', { sessionId });
+
+    // A pointer flush waiting for its interval, and a display within its grace period
+    await controller.socket.timeout(2000).emitWithAck('pointer-move', { sessionId, x: 0.1, y: 0.1 });
+    await controller.socket.timeout(2000).emitWithAck('pointer-move', { sessionId, x: 0.2, y: 0.2 });
+    const away = nextEvent(controller.socket, 'projector-away');
+    projector.socket.disconnect();
+    await away;
+
+    await server.stop();
+    await waitFor(() => pendingTimers() <= before);
+  });
+
+  it('refuses new sockets while draining', async () => {
+    const server = await startServer({ SHUTDOWN_DRAIN_MS: '1000' });
+    // Its socket keeps the drain waiting
+    const { sessionId } = await server.joinCast('controller');
+    const { token } = await server.castToken('controller', { sessionId });
+    const stopped = server.stop();
+    await assert.rejects(server.connectCast(token), (err) => err.data?.code === 'SHUTTING_DOWN');
+    await stopped;
+  });
+
+  it('asks sockets to reconnect elsewhere and reports not ready while draining', async () => {
+    const server = await startServer({ SHUTDOWN_DRAIN_MS: '1000' });
+    const socket = await untrackedSocket(server);
+    const draining = nextEvent(socket, 'server-draining');
+    const stopped = server.stop();
+
+    const { deadline, reconnectInMs } = await draining;
+    assert.ok(deadline > Date.now() && deadline <= Date.now() + 1000);
+    assert.ok(reconnectInMs >= 0 && reconnectInMs < 500);
+
+    const health = await fetch(`${server.url}/health`);
+    assert.equal(health.status, 503);
+    const body = await health.json();
+    assert.equal(body.status, 'draining');
+    assert.equal(body.ready, false);
+    socket.disconnect();
+    await within(stopped, 1500);
+  });
+
+  it('cuts a /media stream that is still open at the deadline', async () => {
+    // A file host that sends the start of a file and never the rest
+    const fileHost = http.createServer((req, res) => {
+      res.writeHead(200, { 'content-type': 'video/mp4' });
+      res.write('first bytes');
+    });
+    await new Promise(resolve => fileHost.listen(0, '127.0.0.1', resolve));
+    const server = await startServer({
+      SHUTDOWN_DRAIN_MS: '300',
+      MEDIA_PROXY_HOSTS: '127.0.0.1',
+      MEDIA_PROXY_ALLOW_PRIVATE: 'true'
+    });
+    try {
+      const controller = await server.joinCast('controller');
+      const projector = await server.joinCast('projector', { sessionId: controller.sessionId });
+      const update = nextEvent(projector.socket, 'cast-update');
+      await controller.socket.timeout(2000).emitWithAck('cast-update', {
+        sessionId: controller.sessionId,
+        url: `http://127.0.0.1:${fileHost.address().port}/video.mp4`,
+        fileName: 'video.mp4'
+      });
+      const res = await fetch(`${server.url}${(await update).url}`);
+      const reader = res.body.getReader();
+      assert.equal(Buffer.from((await reader.read()).value).toString(), 'first bytes');
+
+      await within(server.stop(), 2000);
+      await assert.rejects(reader.read());
+    } finally {
+      fileHost.closeAllConnections();
+      await new Promise(resolve => fileHost.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent } = require('./helpers');
+
+describe('server slideshow', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const send = (socket, event, payload) => socket.timeout(2000).emitWithAck(event, payload);
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // A session with three one-second slides queued
+  const slides = async () => {
+    const controller = await server.joinCast('controller');
+    const { sessionId } = controller;
+    const files = ['a', 'b', 'c'].map(name => ({ url: `https://files.example/${name}.png`, fileName: `${name}.png`, duration: 1 }));
+    await send(controller.socket, 'cast-file-list', { sessionId, files });
+    await send(controller.socket, 'queue-jump', { sessionId, index: 0 });
+    return controller;
+  };
+
+  const currentName = async (sessionId) => {
+    const session = await server.store.getSession(sessionId);
+    return session.fileList.find(f => f.itemId === session.queue.currentItemId).fileName;
+  };
+
+  it('moves on by itself and holds while paused', async () => {
+    const { socket, sessionId } = await slides();
+    const moved = nextEvent(socket, 'cast-update', 3000);
+    await send(socket, 'slideshow-control', { sessionId, enabled: true });
+    assert.equal((await moved).fileName, 'b.png');
+
+    const paused = await send(socket, 'slideshow-pause', { sessionId });
+    assert.equal(paused.slideshow.paused, true);
+    await sleep(1200);
+    assert.equal(await currentName(sessionId), 'b.png');
+
+    const resumed = nextEvent(socket, 'cast-update', 3000);
+    assert.equal((await send(socket, 'slideshow-resume', { sessionId })).slideshow.paused, false);
+    assert.equal((await resumed).fileName, 'c.png');
+  });
+
+  it('keeps the clock of a running slideshow on resume', async () => {
+    const { socket, sessionId } = await slides();
+    await send(socket, 'slideshow-control', { sessionId, enabled: true });
+    const { nextAdvanceAt } = (await server.store.getSession(sessionId)).slideshow;
+
+    await sleep(300);
+    const resumed = await send(socket, 'slideshow-resume', { sessionId });
+    assert.equal(resumed.slideshow.paused, false);
+    assert.equal((await server.store.getSession(sessionId)).slideshow.nextAdvanceAt, nextAdvanceAt);
+    const moved = nextEvent(socket, 'cast-update', 3000);
+    assert.equal((await moved).fileName, 'b.png');
+    assert.ok(Date.now() < nextAdvanceAt + 200);
+  });
+
+  it('does not move on once the slideshow was stopped elsewhere', async () => {
+    const { socket, sessionId } = await slides();
+    await send(socket, 'slideshow-control', { sessionId, enabled: true });
+    // As another node would: the timer armed here stays behind
+    await server.store.updateSession(sessionId, (current) => ({
+      ...current,
+      slideshow: { ...current.slideshow, enabled: false, nextAdvanceAt: null }
+    }));
+    await sleep(1200);
+    assert.equal(await currentName(sessionId), 'a.png');
+  });
+});
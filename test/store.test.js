@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisMock = require('ioredis-mock');
+const { createMemoryStore, createRedisStore } = require('../lib/store');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ioredis-mock clients share their data, like two nodes on one Redis
+let prefixes = 0;
+const redisStores = (count, options = {}) => {
+  const prefix = `test${++prefixes}:`;
+  return Array.from({ length: count }, () => createRedisStore(new RedisMock(), { prefix, ...options }));
+};
+
+const backends = {
+  memory: () => createMemoryStore(),
+  redis: () => redisStores(1)[0]
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  describe(`${name} store`, () => {
+    let store;
+
+    before(() => {
+      store = create();
+    });
+
+    after(() => store.close());
+
+    it('passes null to updateSession for a missing session and keeps what it returns', async () => {
+      let seen;
+      assert.equal(await store.updateSession('s1', (current) => { seen = current; return undefined; }), null);
+      assert.equal(seen, null);
+      assert.equal(await store.getSession('s1'), null);
+
+      await store.updateSession('s1', () => ({ n: 1 }));
+      assert.deepEqual(await store.updateSession('s1', (current) => ({ n: current.n + 1 })), { n: 2 });
+      assert.deepEqual(await store.listSessions(), [['s1', { n: 2 }]]);
+      await store.deleteSession('s1');
+      assert.equal(await store.countSessions(), 0);
+    });
+
+    it('hands out a taken value once', async () => {
+      await store.setTemp('code', { sessionId: 's1' }, 1000);
+      assert.deepEqual(await store.getTemp('code'), { sessionId: 's1' });
+      assert.deepEqual(await store.takeTemp('code'), { sessionId: 's1' });
+      assert.equal(await store.takeTemp('code'), null);
+    });
+
+    it('counts up with incrTemp and starts over once the window ran out', async () => {
+      assert.equal(await store.incrTemp('hits', 100), 1);
+      assert.equal(await store.incrTemp('hits', 100), 2);
+      await sleep(150);
+      assert.equal(await store.incrTemp('hits', 100), 1);
+    });
+
+    it('keeps records per kind and deletes one whose update returns null', async () => {
+      assert.equal(await store.getRecord('device', 'd1'), null);
+      await store.updateRecord('device', 'd1', () => ({ name: 'Hall' }));
+      await store.updateRecord('device', 'd2', () => ({ name: 'Lobby' }));
+      await store.updateRecord('inbox', 'd1', () => ['other kind']);
+      assert.deepEqual(await store.updateRecord('device', 'd1', (current) => ({ ...current, room: 2 })), { name: 'Hall', room: 2 });
+      assert.deepEqual(await store.updateRecord('device', 'd2', () => undefined), { name: 'Lobby' });
+
+      await store.updateRecord('device', 'd2', () => null);
+      assert.equal(await store.getRecord('device', 'd2'), null);
+      assert.deepEqual(await store.listRecords('device'), [['d1', { name: 'Hall', room: 2 }]]);
+    });
+
+    it('counts sockets per key and keys per kind', async () => {
+      await store.addSocket('user', 'u1', 'a');
+      await store.addSocket('user', 'u1', 'b');
+      await store.addSocket('user', 'u2', 'c');
+      assert.equal(await store.countSockets('user', 'u1'), 2);
+      assert.equal(await store.countKeys('user'), 2);
+
+      await store.removeSocket('user', 'u1', 'a');
+      await store.removeSocket('user', 'u1', 'b');
+      assert.equal(await store.countSockets('user', 'u1'), 0);
+      assert.equal(await store.countKeys('user'), 1);
+    });
+  });
+}
+
+describe('redis store across nodes', () => {
+  const stores = [];
+  const nodes = (count, options) => {
+    const created = redisStores(count, options);
+    stores.push(...created);
+    return created;
+  };
+
+  after(() => Promise.all(stores.map(store => store.close())));
+
+  it('runs updateSession again when another node wrote in between', async () => {
+    const [a, b] = nodes(2);
+    await a.saveSession('s1', { hands: [] });
+
+    let calls = 0;
+    const result = await a.updateSession('s1', (current) => {
+      calls++;
+      if (calls === 1) {
+        // Sent before this node's compare-and-set, which then finds the session changed
+        b.saveSession('s1', { hands: ['from-b'] });
+      }
+      return { hands: [...current.hands, 'from-a'] };
+    });
+    assert.ok(calls >= 2);
+    assert.deepEqual(result, { hands: ['from-b', 'from-a'] });
+    assert.deepEqual(await b.getSession('s1'), { hands: ['from-b', 'from-a'] });
+  });
+
+  it('gives up when the session never stops changing', async () => {
+    const [a, b] = nodes(2);
+    await a.saveSession('s1', { n: 0 });
+    let n = 0;
+    await assert.rejects(a.updateSession('s1', () => {
+      b.saveSession('s1', { n: ++n });
+      return { n: -1 };
+    }), /updated too often/);
+  });
+
+  it('shares records between nodes', async () => {
+    const [a, b] = nodes(2);
+    await a.updateRecord('inbox', 'user:u1', () => ['from-a']);
+    await b.updateRecord('inbox', 'user:u1', (current) => [...current, 'from-b']);
+    assert.deepEqual(await a.getRecord('inbox', 'user:u1'), ['from-a', 'from-b']);
+    assert.deepEqual(await b.listRecords('inbox'), [['user:u1', ['from-a', 'from-b']]]);
+  });
+
+  it('sees the sockets of other nodes', async () => {
+    const [a, b] = nodes(2);
+    await a.addSocket('user', 'u1', 'a1');
+    await b.addSocket('user', 'u1', 'b1');
+    assert.equal(await a.countSockets('user', 'u1'), 2);
+
+    await b.removeSocket('user', 'u1', 'b1');
+    assert.equal(await a.countSockets('user', 'u1'), 1);
+    assert.equal(await b.countKeys('user'), 1);
+  });
+
+  it('drops the sockets of a node that stopped renewing them', async () => {
+    const [live, gone, observer] = nodes(3, { presenceTtlMs: 150 });
+    await live.addSocket('user', 'u1', 'live-1');
+    await gone.addSocket('user', 'u2', 'gone-1');
+    // A node that dies does not clean up; closing stops its renewals the same way
+    await gone.close();
+    stores.splice(stores.indexOf(gone), 1);
+
+    await sleep(300);
+    assert.equal(await observer.countSockets('user', 'u1'), 1);
+    assert.equal(await observer.countSockets('user', 'u2'), 0);
+    assert.equal(await observer.countKeys('user'), 1);
+  });
+});
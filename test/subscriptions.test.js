@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, userToken } = require('./helpers');
+const { createCastServer } = require('../server');
+const { HEADERS, verifyWebhook } = require('../lib/webhook');
+
+const SECRET = 'test-authorizer-secret';
+
+describe('subscription authorizer', () => {
+  let backend;
+  let server;
+  const asked = [];
+
+  before(async () => {
+    // Stands in for the main backend: members of team/* only, and only when signed
+    backend = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const invalid = verifyWebhook([SECRET], {
+          timestamp: req.headers[HEADERS.timestamp],
+          nonce: req.headers[HEADERS.nonce],
+          signature: req.headers[HEADERS.signature],
+          body
+        }, { windowMs: 60000 });
+        const request = JSON.parse(body);
+        asked.push({ ...request, invalid });
+        res.writeHead(invalid ? 401 : 200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ allowed: request.name.startsWith('team/') }));
+      });
+    });
+    await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+    server = await startServer({
+      NOTIFY_SECRET: SECRET,
+      SUBSCRIPTION_AUTH: 'closed',
+      SUBSCRIPTION_AUTH_URL: `http://127.0.0.1:${backend.address().port}/authorize`
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+    await new Promise(resolve => backend.close(resolve));
+  });
+
+  it('asks the backend with signed requests and follows its answer', async () => {
+    const socket = await server.connectNotifications(userToken('member-1'));
+    const ack = await socket.timeout(2000).emitWithAck('notifications:subscribe', { channels: ['team/design', 'finance'] });
+    assert.equal(ack.ok, true);
+    assert.deepEqual(ack.subscribed.channels, ['team/design']);
+    assert.deepEqual(ack.denied.channels, ['finance']);
+
+    assert.deepEqual(asked.map(({ invalid, userId, kind }) => ({ invalid, userId, kind })), [
+      { invalid: null, userId: 'member-1', kind: 'channel' },
+      { invalid: null, userId: 'member-1', kind: 'channel' }
+    ]);
+  });
+
+  it('refuses to start with SUBSCRIPTION_AUTH_URL but no NOTIFY_SECRET to sign with', () => {
+    assert.throws(
+      () => createCastServer({ JWT_SECRET: 'jwt', SUBSCRIPTION_AUTH_URL: 'http://127.0.0.1:9/authorize' }),
+      /NOTIFY_SECRET/
+    );
+  });
+});
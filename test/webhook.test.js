@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { webhookHeaders, verifyWebhook } = require('../lib/webhook');
+
+describe('webhook signatures', () => {
+  const body = Buffer.from('{"event":"file:shared","userId":"user-1"}');
+  const now = Date.now();
+  const signed = (secret, options) => {
+    const headers = webhookHeaders(secret, body, { timestamp: Math.floor(now / 1000), ...options });
+    return {
+      timestamp: headers['x-drivex-timestamp'],
+      nonce: headers['x-drivex-nonce'],
+      signature: headers['x-drivex-signature'],
+      body
+    };
+  };
+  const verify = (request, secrets = ['current']) => verifyWebhook(secrets, request, { windowMs: 60000, now });
+
+  it('accepts a request signed with any active secret', () => {
+    assert.equal(verify(signed('current')), null);
+    assert.equal(verify(signed('previous'), ['current', 'previous']), null);
+  });
+
+  it('refuses other secrets, changed bodies and missing headers', () => {
+    assert.equal(verify(signed('other')), 'bad signature');
+    assert.equal(verify({ ...signed('current'), body: Buffer.from('{"event":"file:shared","userId":"user-2"}') }), 'bad signature');
+    assert.equal(verify({ ...signed('current'), nonce: 'another-nonce' }), 'bad signature');
+    assert.equal(verify({ ...signed('current'), signature: undefined }), 'missing signature headers');
+  });
+
+  it('refuses timestamps outside the window', () => {
+    assert.equal(verify(signed('current', { timestamp: Math.floor((now - 120000) / 1000) })), 'timestamp outside replay window');
+    assert.equal(verify(signed('current', { timestamp: Math.floor((now + 120000) / 1000) })), 'timestamp outside replay window');
+    assert.equal(verify({ ...signed('current'), timestamp: '1e9' }), 'malformed timestamp');
+  });
+});
+
+describe('signed routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ NOTIFY_SECRET: 'current', NOTIFY_SECRET_PREVIOUS: 'previous' });
+  });
+
+  after(() => server.stop());
+
+  const post = async (headers, payload = { event: 'file:shared', userId: 'user-1' }) => {
+    const res = await fetch(`${server.url}/notify`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(payload)
+    });
+    return res.status;
+  };
+  const sign = (secret, payload = { event: 'file:shared', userId: 'user-1' }, options) => webhookHeaders(secret, JSON.stringify(payload), options);
+
+  it('accepts the current and the previous secret during a rotation', async () => {
+    assert.equal(await post(sign('current')), 200);
+    assert.equal(await post(sign('previous')), 200);
+    assert.equal(await post(sign('retired')), 401);
+  });
+
+  it('refuses a request sent again with the same nonce', async () => {
+    const headers = sign('current');
+    assert.equal(await post(headers), 200);
+    assert.equal(await post(headers), 401);
+  });
+
+  it('refuses a signature made over a different body', async () => {
+    assert.equal(await post(sign('current', { event: 'file:shared', userId: 'user-2' })), 401);
+  });
+
+  it('refuses a stale timestamp', async () => {
+    assert.equal(await post(sign('current', undefined, { timestamp: Math.floor(Date.now() / 1000) - 3600 })), 401);
+  });
+});
+
+describe('without NOTIFY_SECRET', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ NOTIFY_SECRET: '' });
+  });
+
+  after(() => server.stop());
+
+  it('answers 503', async () => {
+    const res = await fetch(`${server.url}/notify`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...webhookHeaders('anything', '{}') },
+      body: '{}'
+    });
+    assert.equal(res.status, 503);
+  });
+});